@@ -0,0 +1,196 @@
+// Optional results collector for open days: the stations on the local network post their
+// trial records and participant summaries here, and each of them subscribes to the merged
+// leaderboard (Server-Sent Events). Nothing leaves this machine: records are kept in memory
+// and appended to a JSON-lines file, which is read back on start.
+//
+//   npm run collector          PORT (default 8787), DATA_FILE (default flashlag-collector.ndjson)
+//
+// POST /records      { items: [{ id, station, kind: "trial" | "summary", record }] }
+//                    -> { accepted: [id], rejected: [id] }; ids seen before are accepted again.
+//                    500 when the records cannot be written to DATA_FILE (none is kept)
+// GET  /leaderboard  { summaries, segments }: participant summaries tagged with their station,
+//                    and the leaderboard segments (mode × shape × speed) ranked across stations
+// GET  /trials       every trial record, tagged with its station
+// GET  /events       "leaderboard" events: the merged leaderboard now and after every change
+import { createServer } from "node:http";
+import { appendFileSync, existsSync, readFileSync } from "node:fs";
+import { pathToFileURL } from "node:url";
+import { leaderboardSegments } from "../src/session.js";
+
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
+const MAX_STATION_LENGTH = 60;
+const KEEPALIVE_MS = 25000; // comment line that keeps idle proxies from closing the stream
+
+const KIND_TRIAL = "trial";
+const KIND_SUMMARY = "summary";
+
+const isValidItem = (item) =>
+  item != null &&
+  typeof item.id === "string" &&
+  typeof item.station === "string" &&
+  item.station.trim() !== "" &&
+  item.station.length <= MAX_STATION_LENGTH &&
+  (item.kind === KIND_TRIAL || item.kind === KIND_SUMMARY) &&
+  item.record != null &&
+  typeof item.record === "object" &&
+  typeof item.record.participant === "string";
+
+const sendEvent = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on("data", (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_BYTES) {
+        reject(new Error("request body too large"));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on("end", () => resolve(Buffer.concat(chunks).toString("utf8")));
+    req.on("error", reject);
+  });
+}
+
+// HTTP server (not yet listening) over the records in `dataFile`, which are read back first
+export function createCollector({ dataFile, logger = console }) {
+  const seenIds = new Set(); // stations resend queued items after a failed post
+  const trials = [];
+  const summaries = new Map(); // station + participant -> latest summary
+  const subscribers = new Set();
+
+  function store(item) {
+    seenIds.add(item.id);
+    const record = { ...item.record, station: item.station };
+    if (item.kind === KIND_TRIAL) {
+      trials.push(record);
+    } else {
+      const { blocks: _blocks, ...summary } = record; // per-block details stay with the station
+      summaries.set(`${item.station}\u0000${summary.participant}`, summary);
+    }
+  }
+
+  // Segments are ranked with the same rules as on a single station
+  const leaderboard = () => {
+    const finished = [...summaries.values()];
+    return { summaries: finished, segments: leaderboardSegments(trials, finished) };
+  };
+
+  function loadDataFile() {
+    if (!existsSync(dataFile)) return;
+    const lines = readFileSync(dataFile, "utf8").split("\n").filter(Boolean);
+    lines.forEach((line, i) => {
+      try {
+        const item = JSON.parse(line);
+        if (isValidItem(item) && !seenIds.has(item.id)) store(item);
+      } catch {
+        logger.warn(`${dataFile}:${i + 1}: unreadable line skipped`);
+      }
+    });
+    logger.log(`Loaded ${trials.length} trials and ${summaries.size} summaries from ${dataFile}`);
+  }
+
+  function broadcastLeaderboard() {
+    const board = leaderboard();
+    subscribers.forEach((res) => sendEvent(res, "leaderboard", board));
+  }
+
+  async function postRecords(req, res) {
+    let items;
+    try {
+      ({ items } = JSON.parse(await readBody(req)));
+    } catch (err) {
+      sendJson(res, 400, { error: err.message });
+      return;
+    }
+    if (!Array.isArray(items)) {
+      sendJson(res, 400, { error: "items must be an array" });
+      return;
+    }
+    const accepted = [];
+    const rejected = [];
+    const fresh = new Map(); // id -> item; a batch may repeat an id
+    items.forEach((item) => {
+      if (!isValidItem(item)) {
+        if (typeof item?.id === "string") rejected.push(item.id);
+        return;
+      }
+      accepted.push(item.id);
+      if (!seenIds.has(item.id)) fresh.set(item.id, item);
+    });
+    if (fresh.size) {
+      // On disk first: if the write fails nothing is kept, and the station posts the batch again
+      try {
+        appendFileSync(dataFile, [...fresh.values()].map((item) => JSON.stringify(item) + "\n").join(""));
+      } catch (err) {
+        logger.error(`${dataFile}: ${err.message}`);
+        sendJson(res, 500, { error: "records could not be saved" });
+        return;
+      }
+      fresh.forEach(store);
+      if ([...fresh.values()].some((item) => item.kind === KIND_SUMMARY)) broadcastLeaderboard();
+    }
+    sendJson(res, 200, { accepted, rejected });
+  }
+
+  function subscribe(req, res) {
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+    });
+    subscribers.add(res);
+    sendEvent(res, "leaderboard", leaderboard());
+    const keepalive = setInterval(() => res.write(": keepalive\n\n"), KEEPALIVE_MS);
+    req.on("close", () => {
+      clearInterval(keepalive);
+      subscribers.delete(res);
+    });
+  }
+
+  loadDataFile();
+
+  // The app is served from another origin (the Vite dev server or a static host)
+  return createServer((req, res) => {
+    res.setHeader("Access-Control-Allow-Origin", "*");
+    if (req.method === "OPTIONS") {
+      res.writeHead(204, {
+        "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+        "Access-Control-Allow-Headers": "Content-Type",
+      });
+      res.end();
+      return;
+    }
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (req.method === "POST" && pathname === "/records") {
+      postRecords(req, res).catch((err) => {
+        logger.error(`POST /records failed: ${err.message}`);
+        if (!res.headersSent) sendJson(res, 500, { error: "records could not be saved" });
+      });
+    } else if (req.method === "GET" && pathname === "/leaderboard") {
+      sendJson(res, 200, leaderboard());
+    } else if (req.method === "GET" && pathname === "/trials") {
+      sendJson(res, 200, trials);
+    } else if (req.method === "GET" && pathname === "/events") {
+      subscribe(req, res);
+    } else {
+      sendJson(res, 404, { error: "not found" });
+    }
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const port = Number(process.env.PORT) || 8787;
+  const server = createCollector({ dataFile: process.env.DATA_FILE || "flashlag-collector.ndjson" });
+  server.listen(port, () => {
+    console.log(`Flash-lag results collector listening on port ${port}`);
+  });
+}
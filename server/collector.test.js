@@ -0,0 +1,118 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { once } from "node:events";
+import { mkdtempSync, readFileSync, rmSync } from "node:fs";
+import { tmpdir } from "node:os";
+import { join } from "node:path";
+import { createCollector } from "./collector.js";
+import { summarizeSession } from "../src/session.js";
+import { MODE_DISAPPEARING, simulateTrial } from "../src/trialEngine.js";
+
+const quiet = { log() {}, warn() {}, error() {} };
+
+// Collector on a free port over a data file in a fresh directory; `run` gets its base URL
+async function withCollector(dataFile, run) {
+  const server = createCollector({ dataFile, logger: quiet });
+  server.listen(0);
+  await once(server, "listening");
+  try {
+    await run(`http://127.0.0.1:${server.address().port}`);
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}
+
+function tempDataFile(t) {
+  const dir = mkdtempSync(join(tmpdir(), "collector-"));
+  t.after(() => rmSync(dir, { recursive: true, force: true }));
+  return join(dir, "records.ndjson");
+}
+
+const post = (url, items) =>
+  fetch(`${url}/records`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ items }),
+  });
+
+// Queue items of one finished participant, answered `offset` px from the truth
+function participantItems(station, participant, offset) {
+  const records = [1, 2, 3].map(
+    (n) =>
+      simulateTrial({ participant, trialNumber: n, mode: MODE_DISAPPEARING, width: 900 }, { clickOffsetPx: offset })
+        .record
+  );
+  return [
+    ...records.map((record, i) => ({ id: `${station}-${participant}-${i}`, station, kind: "trial", record })),
+    { id: `${station}-${participant}-s`, station, kind: "summary", record: summarizeSession(records, participant) },
+  ];
+}
+
+test("posted records are accepted once and invalid ones refused", async (t) => {
+  const dataFile = tempDataFile(t);
+  await withCollector(dataFile, async (url) => {
+    const items = participantItems("A", "Ada", 4);
+    const invalid = { id: "bad", station: "", kind: "trial", record: { participant: "X" } };
+    const res = await post(url, [...items, invalid]);
+    assert.equal(res.status, 200);
+    assert.deepEqual(await res.json(), { accepted: items.map((i) => i.id), rejected: ["bad"] });
+
+    // A station resending after a lost reply gets the same answer without duplicates
+    assert.deepEqual((await (await post(url, items)).json()).rejected, []);
+    assert.equal((await (await fetch(`${url}/trials`)).json()).length, 3);
+    assert.equal(readFileSync(dataFile, "utf8").trim().split("\n").length, 4);
+
+    assert.equal((await post(url, "not a list")).status, 400);
+    const garbled = await fetch(`${url}/records`, { method: "POST", body: "{" });
+    assert.equal(garbled.status, 400);
+  });
+});
+
+test("records that cannot be written are not kept", async (t) => {
+  const dataFile = join(tempDataFile(t), "missing-dir", "records.ndjson");
+  await withCollector(dataFile, async (url) => {
+    assert.equal((await post(url, participantItems("A", "Ada", 4))).status, 500);
+    assert.deepEqual(await (await fetch(`${url}/trials`)).json(), []);
+  });
+});
+
+test("a restarted collector replays its data file", async (t) => {
+  const dataFile = tempDataFile(t);
+  await withCollector(dataFile, (url) => post(url, participantItems("A", "Ada", 4)));
+  await withCollector(dataFile, async (url) => {
+    const board = await (await fetch(`${url}/leaderboard`)).json();
+    assert.deepEqual(board.summaries.map((s) => [s.station, s.participant]), [["A", "Ada"]]);
+    assert.equal(board.summaries[0].blocks, undefined);
+    // Replayed ids are still known, so a late resend is not stored twice
+    await post(url, participantItems("A", "Ada", 4));
+    assert.equal((await (await fetch(`${url}/trials`)).json()).length, 3);
+  });
+});
+
+test("stations are ranked together and subscribers hear about new summaries", async (t) => {
+  await withCollector(tempDataFile(t), async (url) => {
+    const controller = new AbortController();
+    const events = await fetch(`${url}/events`, { signal: controller.signal });
+    assert.equal(events.headers.get("content-type"), "text/event-stream");
+    const reader = events.body.pipeThrough(new TextDecoderStream()).getReader();
+    const nextBoard = async () => {
+      let text = "";
+      while (!text.endsWith("\n\n")) text += (await reader.read()).value;
+      return JSON.parse(text.match(/^data: (.*)$/m)[1]);
+    };
+    assert.deepEqual((await nextBoard()).summaries, []);
+
+    await post(url, participantItems("A", "Ada", 8));
+    await nextBoard();
+    await post(url, [...participantItems("B", "Ada", 2), ...participantItems("B", "Bo", 6)]);
+    const board = await nextBoard();
+    controller.abort();
+
+    // The same name at two stations is two participants
+    assert.equal(board.summaries.length, 3);
+    assert.equal(board.segments.length, 1);
+    const order = board.segments[0].rows.map((r) => [r.station, r.participant]);
+    assert.deepEqual(order, [["B", "Ada"], ["B", "Bo"], ["A", "Ada"]]);
+  });
+});
@@ -0,0 +1,294 @@
+import React, { useMemo, useState } from "react";
+import { INPUT_MODALITIES, RESPONSE_2AFC } from "./trialEngine";
+import { isCountedTrial } from "./session";
+import { useTranslation } from "./LocaleContext";
+import Figure from "./FigureExport";
+import { FIT_GAUSSIAN, FIT_LOGISTIC, describeErrors, fitPsychometric, psychometric, splitByCondition } from "./stats";
+
+const PLOT_BG = "#0f172a";
+const AXIS_COLOR = "#334155";
+const LABEL_COLOR = "#94a3b8";
+const POINT_COLOR = "rgba(96, 165, 250, 0.85)";
+const MEAN_COLOR = "#fffb00ff";
+const CURVE_COLOR = "rgba(74, 222, 128, 0.9)";
+const REFERENCE_COLOR = "rgba(248, 113, 113, 0.6)";
+const MEDIAN_COLOR = "#e5e7eb";
+
+const SCOPE_PARTICIPANT = "participant";
+const SCOPE_GROUP = "group";
+const INPUT_ALL = "all";
+
+// Statistics for the current participant or the whole group: descriptive stats of the
+// signed click error and a maximum-likelihood psychometric fit of the 2AFC answers, one
+// stimulus condition at a time. Once answers came from more than one device they can be
+// analysed per device. `caption` describes the session under exported figures;
+// `conditionLabel` names a condition of splitByCondition.
+export default function AnalysisPanel({ results, currentParticipant, caption, conditionLabel }) {
+  const t = useTranslation();
+  const [scope, setScope] = useState(SCOPE_PARTICIPANT);
+  const [input, setInput] = useState(INPUT_ALL);
+  const [model, setModel] = useState(FIT_GAUSSIAN);
+  const [conditionKey, setConditionKey] = useState(null);
+
+  // Practice, catch and too-slow trials stay out of the statistics
+  const scopeRows = useMemo(
+    () =>
+      results.filter(
+        (r) =>
+          isCountedTrial(r) && !r.slow_excluded && (scope === SCOPE_GROUP || r.participant === currentParticipant)
+      ),
+    [results, scope, currentParticipant]
+  );
+  const inputs = useMemo(
+    () => INPUT_MODALITIES.filter((m) => scopeRows.some((r) => r.input_modality === m)),
+    [scopeRows]
+  );
+  const rows = useMemo(
+    () => (input === INPUT_ALL ? scopeRows : scopeRows.filter((r) => r.input_modality === input)),
+    [scopeRows, input]
+  );
+  const errors = useMemo(
+    () => rows.filter((r) => typeof r.signed_error_px === "number").map((r) => r.signed_error_px),
+    [rows]
+  );
+  const errorStats = useMemo(() => describeErrors(errors), [errors]);
+  const conditions = useMemo(
+    () => splitByCondition(rows.filter((r) => r.response_type === RESPONSE_2AFC && r.response)),
+    [rows]
+  );
+  const condition = conditions.find((c) => c.key === conditionKey) ?? conditions[0];
+  const fit = useMemo(() => (condition ? fitPsychometric(condition.rows, model) : null), [condition, model]);
+
+  // Who the exported figures are about, then the session
+  const figureCaption = (n, conditionText) =>
+    [
+      scope === SCOPE_GROUP ? t("figure.group") : t("figure.participant", { participant: currentParticipant }),
+      input !== INPUT_ALL && t("figure.input", { input: t(`input.${input}`) }),
+      conditionText && `${conditionText}.`,
+      t("figure.trials", { n }),
+      caption,
+    ]
+      .filter(Boolean)
+      .join(" ");
+
+  return (
+    <div className="flex flex-col gap-3 text-sm">
+      <div className="flex gap-2 flex-wrap">
+        <ToggleButton active={scope === SCOPE_PARTICIPANT} onClick={() => setScope(SCOPE_PARTICIPANT)}>
+          {t("analysis.participant")}
+        </ToggleButton>
+        <ToggleButton active={scope === SCOPE_GROUP} onClick={() => setScope(SCOPE_GROUP)}>
+          {t("analysis.group")}
+        </ToggleButton>
+      </div>
+
+      {(inputs.length > 1 || input !== INPUT_ALL) && (
+        <div className="flex gap-1 flex-wrap">
+          <ToggleButton active={input === INPUT_ALL} onClick={() => setInput(INPUT_ALL)}>
+            {t("analysis.allInputs")}
+          </ToggleButton>
+          {INPUT_MODALITIES.filter((m) => m === input || inputs.includes(m)).map((m) => (
+            <ToggleButton key={m} active={input === m} onClick={() => setInput(m)}>
+              {t(`input.${m}`)}
+            </ToggleButton>
+          ))}
+        </div>
+      )}
+
+      {!errorStats && !condition && (
+        <div className="text-slate-400">{t("analysis.empty")}</div>
+      )}
+
+      {errorStats && (
+        <div className="space-y-2">
+          <h3 className="font-semibold text-slate-200">{t("analysis.signedError")}</h3>
+          <Figure
+            name={t("figure.signedErrorName")}
+            title={t("analysis.signedError")}
+            legend={[
+              { color: POINT_COLOR, label: t("figure.trialPoints") },
+              { color: MEAN_COLOR, label: t("figure.meanCi") },
+              { color: MEDIAN_COLOR, label: t("figure.median"), line: true },
+              { color: REFERENCE_COLOR, label: t("figure.zero"), line: true },
+            ]}
+            caption={figureCaption(errorStats.n)}
+          >
+            <ErrorStrip values={errors} stats={errorStats} />
+          </Figure>
+          <dl className="grid grid-cols-2 gap-x-3 gap-y-1 text-xs text-slate-300">
+            <dt>{t("analysis.trials")}</dt>
+            <dd>{errorStats.n}</dd>
+            <dt>{t("analysis.meanSd")}</dt>
+            <dd>
+              {errorStats.mean} ± {errorStats.sd ?? "–"} px
+            </dd>
+            <dt>{t("analysis.meanCi")}</dt>
+            <dd>{errorStats.meanCi ? `${errorStats.meanCi[0]} – ${errorStats.meanCi[1]} px` : "–"}</dd>
+            <dt>{t("analysis.median")}</dt>
+            <dd>{errorStats.median} px</dd>
+            <dt>{t("analysis.medianCi")}</dt>
+            <dd>{errorStats.medianCi ? `${errorStats.medianCi[0]} – ${errorStats.medianCi[1]} px` : "–"}</dd>
+          </dl>
+        </div>
+      )}
+
+      {condition && (
+        <div className="space-y-2">
+          <div className="flex items-center justify-between">
+            <h3 className="font-semibold text-slate-200">{t("analysis.psychometric")}</h3>
+            <div className="flex gap-1">
+              <ToggleButton active={model === FIT_GAUSSIAN} onClick={() => setModel(FIT_GAUSSIAN)}>
+                {t("analysis.gaussian")}
+              </ToggleButton>
+              <ToggleButton active={model === FIT_LOGISTIC} onClick={() => setModel(FIT_LOGISTIC)}>
+                {t("analysis.logistic")}
+              </ToggleButton>
+            </div>
+          </div>
+          {conditions.length > 1 ? (
+            <div className="flex gap-1 flex-wrap">
+              {conditions.map((c) => (
+                <ToggleButton key={c.key} active={c.key === condition.key} onClick={() => setConditionKey(c.key)}>
+                  {conditionLabel(c.condition)}
+                </ToggleButton>
+              ))}
+            </div>
+          ) : (
+            <div className="text-xs text-slate-400">{conditionLabel(condition.condition)}</div>
+          )}
+          {!fit && <div className="text-slate-400">{t("analysis.fewLevels")}</div>}
+          {fit && (
+            <>
+              <Figure
+                name={t("figure.psychometricName")}
+                title={t("analysis.psychometric")}
+                legend={[
+                  { color: POINT_COLOR, label: t("figure.levels") },
+                  { color: CURVE_COLOR, label: t(model === FIT_LOGISTIC ? "analysis.logistic" : "analysis.gaussian"), line: true },
+                  { color: REFERENCE_COLOR, label: t("figure.pss", { pss: fit.pss }), line: true },
+                ]}
+                caption={figureCaption(fit.n, conditionLabel(condition.condition))}
+              >
+                <PsychometricPlot fit={fit} />
+              </Figure>
+              <dl className="grid grid-cols-2 gap-x-3 gap-y-1 text-xs text-slate-300">
+                <dt>{t("analysis.responses")}</dt>
+                <dd>{fit.n}</dd>
+                <dt>PSS</dt>
+                <dd>
+                  {fit.pss}
+                  {fit.pssSe != null && ` ± ${fit.pssSe}`} px
+                </dd>
+                <dt>JND</dt>
+                <dd>
+                  {fit.jnd}
+                  {fit.jndSe != null && ` ± ${fit.jndSe}`} px
+                </dd>
+              </dl>
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export function ToggleButton({ active, onClick, children }) {
+  return (
+    <button
+      type="button"
+      onClick={onClick}
+      className={`px-3 py-1 rounded-lg border text-xs ${active ? "bg-emerald-500/20 border-emerald-400" : "bg-slate-900/40 border-slate-700 hover:border-slate-500"}`}
+    >
+      {children}
+    </button>
+  );
+}
+
+// One dot per trial along the error axis, with the mean, its CI and the median
+function ErrorStrip({ values, stats }) {
+  const t = useTranslation();
+  const width = 260;
+  const height = 90;
+  const padding = 16;
+  const extent = Math.max(10, ...values.map((v) => Math.abs(v)), ...(stats.meanCi ?? []).map(Math.abs));
+  const x = (v) => padding + ((v + extent) / (2 * extent)) * (width - padding * 2);
+  const baseline = height - 22;
+
+  return (
+    <svg width={width} height={height} className="w-full max-w-xs" viewBox={`0 0 ${width} ${height}`}>
+      <rect x={0} y={0} width={width} height={height} rx={8} fill={PLOT_BG} stroke={AXIS_COLOR} />
+      <line x1={padding} y1={baseline} x2={width - padding} y2={baseline} stroke={AXIS_COLOR} />
+      <line x1={x(0)} y1={10} x2={x(0)} y2={baseline + 4} stroke={REFERENCE_COLOR} strokeWidth={2} />
+      {values.map((v, i) => (
+        <circle key={i} cx={x(v)} cy={baseline - 10 - (i % 5) * 7} r={3} fill={POINT_COLOR}>
+          <title>{`${v} px`}</title>
+        </circle>
+      ))}
+      {stats.meanCi && (
+        <line
+          x1={x(stats.meanCi[0])}
+          y1={14}
+          x2={x(stats.meanCi[1])}
+          y2={14}
+          stroke={MEAN_COLOR}
+          strokeWidth={3}
+          strokeLinecap="round"
+        />
+      )}
+      <circle cx={x(stats.mean)} cy={14} r={4.5} fill={MEAN_COLOR}>
+        <title>{t("analysis.meanPoint", { value: stats.mean })}</title>
+      </circle>
+      <line x1={x(stats.median)} y1={baseline - 6} x2={x(stats.median)} y2={baseline + 6} stroke={MEDIAN_COLOR} strokeWidth={2}>
+        <title>{t("analysis.medianPoint", { value: stats.median })}</title>
+      </line>
+      <text x={padding} y={height - 6} fill={LABEL_COLOR} fontSize={10}>
+        {t("analysis.behindAxis", { extent: Math.round(extent) })}
+      </text>
+      <text x={width - padding} y={height - 6} fill={LABEL_COLOR} fontSize={10} textAnchor="end">
+        {t("analysis.aheadAxis", { extent: Math.round(extent) })}
+      </text>
+    </svg>
+  );
+}
+
+// Proportion of "ahead" answers per lead (area ∝ trials) and the fitted curve
+function PsychometricPlot({ fit }) {
+  const t = useTranslation();
+  const width = 260;
+  const height = 180;
+  const padding = 28;
+  const leads = fit.levels.map((l) => l.lead);
+  const lo = Math.min(...leads, fit.pss) - 10;
+  const hi = Math.max(...leads, fit.pss) + 10;
+  const x = (lead) => padding + ((lead - lo) / (hi - lo)) * (width - padding * 1.5);
+  const y = (p) => height - padding - p * (height - padding * 1.5);
+  const maxN = Math.max(...fit.levels.map((l) => l.n));
+
+  const curve = [];
+  for (let i = 0; i <= 60; i += 1) {
+    const lead = lo + ((hi - lo) * i) / 60;
+    curve.push(`${x(lead).toFixed(1)},${y(psychometric(fit.model, lead, fit.pss, fit.spread)).toFixed(1)}`);
+  }
+
+  return (
+    <svg width={width} height={height} className="w-full max-w-xs" viewBox={`0 0 ${width} ${height}`}>
+      <rect x={0} y={0} width={width} height={height} rx={8} fill={PLOT_BG} stroke={AXIS_COLOR} />
+      <line x1={padding} y1={y(0)} x2={width - padding / 2} y2={y(0)} stroke={AXIS_COLOR} />
+      <line x1={padding} y1={y(0)} x2={padding} y2={y(1)} stroke={AXIS_COLOR} />
+      <line x1={padding} y1={y(0.5)} x2={width - padding / 2} y2={y(0.5)} stroke={AXIS_COLOR} strokeDasharray="4 4" />
+      <line x1={x(fit.pss)} y1={y(0)} x2={x(fit.pss)} y2={y(1)} stroke={REFERENCE_COLOR} strokeWidth={2} />
+      <polyline points={curve.join(" ")} fill="none" stroke={CURVE_COLOR} strokeWidth={2} />
+      {fit.levels.map((l) => (
+        <circle key={l.lead} cx={x(l.lead)} cy={y(l.p)} r={2 + 4 * Math.sqrt(l.n / maxN)} fill={POINT_COLOR}>
+          <title>{t("analysis.level", { lead: l.lead, ahead: l.ahead, n: l.n })}</title>
+        </circle>
+      ))}
+      <text x={padding - 4} y={y(1) + 4} fill={LABEL_COLOR} fontSize={10} textAnchor="end">1</text>
+      <text x={padding - 4} y={y(0) + 4} fill={LABEL_COLOR} fontSize={10} textAnchor="end">0</text>
+      <text x={width / 2} y={height - 8} fill={LABEL_COLOR} fontSize={10} textAnchor="middle">
+        {t("analysis.leadAxis")}
+      </text>
+    </svg>
+  );
+}
@@ -0,0 +1,100 @@
+import React, { useEffect, useRef } from "react";
+import {
+  STAGE_PADDING,
+  advanceTrial,
+  beginTrial,
+  createTrial,
+  isMoving,
+  pickTrialLead,
+} from "./trialEngine";
+import { pickTrajectory } from "./trajectory";
+import { renderTrialFrame } from "./stageRenderer";
+import { LOCALES } from "./i18n";
+import { useTranslation } from "./LocaleContext";
+
+const ATTRACT_PAUSE_MS = 1200; // the last frame of each demo trial stays up this long
+const MAX_STAGE_WIDTH = 1200;
+
+// Kiosk attract loop: demo trials of `block` play over and over until someone touches the screen
+export default function AttractScreen({ block, style, aspectRatio, locale, onLocaleChange, onStart }) {
+  const t = useTranslation();
+  const canvasRef = useRef(null);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    const dpr = window.devicePixelRatio || 1;
+    const width = Math.round(Math.min(window.innerWidth - 32, MAX_STAGE_WIDTH));
+    const height = Math.round(width * aspectRatio);
+    canvas.width = Math.floor(width * dpr);
+    canvas.height = Math.floor(height * dpr);
+    canvas.style.width = width + "px";
+    canvas.style.height = height + "px";
+    const ctx = canvas.getContext("2d");
+
+    const demoTrial = () =>
+      beginTrial(
+        createTrial({
+          mode: block.mode,
+          targetShape: block.targetShape,
+          trajectory: pickTrajectory(block.trajectory),
+          width,
+          height,
+          padding: STAGE_PADDING,
+          speed: block.speed,
+          lead: pickTrialLead(block),
+          disappearRange: block.disappearRange,
+          flashYOffset: block.flashYOffset,
+          flashDuration: block.flashDuration,
+          showFeedback: false,
+        })
+      );
+
+    let trial = demoTrial();
+    let restartAt = null;
+    let raf = 0;
+    const frame = (ts) => {
+      if (isMoving(trial)) {
+        trial = advanceTrial(trial, ts);
+      } else if (restartAt == null) {
+        restartAt = ts + ATTRACT_PAUSE_MS;
+      } else if (ts >= restartAt) {
+        trial = demoTrial();
+        restartAt = null;
+      }
+      renderTrialFrame(ctx, dpr, trial, ts, style);
+      raf = requestAnimationFrame(frame);
+    };
+    raf = requestAnimationFrame(frame);
+    return () => cancelAnimationFrame(raf);
+  }, [block, style, aspectRatio]);
+
+  return (
+    <div
+      role="button"
+      tabIndex={0}
+      onClick={onStart}
+      onKeyDown={(e) => {
+        if (e.key === "Enter" || e.key === " ") onStart();
+      }}
+      className="fixed inset-0 z-30 bg-slate-900 text-slate-100 flex flex-col items-center justify-center gap-6 px-4 cursor-pointer select-none"
+    >
+      <div className="absolute top-4 right-4 flex gap-1" onClick={(e) => e.stopPropagation()}>
+        {LOCALES.map((option) => (
+          <button
+            key={option.id}
+            type="button"
+            onClick={() => onLocaleChange(option.id)}
+            aria-pressed={locale === option.id}
+            className={`px-3 py-2 rounded-lg border text-sm ${locale === option.id ? "bg-sky-500/20 border-sky-400" : "bg-slate-900/40 border-slate-700 hover:border-slate-500"}`}
+          >
+            {option.label}
+          </button>
+        ))}
+      </div>
+      <h1 className="text-3xl md:text-5xl font-semibold tracking-tight text-center">{t("app.title")}</h1>
+      <canvas ref={canvasRef} className="block rounded-2xl border border-slate-700" aria-hidden="true" />
+      <p className="text-xl md:text-2xl text-emerald-300 animate-pulse">{t("kiosk.touchToStart")}</p>
+    </div>
+  );
+}
@@ -0,0 +1,85 @@
+import React, { useState } from "react";
+import {
+  CARD_HEIGHT_MM,
+  CARD_WIDTH_MM,
+  DEFAULT_VIEWING_DISTANCE_CM,
+  VIEWING_DISTANCE_LIMITS,
+  calibrationFromCard,
+  isCalibrated,
+  pixelsPerDegree,
+} from "./calibration";
+import { clamp, round2 } from "./trialEngine";
+import { useTranslation } from "./LocaleContext";
+
+const DEFAULT_CARD_WIDTH_PX = 324; // a credit card at 96 CSS px per inch
+
+// Modal: resize the rectangle until it matches a real credit card, then enter the viewing distance
+export default function CalibrationPanel({ calibration, onSave, onClose }) {
+  const t = useTranslation();
+  const [cardWidth, setCardWidth] = useState(() =>
+    isCalibrated(calibration) ? Math.round(calibration.pxPerMm * CARD_WIDTH_MM) : DEFAULT_CARD_WIDTH_PX
+  );
+  const [distance, setDistance] = useState(calibration.viewingDistanceCm);
+  const viewingDistance = clamp(distance || DEFAULT_VIEWING_DISTANCE_CM, VIEWING_DISTANCE_LIMITS.min, VIEWING_DISTANCE_LIMITS.max);
+  const draft = calibrationFromCard(cardWidth, viewingDistance);
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center px-4">
+      <div className="absolute inset-0 bg-slate-900/80" aria-hidden="true" onClick={onClose} />
+      <div className="relative max-w-2xl w-full bg-slate-800 rounded-2xl shadow-xl p-6 text-sm text-slate-100 space-y-4">
+        <h3 className="text-lg font-semibold">{t("calibration.title")}</h3>
+        <p className="text-slate-300">{t("calibration.help")}</p>
+        <div className="flex justify-center py-2 overflow-hidden">
+          <div
+            className="rounded-xl border-2 border-emerald-400 bg-emerald-500/10 flex items-center justify-center text-xs text-emerald-200"
+            style={{ width: cardWidth, height: (cardWidth * CARD_HEIGHT_MM) / CARD_WIDTH_MM }}
+          >
+            {CARD_WIDTH_MM} × {CARD_HEIGHT_MM} mm
+          </div>
+        </div>
+        <label className="block">
+          <div className="text-slate-300 mb-1 select-none">{t("calibration.cardWidth", { px: cardWidth })}</div>
+          <input
+            type="range"
+            min={150}
+            max={700}
+            step={1}
+            value={cardWidth}
+            onChange={(e) => setCardWidth(Number(e.target.value))}
+            className="w-full"
+          />
+        </label>
+        <label className="block">
+          <div className="text-slate-300 mb-1 select-none">{t("calibration.distance")}</div>
+          <input
+            type="number"
+            min={VIEWING_DISTANCE_LIMITS.min}
+            max={VIEWING_DISTANCE_LIMITS.max}
+            value={distance}
+            onChange={(e) => setDistance(Number(e.target.value))}
+            className="w-32 px-3 py-2 rounded-lg bg-slate-900/60 border border-slate-700 focus:outline-none"
+          />
+        </label>
+        <div className="text-xs text-slate-400">
+          {t("calibration.result", {
+            pxPerMm: round2(draft.pxPerMm),
+            pxPerDeg: round2(pixelsPerDegree(draft)),
+            distance: viewingDistance,
+          })}
+        </div>
+        <div className="pt-2 flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 rounded-xl bg-slate-700 hover:bg-slate-600">
+            {t("button.cancel")}
+          </button>
+          <button
+            type="button"
+            onClick={() => onSave(draft)}
+            className="px-4 py-2 rounded-xl bg-emerald-500 hover:bg-emerald-600 text-slate-900 font-semibold"
+          >
+            {t("calibration.save")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,62 @@
+import React, { useRef, useState } from "react";
+import { buildFigure, figurePng, svgSource } from "./figures";
+import { downloadFile, exportStamp } from "./exportFormats";
+import { useTranslation } from "./LocaleContext";
+
+// "SVG" and "PNG" buttons saving a standalone figure. source() returns the chart to save
+// (svgSource or stageSource from ./figures.js); legend and caption go underneath it.
+export function FigureButtons({ name, title, legend, caption, source }) {
+  const t = useTranslation();
+  const [error, setError] = useState("");
+
+  const save = (asPng) => {
+    setError("");
+    const figure = buildFigure(source(), { title, legend, caption });
+    const filename = `${t("export.figureFile")}_${name}_${exportStamp()}`;
+    if (!asPng) {
+      downloadFile(`${filename}.svg`, figure.svg, "image/svg+xml");
+      return;
+    }
+    figurePng(figure)
+      .then((blob) => downloadFile(`${filename}.png`, blob, "image/png"))
+      .catch((err) => setError(t("figure.pngFailed", { error: err.message })));
+  };
+
+  return (
+    <div className="flex items-center gap-1">
+      {error && <span className="text-xs text-rose-300 mr-1">{error}</span>}
+      {[false, true].map((asPng) => (
+        <button
+          key={String(asPng)}
+          type="button"
+          onClick={() => save(asPng)}
+          title={t(asPng ? "figure.savePng" : "figure.saveSvg")}
+          className="px-2 py-0.5 rounded-md border text-xs bg-slate-900/40 border-slate-700 hover:border-slate-500 text-slate-300"
+        >
+          {asPng ? "PNG" : "SVG"}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// An SVG chart with its export buttons. Without a caption the chart is shown alone (the
+// participant debrief reuses the charts and has nothing to export).
+export default function Figure({ name, title, legend, caption = null, children }) {
+  const chartRef = useRef(null);
+  if (caption == null) return children;
+  return (
+    <div className="space-y-1">
+      <div ref={chartRef}>{children}</div>
+      <div className="flex justify-end">
+        <FigureButtons
+          name={name}
+          title={title}
+          legend={legend}
+          caption={caption}
+          source={() => svgSource(chartRef.current.querySelector("svg"))}
+        />
+      </div>
+    </div>
+  );
+}
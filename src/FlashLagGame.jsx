@@ -1,174 +1,278 @@
-import React, { useCallback, useEffect, useMemo, useRef, useState } from "react";
+import React, { Fragment, useCallback, useEffect, useMemo, useRef, useState } from "react";
+import {
+  ARROW_VECTORS,
+  CATCH_FLASH_ON_TARGET,
+  CATCH_VISIBLE_STOP,
+  INPUT_KEYBOARD,
+  INPUT_MOUSE,
+  INPUT_TOUCH,
+  MODE_DISAPPEARING,
+  MODE_FLASH_INITIATED,
+  MODE_FLASH_LAG,
+  MODE_FLASH_TERMINATED,
+  PHASE_AWAITING_RESPONSE,
+  PHASE_FEEDBACK,
+  PHASE_IDLE,
+  RESPONSE_2AFC,
+  RESPONSE_ADJUST,
+  RESPONSE_CLICK,
+  STAGE_PADDING,
+  TARGET_DOT,
+  TARGET_PACMAN,
+  advanceTrial,
+  aimAt,
+  answerKeys,
+  arrowSense,
+  beginTrial,
+  canStartTrialLogic,
+  clamp,
+  clearAim,
+  confirmAdjustment,
+  createTrial,
+  isMoving,
+  isMovingPhase,
+  judgeTrial,
+  modeHasFlash,
+  motionDirection,
+  nudgeProbe,
+  pickRandomOffset,
+  pickTrialLead,
+  resizeTrial,
+  respondToTrial,
+  round2,
+} from "./trialEngine";
+import {
+  DEFAULT_CATCH_FAIL_LIMIT,
+  FEEDBACK_BLOCK,
+  FEEDBACK_FULL,
+  FEEDBACK_NONE,
+  MAX_BLOCKS,
+  SETTING_LIMITS,
+  blockResponseType,
+  createSession,
+  isBlindSession,
+  isBlockEnd,
+  isCountedTrial,
+  isStaircaseBlock,
+  isTooSlow,
+  leaderboardSegments,
+  MIN_RANKED_TRIALS,
+  sessionProgress,
+  setBlockCount,
+  summarizeBlocks,
+  summarizeSession,
+  updateBlock,
+} from "./session";
+import { FACTOR_LIMITS, MAX_REPEATS, createDesign, designTrialCount, parseFactorLevels, planSession } from "./design";
+import {
+  RESPONSE_AHEAD,
+  RESPONSE_BEHIND,
+  STAIRCASE_QUEST,
+  STAIRCASE_UP_DOWN,
+  STAIRCASE_WEIGHTED,
+  createStaircase,
+  createStaircaseSettings,
+  estimatePss,
+  nextLead,
+  updateStaircase,
+} from "./staircase";
+import { CLICK_MARKER_COLOR, renderTrialFrame } from "./stageRenderer";
+import {
+  TRAJECTORY_CIRCULAR,
+  TRAJECTORY_LEFT_RIGHT,
+  TRAJECTORY_RANDOM,
+  TRAJECTORY_RIGHT_LEFT,
+  TRAJECTORY_TOP_BOTTOM,
+  pickTrajectory,
+} from "./trajectory";
+import { DEFAULT_FRAME_MS, measureRefreshRate, quantiseFrames } from "./frameTiming";
+import AnalysisPanel from "./AnalysisPanel";
+import GroupDashboard from "./GroupDashboard";
+import Figure, { FigureButtons } from "./FigureExport";
+import { stageSource } from "./figures";
+import SessionBrowser from "./SessionBrowser";
+import CalibrationPanel from "./CalibrationPanel";
+import AttractScreen from "./AttractScreen";
+import ReplayViewer from "./ReplayViewer";
+import { canReplay } from "./replay";
+import {
+  STAGE_WIDTH_DEG,
+  UNITS_DEG,
+  UNITS_PX,
+  createCalibration,
+  displayUnits,
+  isCalibrated,
+  pixelsPerDegree,
+  stageWidthFor,
+} from "./calibration";
+import { buildExport, downloadFile, exportStamp, parseExport, summariesCsv, trialsCsv } from "./exportFormats";
+import {
+  COLLECTOR_RETRY_MS,
+  COLLECTOR_SUMMARY,
+  COLLECTOR_TRIAL,
+  enqueueRecord,
+  flushOutbox,
+  mergeLeaderboards,
+  normalizeCollectorUrl,
+  queuedCount,
+  subscribeLeaderboard,
+} from "./collector";
+import { MIN_PIN_LENGTH, isValidPin, lockWithPin, pinMatches, upgradeKioskPreference } from "./kiosk";
+import { BUILT_IN_PRESETS, DEFAULT_STYLE, buildPreset, configHash, parsePreset, readConfigHash } from "./config";
+import {
+  createStoredSession,
+  findUnfinishedSession,
+  isStorageAvailable,
+  loadPreference,
+  loadStoredSession,
+  saveTrial,
+  savePreference,
+  storeSession,
+  updateStoredSession,
+} from "./storage";
+import { DEFAULT_LOCALE, LOCALES, isLocale, localeValue, makeTranslator, translate } from "./i18n";
+import { LocaleContext, useTranslation } from "./LocaleContext";
 
-const MODE_FLASH_LAG = "flash-lag";
-const MODE_DISAPPEARING = "disappearing";
 const ASPECT_RATIO = 280 / 900;
-const PACMAN_IDLE_MOUTH = 0.28; // radians, per-side opening when static
-const PACMAN_MIN_MOUTH = 0.12;
-const PACMAN_MAX_MOUTH = 0.5;
-const TARGET_PACMAN = "pacman";
-const TARGET_DOT = "dot";
-const AUTO_NAME_ANIMALS = [
-  "Leone",
-  "Tigre",
-  "Pantera",
-  "Ghepardo",
-  "Giaguaro",
-  "Lupo",
-  "Volpe",
-  "Orso",
-  "Cervo",
-  "Alce",
-  "Cinghiale",
-  "Scoiattolo",
-  "Riccio",
-  "Tasso",
-  "Lontra",
-  "Foca",
-  "Delfino",
-  "Balena",
-  "Squalo",
-  "Polpo",
-  "Calamaro",
-  "Pinguino",
-  "Gabbiano",
-  "Falco",
-  "Aquila",
-  "Gufo",
-  "Corvo",
-  "Pavone",
-  "Cigno",
-  "Airone",
-  "Fenicottero",
-  "Iena",
-  "Zebra",
-  "Giraffa",
-  "Ippopotamo",
-  "Rinoceronte",
-  "Elefante",
-  "Cammello",
-  "Cavallo",
-  "Toro",
-  "Bisonte",
-  "Canguro",
-  "Koala",
-  "Panda",
-  "Lemure",
-  "Scimmia",
-  "Gorilla",
-  "Orangotango",
-  "Armadillo",
-  "Coccodrillo",
+const CONFIDENCE_LEVELS = [1, 2, 3, 4]; // 1 = guessing, 4 = certain
+// Probe of the keyboard adjustment: random start within ± this many px of the path middle,
+// moved by the coarse step per arrow key press or the fine step with Shift held
+const PROBE_START_RANGE = 80;
+const PROBE_STEP_COARSE = 10;
+const PROBE_STEP_FINE = 1;
+const KIOSK_RETURN_MS = 30000; // kiosk: finished visitors go back to the attract loop after this
+const KIOSK_IDLE_MS = 90000; // kiosk: a visit with no touch or key press for this long is abandoned
+const ARROW_GLYPHS = { ArrowLeft: "←", ArrowRight: "→", ArrowUp: "↑", ArrowDown: "↓" };
+// Option lists hold message keys; labels are translated when rendered
+const FEEDBACK_OPTIONS = [
+  { id: FEEDBACK_FULL, label: "feedback.full" },
+  { id: FEEDBACK_BLOCK, label: "feedback.block" },
+  { id: FEEDBACK_NONE, label: "feedback.none" },
 ];
-const AUTO_NAME_ADJECTIVES = [
-  "Coraggioso",
-  "Pauroso",
-  "Rapido",
-  "Lento",
-  "Gentile",
-  "Furbo",
-  "Curioso",
-  "Audace",
-  "Calmo",
-  "Vivace",
-  "Silenzioso",
-  "Rumoroso",
-  "Allegro",
-  "Triste",
-  "Saggio",
-  "Astuto",
-  "Fiero",
-  "Agile",
-  "Robusto",
-  "Leggero",
-  "Tenace",
-  "Brillante",
-  "Ombroso",
-  "Sereno",
-  "Nervoso",
-  "Preciso",
-  "Distratto",
-  "Paziente",
-  "Impaziente",
-  "Dolce",
-  "Severo",
-  "Leale",
-  "Selvaggio",
-  "Elegante",
-  "Goffo",
-  "Generoso",
-  "Timido",
-  "Determinato",
-  "Irascibile",
-  "Riflessivo",
-  "Creativo",
-  "Energico",
-  "Instancabile",
-  "Metodico",
-  "Spavaldo",
-  "Prudente",
-  "Entusiasta",
-  "Freddoloso",
-  "Solare",
-  "Notturno",
+// Message-key stem of each mode: settings label, rest-screen name, intro copy and prompts
+const MODE_OPTIONS = [
+  { id: MODE_FLASH_LAG, key: "flashLag" },
+  { id: MODE_FLASH_INITIATED, key: "flashInitiated" },
+  { id: MODE_FLASH_TERMINATED, key: "flashTerminated" },
+  { id: MODE_DISAPPEARING, key: "disappearing" },
+];
+const modeKey = (mode) => MODE_OPTIONS.find((m) => m.id === mode)?.key ?? "flashLag";
+const modeName = (t, mode) => (MODE_OPTIONS.some((m) => m.id === mode) ? t(`mode.${modeKey(mode)}.name`) : mode);
+// Message-key stem of each trajectory: settings label and intro-copy phrase
+const TRAJECTORY_OPTIONS = [
+  { id: TRAJECTORY_LEFT_RIGHT, key: "leftRight" },
+  { id: TRAJECTORY_RIGHT_LEFT, key: "rightLeft" },
+  { id: TRAJECTORY_TOP_BOTTOM, key: "topBottom" },
+  { id: TRAJECTORY_CIRCULAR, key: "circular" },
+  { id: TRAJECTORY_RANDOM, key: "random" },
 ];
 
-const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
-const round2 = (v) => Math.round(v * 100) / 100;
-
-function computeTargetX(w, lead) {
-  return w / 2 - lead;
-}
-
-function canStartTrialLogic(trialIndex, isRun, awaiting) {
-  if (isRun) return false;
-  if (trialIndex >= 3) return false;
-  return trialIndex === 0 ? !awaiting : awaiting;
+// Caption of exported figures: the stimulus of each block, the screen calibration and the date
+function figureCaption(t, locale, blocks, calibration) {
+  const described = blocks.map((block, i) => {
+    const design = block.design ?? {};
+    const parts = [
+      modeName(t, block.mode),
+      (design.shapes ?? [block.targetShape]).map((shape) => t(`shape.${shape}`)).join("/"),
+      t("figure.speed", { speed: (design.speeds ?? [block.speed]).join("/") }),
+    ];
+    if (modeHasFlash(block.mode)) {
+      parts.push(t("figure.flash", { duration: (design.flashDurations ?? [block.flashDuration]).join("/") }));
+    }
+    const trajectory = TRAJECTORY_OPTIONS.find((option) => option.id === block.trajectory);
+    if (trajectory) parts.push(t(`trajectory.${trajectory.key}.label`).toLowerCase());
+    const text = parts.join(", ");
+    return blocks.length > 1 ? t("figure.block", { block: i + 1, text }) : text;
+  });
+  const screen = isCalibrated(calibration)
+    ? t("figure.calibrated", { pxPerDeg: round2(pixelsPerDegree(calibration)), distance: calibration.viewingDistanceCm })
+    : t("figure.uncalibrated");
+  return `${described.join("; ")}. ${screen} ${new Date().toLocaleDateString(locale)}.`;
 }
 
-function pickRandomOffset(min, max) {
-  const lo = Math.min(min, max);
-  const hi = Math.max(min, max);
-  if (hi === lo) return lo;
-  const raw = Math.random() * (hi - lo) + lo;
-  const stepped = Math.round(raw / 5) * 5;
-  return clamp(stepped, lo, hi);
+// Stimulus condition of a psychometric fit (stats.splitByCondition), worded like the captions
+function conditionLabel(t, condition) {
+  const parts = [
+    modeName(t, condition.mode),
+    t(`shape.${condition.target_shape}`),
+    t("figure.speed", { speed: condition.speed_px_s }),
+  ];
+  if (modeHasFlash(condition.mode)) {
+    parts.push(t("figure.flash", { duration: condition.flash_duration_ms }));
+    if (condition.flash_yoffset_px) parts.push(t("analysis.flashOffset", { offset: condition.flash_yoffset_px }));
+  }
+  const trajectory = TRAJECTORY_OPTIONS.find((option) => option.id === condition.trajectory);
+  if (trajectory) parts.push(t(`trajectory.${trajectory.key}.label`).toLowerCase());
+  return parts.join(", ");
 }
 
 function pickRandomWord(words) {
   return words[Math.floor(Math.random() * words.length)];
 }
 
-function makeAutoParticipantName(usedNames) {
-  const maxAttempts = AUTO_NAME_ANIMALS.length * AUTO_NAME_ADJECTIVES.length;
+// Names come from the locale's word lists, e.g. "Leone-Coraggioso" or "Brave-Lion"
+function makeAutoParticipantName(usedNames, locale) {
+  const animals = localeValue(locale, "names.animals");
+  const adjectives = localeValue(locale, "names.adjectives");
+  const maxAttempts = animals.length * adjectives.length;
   for (let i = 0; i < maxAttempts; i += 1) {
-    const animal = pickRandomWord(AUTO_NAME_ANIMALS);
-    const adjective = pickRandomWord(AUTO_NAME_ADJECTIVES);
-    const candidate = `${animal}-${adjective}`;
+    const animal = pickRandomWord(animals);
+    const adjective = pickRandomWord(adjectives);
+    const candidate = translate(locale, "names.pattern", { animal, adjective });
     if (!usedNames.has(candidate)) return candidate;
   }
 
   let suffix = 1;
-  while (usedNames.has(`Partecipante-${suffix}`)) {
+  while (usedNames.has(translate(locale, "names.fallback", { n: suffix }))) {
     suffix += 1;
   }
-  return `Partecipante-${suffix}`;
+  return translate(locale, "names.fallback", { n: suffix });
+}
+
+function formatPss(summary) {
+  return summary.pss_se_px == null ? `${summary.pss_px} px` : `${summary.pss_px} ± ${summary.pss_se_px} px`;
 }
 
-function pseudoRandomAngle(seed) {
-  let hash = 0;
-  for (let i = 0; i < seed.length; i += 1) {
-    hash = (hash << 5) - hash + seed.charCodeAt(i);
-    hash |= 0; // keep 32-bit int
+// " (4 fotogrammi = 66.67 ms)": the flash is shown for whole frames only
+function describeFlashFrames(t, durationMs, refresh) {
+  if (!refresh) return "";
+  const frames = quantiseFrames(durationMs, refresh.frameMs);
+  return t("summary.flashFrames", { frames, ms: round2(frames * refresh.frameMs) });
+}
+
+function describeSummary(t, summary) {
+  const parts = [];
+  if (summary.average_abs_error_px != null) {
+    const deg = summary.average_abs_error_deg != null ? ` (${summary.average_abs_error_deg}°)` : "";
+    parts.push(t("summary.error", { error: summary.average_abs_error_px, deg }));
   }
-  const normalized = (Math.abs(hash) % 360) * (Math.PI / 180);
-  return normalized;
+  if (summary.average_signed_error_ms != null) parts.push(t("summary.shift", { ms: summary.average_signed_error_ms }));
+  if (summary.pss_px != null) parts.push(t("summary.pss", { pss: formatPss(summary) }));
+  if (summary.average_response_time_ms != null) parts.push(t("summary.responseTime", { ms: summary.average_response_time_ms }));
+  if (summary.excluded_slow_trials) parts.push(t("summary.slowExcluded", { n: summary.excluded_slow_trials }));
+  return parts.join(" • ");
 }
 
-// Flash-Lag Illusion — Multi-Participant (centered flash, 3 trials each, leaderboard)
+function responsePrompt(t, trialMode, responseType) {
+  if (responseType === RESPONSE_2AFC) return t("prompt.respond.2afc");
+  if (responseType === RESPONSE_ADJUST) {
+    const moment = t(trialMode === MODE_DISAPPEARING ? "prompt.moment.disappeared" : "prompt.moment.flash");
+    return t("prompt.respond.adjust", { moment });
+  }
+  return t(`prompt.respond.${modeKey(trialMode)}`);
+}
+
+const startPrompt = (t, trialMode) => t(`prompt.start.${modeKey(trialMode)}`);
+
+// Device behind a button press: clicks from touch or pen carry their pointerType,
+// Enter/Space on a focused button report no pointer at all (detail 0)
+const buttonInput = (e) => e.nativeEvent.pointerType || (e.detail === 0 ? INPUT_KEYBOARD : INPUT_MOUSE);
+
+// Flash-Lag Illusion — Multi-Participant (centered flash, blocks of trials, leaderboard)
 // Responsive edition:
 // - Canvas resizes with its container via ResizeObserver
 // - Positions are scaled on resize so running trials don't jump
+// Trial logic lives in ./trialEngine; this component only drives it and renders its state.
 
 export default function FlashLagGame() {
   // Canvas + animation refs
@@ -177,110 +281,183 @@ export default function FlashLagGame() {
   const rafRef = useRef(0);
   const devicePixelRatioRef = useRef(1);
 
-  const runningRef = useRef(false);
-  const posRef = useRef(0); // moving dot x (CSS px)
-  const lastTsRef = useRef(0);
-  const eventTriggeredRef = useRef(false); // true when flash/disappearance already occurred
-  const eventXRef = useRef(null); // moving-dot x when event happens
-  const flashHideAtRef = useRef(0);
-  const currentLeadRef = useRef(0);
-  const disappearRangeRef = useRef({ min: -80, max: 80 });
-
-  // NEW: gate for the post-motion response window
-  const responseWindowRef = useRef(false);
-  const activeParticipantRef = useRef("");
+  // Trial-engine state of the current trial (positions, event time, response window)
+  const trialRef = useRef(createTrial());
 
   // UI state
   const [participant, setParticipant] = useState("");
-  const [isRunning, setIsRunning] = useState(false);
-  const [trialIdx, setTrialIdx] = useState(0); // 0..2 (3 trials)
+  const [trialPhase, setTrialPhase] = useState(PHASE_IDLE);
+  const [trialIdx, setTrialIdx] = useState(0); // trials completed in the session
   const [awaitingNext, setAwaitingNext] = useState(false);
+  const [practiceDone, setPracticeDone] = useState(0); // practice trials run by the current participant
+  const [pendingResponse, setPendingResponse] = useState(null); // { record, trialStaircases } awaiting a confidence rating
   const [showSettings, setShowSettings] = useState(false);
-  const [responseLocked, setResponseLocked] = useState(false);
-  const [mode, setMode] = useState(MODE_DISAPPEARING);
-  const [targetShape, setTargetShape] = useState(TARGET_PACMAN);
   const [showErrorCloud, setShowErrorCloud] = useState(true);
+  const [showAnalysis, setShowAnalysis] = useState(true);
+  const [showGroup, setShowGroup] = useState(false);
   const [showExplanation, setShowExplanation] = useState(false);
-
-  // Parameters
-  const [speed, setSpeed] = useState(280); // px/s
-  const [flashLead, setFlashLead] = useState(80); // px ahead of moving dot AT FLASH MOMENT (centerX − lead is trigger X)
-  const [disappearRange, setDisappearRange] = useState({ min: -80, max: 80 });
-  const [flashYOffset, setFlashYOffset] = useState(0); // px vertical offset for flash dot (positive = lower)
-  const [flashDuration, setFlashDuration] = useState(60); // ms (only for in-motion visibility)
-  const [dotRadius, setDotRadius] = useState(10);
+  const [showDebrief, setShowDebrief] = useState(false); // end-of-session results after a blind session
+  const [showRest, setShowRest] = useState(false); // rest screen between blocks
+  const [showSessionBrowser, setShowSessionBrowser] = useState(false);
+
+  // IndexedDB session the trials are written to (created lazily on the first trial)
+  const storedSessionIdRef = useRef(null);
+  const persistQueueRef = useRef(Promise.resolve()); // keeps writes in recording order
+
+  // A shared link (#config=…) sets up the session and style on load
+  const [linkConfig] = useState(() => readConfigHash(globalThis.location?.hash ?? ""));
+
+  // Session definition: blocks with their own mode, trial count and parameters
+  const [session, setSession] = useState(() => linkConfig?.config?.session ?? createSession());
+  const [editBlockIdx, setEditBlockIdx] = useState(0); // block edited in the settings panel
+  const [plan, setPlan] = useState(null); // current participant's block order + condition list
+  const [staircases, setStaircases] = useState([]); // adaptive tracks, by position in the plan
+
+  // Parameters (of the block being edited)
+  const editBlock = session.blocks[Math.min(editBlockIdx, session.blocks.length - 1)];
+  const { mode, targetShape, trajectory, speed, flashLead, disappearRange, flashYOffset, flashDuration } = editBlock;
+  const patchBlock = (patch) =>
+    setSession((prev) => {
+      const index = Math.min(editBlockIdx, prev.blocks.length - 1);
+      return updateBlock(prev, index, typeof patch === "function" ? patch(prev.blocks[index]) : patch);
+    });
+  const setMode = (value) => patchBlock({ mode: value });
+  const setTargetShape = (value) => patchBlock({ targetShape: value });
+  const setTrajectory = (value) => patchBlock({ trajectory: value });
+  const setSpeed = (value) => patchBlock({ speed: value });
+  const setFlashLead = (value) => patchBlock({ flashLead: value });
+  const setDisappearRange = (updater) =>
+    patchBlock((block) => ({ disappearRange: updater(block.disappearRange) }));
+  const setFlashYOffset = (value) => patchBlock({ flashYOffset: value });
+  const setFlashDuration = (value) => patchBlock({ flashDuration: value });
+  const setBlockTrials = (value) => patchBlock({ trials: value });
+
+  const [dotRadius, setDotRadius] = useState(linkConfig?.config?.dotRadius ?? DEFAULT_STYLE.dotRadius);
   const [bg] = useState("#0b1020");
-  const [dotColor, setDotColor] = useState("#fffb00ff");
-  const [flashColor, setFlashColor] = useState("#f97316");
+
+  // Screen calibration belongs to the device, not to the session
+  const [calibration, setCalibration] = useState(() => loadPreference("calibration", createCalibration()));
+  const [units, setUnits] = useState(() => loadPreference("units", UNITS_PX));
+  const [showCalibration, setShowCalibration] = useState(false);
+  const [replayRecord, setReplayRecord] = useState(null);
+  const [refresh, setRefresh] = useState(null); // measured display refresh { frameMs, hz }
+  const pxPerDeg = pixelsPerDegree(calibration);
+  const unitView = displayUnits(units, pxPerDeg);
+  const saveCalibration = (next) => {
+    setCalibration(next);
+    savePreference("calibration", next);
+    setShowCalibration(false);
+  };
+  const chooseUnits = (next) => {
+    setUnits(next);
+    savePreference("units", next);
+  };
+  const [dotColor, setDotColor] = useState(linkConfig?.config?.dotColor ?? DEFAULT_STYLE.dotColor);
+  const [flashColor, setFlashColor] = useState(linkConfig?.config?.flashColor ?? DEFAULT_STYLE.flashColor);
 
   // Data
   const [results, setResults] = useState([]);          // all participants' trials
   const [summary, setSummary] = useState(null);        // current participant summary
   const [summaries, setSummaries] = useState([]);      // leaderboard
 
-  const [message, setMessage] = useState("Inserisci il tuo nome per iniziare.");
-  const [, setSelfTestStatus] = useState("pending"); // kept, but NOT shown
+  // Interface language, remembered on this device
+  const [locale, setLocale] = useState(() => {
+    const saved = loadPreference("locale", DEFAULT_LOCALE);
+    return isLocale(saved) ? saved : DEFAULT_LOCALE;
+  });
+  const t = useMemo(() => makeTranslator(locale), [locale]);
+  const chooseLocale = (next) => {
+    setLocale(next);
+    savePreference("locale", next);
+  };
+  useEffect(() => {
+    document.documentElement.lang = locale;
+  }, [locale]);
+
+  // Kiosk mode: attract loop between visitors and settings behind the operator PIN.
+  // Kept on this device like the language, so a reload comes back to the attract loop.
+  const [kiosk, setKiosk] = useState(() => loadPreference("kiosk", null)); // { salt, pinHash } or { pin } while on
+  const [showAttract, setShowAttract] = useState(() => Boolean(loadPreference("kiosk", null)));
+  const [showPinPrompt, setShowPinPrompt] = useState(false);
+  const [kioskPin, setKioskPin] = useState(""); // PIN typed in the settings to turn kiosk mode on
+  // A PIN kept as typed is replaced by its hash once the browser can compute one
+  useEffect(() => {
+    let cancelled = false;
+    upgradeKioskPreference(kiosk).then((upgraded) => {
+      if (cancelled || upgraded === kiosk) return;
+      setKiosk(upgraded);
+      savePreference("kiosk", upgraded);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [kiosk]);
+
+  // The status line is stored as a function of the translator so it follows a language switch
+  const [message, setMessage] = useState(() => (tr) => tr("message.enterName"));
+  const showMessage = useCallback((text) => setMessage(() => text), []);
+
+  const isRunning = isMovingPhase(trialPhase);
+  const responseLocked = trialPhase === PHASE_FEEDBACK;
+  // Until the first trial draws a participant's plan, preview the session in declared order
+  const activePlan = useMemo(() => plan ?? planSession(session), [plan, session]);
+  const progress = sessionProgress(activePlan.session, trialIdx);
+  const currentBlock = activePlan.session.blocks[progress.blockIndex];
 
   // Layout (responsive)
-  const padding = 24;
+  const padding = STAGE_PADDING;
   // Maintain the original aspect ratio (~900x280)
   const [stageSize, setStageSize] = useState({ width: 900, height: 280 });
+  const [stageFits, setStageFits] = useState(true); // false: window too narrow for the calibrated stage
 
-  // Basic canvas helpers
-  const clear = useCallback(
-    (ctx) => {
-      ctx.fillStyle = bg;
-      ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
-    },
-    [bg]
+  const stageStyle = useMemo(
+    () => ({ bg, dotColor, flashColor, dotRadius, errorLabel: (error) => t("stage.error", { error }) }),
+    [bg, dotColor, flashColor, dotRadius, t]
   );
 
-  const drawStage = useCallback(
-    (ctx, dpr) => {
-      // Border only (guideline removed)
-      const { width, height } = stageSize;
-      const r = 16 * dpr;
-      ctx.save();
-      ctx.strokeStyle = "#1f2937";
-      ctx.lineWidth = 2 * dpr;
-      roundRect(ctx, 4 * dpr, 4 * dpr, (width - 8) * dpr, (height - 8) * dpr, r);
-      ctx.stroke();
-      ctx.restore();
+  const sessionCaption = useMemo(
+    () => figureCaption(t, locale, activePlan.session.blocks, calibration),
+    [t, locale, activePlan, calibration]
+  );
+
+  // Store the next engine state; React only re-renders on phase changes
+  const commitTrial = (next) => {
+    const prevPhase = trialRef.current.phase;
+    trialRef.current = next;
+    if (next.phase !== prevPhase) setTrialPhase(next.phase);
+  };
+
+  const paint = useCallback(
+    (ts = 0) => {
+      const canvas = canvasRef.current;
+      if (!canvas) return;
+      renderTrialFrame(canvas.getContext("2d"), devicePixelRatioRef.current, trialRef.current, ts, stageStyle);
     },
-    [stageSize]
+    [stageStyle]
   );
 
-  // Observe wrapper width & update canvas size responsively
+  // Observe wrapper width & update canvas size responsively; once calibrated the stage keeps
+  // STAGE_WIDTH_DEG instead of following the window
   useEffect(() => {
     const el = stageWrapRef.current;
     if (!el) return;
 
     const ro = new ResizeObserver((entries) => {
       for (const entry of entries) {
-        const wrapW = Math.max(320, entry.contentRect.width); // avoid too small
-        const newWidth = Math.round(wrapW);
+        const wrapW = Math.max(320, entry.contentRect.width - 2); // inside the 1 px border; avoid too small
+        const { width: newWidth, fits } = stageWidthFor(wrapW, pxPerDeg);
         const newHeight = Math.round(newWidth * ASPECT_RATIO);
 
-        setStageSize((prev) => {
-          // Scale any in-flight x positions so animation/feedback stays aligned
-          if (prev && prev.width !== newWidth) {
-            const prevPlayable = Math.max(1, prev.width - padding * 2);
-            const newPlayable  = Math.max(1, newWidth - padding * 2);
-            const scale = newPlayable / prevPlayable;
-
-            posRef.current = padding + (posRef.current - padding) * scale;
-            if (eventXRef.current != null) {
-              eventXRef.current = padding + (eventXRef.current - padding) * scale;
-            }
-          }
-          return { width: newWidth, height: newHeight };
-        });
+        // Scale any in-flight x positions so animation/feedback stays aligned
+        trialRef.current = resizeTrial(trialRef.current, newWidth, newHeight);
+        setStageSize({ width: newWidth, height: newHeight });
+        setStageFits(fits);
       }
     });
 
     ro.observe(el);
     return () => ro.disconnect();
-  }, [canvasRef]);
+  }, [canvasRef, pxPerDeg]);
 
   // Resize canvas for DPR crispness whenever stageSize changes
   useEffect(() => {
@@ -293,159 +470,232 @@ export default function FlashLagGame() {
     canvas.style.width = stageSize.width + "px";
     canvas.style.height = stageSize.height + "px";
 
-    // Repaint current static frame when not animating
-    if (!runningRef.current) {
-      const ctx = canvas.getContext("2d");
-      clear(ctx);
-      drawStage(ctx, dpr);
-      // If in response window, keep flash dot visible
-      if (responseWindowRef.current && eventTriggeredRef.current && mode === MODE_FLASH_LAG) {
-        const y = Math.floor(stageSize.height / 2);
-        const centerX = stageSize.width / 2;
-        drawDot(ctx, centerX, y + flashYOffset, dotRadius + 2, dpr, flashColor);
-      }
-    }
-  }, [stageSize.width, stageSize.height, flashYOffset, dotRadius, flashColor, clear, drawStage, mode]);
+    // Repaint current static frame (response window / feedback) when not animating
+    if (!isMoving(trialRef.current)) paint();
+  }, [stageSize.width, stageSize.height, paint]);
+
+  // Serialise IndexedDB writes; a failed write is reported on the status line and the demo
+  // carries on in memory. failure(tr, error) words the message for the write at hand.
+  const persist = (task, failure = (tr, error) => tr("message.saveFailed", { error })) => {
+    if (!isStorageAvailable()) return;
+    persistQueueRef.current = persistQueueRef.current
+      .then(task)
+      .catch((err) => showMessage((tr) => failure(tr, err.message)));
+  };
+
+  const storedSettings = () => ({ session, dotRadius, dotColor, flashColor, calibration });
+  const newSessionName = () =>
+    t("archive.sessionName", { date: new Date().toISOString().slice(0, 16).replace("T", " ") });
+
+  // Optional results server shared by several stations: { url, station } while connected
+  const [collector, setCollector] = useState(() => loadPreference("collector", null));
+  const [collectorUrl, setCollectorUrl] = useState(() => collector?.url ?? "");
+  const [stationName, setStationName] = useState(() => collector?.station ?? "");
+  const [collectorOnline, setCollectorOnline] = useState(false);
+  const [liveBoard, setLiveBoard] = useState(null); // merged leaderboard of all stations
+  const [queued, setQueued] = useState(() => queuedCount()); // records waiting for the server
+  const [rejectedCount, setRejectedCount] = useState(0); // records the server refused this session
+
+  // Rankings compare like with like: one per mode × target × speed × answer type
+  const leaderboard = useMemo(
+    () =>
+      liveBoard
+        ? mergeLeaderboards(liveBoard, results, summaries, collector.station)
+        : leaderboardSegments(results, summaries),
+    [liveBoard, results, summaries, collector]
+  );
 
-  const getPacManMouth = (timeMs) => {
-    const oscillation = (Math.sin(timeMs * 0.05) + 1) / 2; // 0..1
-    return PACMAN_MIN_MOUTH + oscillation * (PACMAN_MAX_MOUTH - PACMAN_MIN_MOUTH);
+  const flushCollector = useCallback(
+    (url) =>
+      flushOutbox(url).then(({ queued: left, rejected }) => {
+        setQueued(left);
+        if (rejected) setRejectedCount((n) => n + rejected);
+      }),
+    []
+  );
+
+  // Subscribe to the merged leaderboard and send queued records whenever the server is up
+  useEffect(() => {
+    if (!collector) return;
+    const unsubscribe = subscribeLeaderboard(collector.url, {
+      onLeaderboard: setLiveBoard,
+      onStatus: (online) => {
+        setCollectorOnline(online);
+        if (online) flushCollector(collector.url);
+      },
+    });
+    const retry = setInterval(() => flushCollector(collector.url), COLLECTOR_RETRY_MS);
+    return () => {
+      unsubscribe();
+      clearInterval(retry);
+      setCollectorOnline(false);
+      setLiveBoard(null);
+    };
+  }, [collector, flushCollector]);
+
+  const connectCollector = () => {
+    const url = normalizeCollectorUrl(collectorUrl);
+    const station = stationName.trim();
+    if (!url || !station) return;
+    const next = { url, station };
+    setCollector(next);
+    savePreference("collector", next);
   };
 
-  const drawPacMan = (ctx, xCss, yCss, radiusCss, dpr, color, mouth = PACMAN_IDLE_MOUTH) => {
-    ctx.save();
-    ctx.translate(xCss * dpr, yCss * dpr);
-    ctx.fillStyle = color;
-    ctx.beginPath();
-    ctx.moveTo(0, 0);
-    ctx.arc(0, 0, radiusCss * dpr, mouth, Math.PI * 2 - mouth, false);
-    ctx.closePath();
-    ctx.fill();
-
-    // Eye (fixed position so Pac-Man looks alive)
-    ctx.beginPath();
-    ctx.fillStyle = "#0f172a";
-    ctx.arc(radiusCss * dpr * 0.25, -radiusCss * dpr * 0.45, radiusCss * dpr * 0.18, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
+  const disconnectCollector = () => {
+    setCollector(null);
+    setRejectedCount(0);
+    savePreference("collector", null);
   };
 
-  const draw = (ts) => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const ctx = canvas.getContext("2d");
-    const dpr = devicePixelRatioRef.current;
+  // Queue a record for the server (kept while offline) and try to send it right away
+  const shareRecord = (kind, record) => {
+    if (!collector) return;
+    enqueueRecord(collector.station, kind, record);
+    setQueued(queuedCount());
+    flushCollector(collector.url);
+  };
 
-    if (!runningRef.current) {
-      // If we're in the response window, render static frame (flash dot shown only for flash-lag)
-      renderIdleOrResponseFrame(ctx, dpr);
-      return;
-    }
+  // Shareable configurations: built-in presets, preset files and links. They replace the
+  // session definition and style only; results and the calibration stay.
+  const applyConfig = (config, name) => {
+    setSession(config.session);
+    setDotRadius(config.dotRadius);
+    setDotColor(config.dotColor);
+    setFlashColor(config.flashColor);
+    setEditBlockIdx(0);
+    showMessage((tr) => tr("config.applied", { name }));
+  };
 
-    if (!lastTsRef.current) lastTsRef.current = ts;
-    const dt = (ts - lastTsRef.current) / 1000; // seconds
-    lastTsRef.current = ts;
-
-    // Advance moving dot
-    posRef.current += speed * dt;
-
-    const { width, height } = stageSize;
-    const xMax = width - padding;
-    const y = Math.floor(height / 2);
-    const centerX = width / 2;
-    const targetX = computeTargetX(width, currentLeadRef.current); // centerX - lead
-
-    // Trigger the event when we cross targetX
-    if (!eventTriggeredRef.current && posRef.current >= targetX) {
-      eventTriggeredRef.current = true;
-      eventXRef.current = posRef.current; // truth at event time
-      if (mode === MODE_FLASH_LAG) {
-        flashHideAtRef.current = ts + flashDuration; // visible briefly while in motion
-      } else {
-        posRef.current = eventXRef.current;
-        runningRef.current = false;
-        setIsRunning(false);
-        responseWindowRef.current = true;
-        setMessage(getResponsePrompt());
-        renderIdleOrResponseFrame(ctx, dpr);
-        return;
-      }
-    }
+  // The link is dropped from the address bar once read, so a reload keeps later edits
+  useEffect(() => {
+    if (!linkConfig) return;
+    history.replaceState(null, "", location.pathname + location.search);
+    showMessage((tr) =>
+      linkConfig.error ? tr("config.linkFailed", { error: linkConfig.error }) : tr("config.linkLoaded")
+    );
+  }, [linkConfig, showMessage]);
+
+  const copyConfigLink = () => {
+    const url = location.origin + location.pathname + location.search + configHash(storedSettings());
+    const copied = navigator.clipboard ? navigator.clipboard.writeText(url) : Promise.reject();
+    copied.then(
+      () => showMessage((tr) => tr("config.linkCopied")),
+      () => showMessage((tr) => tr("config.linkReady", { url }))
+    );
+  };
 
-    // Stop the animation if we reached the right boundary (flash-lag mode only)
-    if (mode === MODE_FLASH_LAG && posRef.current >= xMax) {
-      runningRef.current = false;
-      setIsRunning(false);
+  const savePresetFile = () => {
+    const doc = buildPreset(storedSettings());
+    downloadFile(`${t("export.presetFile")}_${exportStamp()}.json`, JSON.stringify(doc, null, 2), "application/json");
+  };
 
-      // Open response window: keep flash-position dot visible until user answers
-      responseWindowRef.current = true;
-      setMessage(getResponsePrompt());
-      // Draw one static frame for the response window
-      renderIdleOrResponseFrame(ctx, dpr);
+  const loadPresetFile = async (file) => {
+    let preset;
+    try {
+      preset = parsePreset(await file.text());
+    } catch (err) {
+      showMessage((tr) => tr("config.loadFailed", { file: file.name, error: err.message }));
       return;
     }
+    applyConfig(preset.config, preset.name || file.name);
+  };
 
-    // Render frame (during motion)
-    clear(ctx);
-    drawStage(ctx, dpr);
-    // Moving dot (hidden after disappearance)
-    if (!(mode === MODE_DISAPPEARING && eventTriggeredRef.current)) {
-      if (targetShape === TARGET_PACMAN) {
-        const mouthAngle = getPacManMouth(ts);
-        drawPacMan(ctx, posRef.current, y, dotRadius, dpr, dotColor, mouthAngle);
-      } else {
-        drawDot(ctx, posRef.current, y, dotRadius, dpr, dotColor);
-      }
-    }
-    // Flash dot (centered horizontally) — only during motion for flashDuration
-    if (mode === MODE_FLASH_LAG && eventTriggeredRef.current && ts <= flashHideAtRef.current) {
-      drawDot(ctx, centerX, y + flashYOffset, dotRadius + 2, dpr, flashColor);
+  // Put a stored session back on screen; `active` resumes a participant at the trial they reached
+  const restoreStoredSession = useCallback((stored, storedResults) => {
+    cancelAnimationFrame(rafRef.current);
+    storedSessionIdRef.current = stored.id;
+    trialRef.current = createTrial({ width: trialRef.current.width, height: trialRef.current.height });
+    setTrialPhase(PHASE_IDLE);
+    setPendingResponse(null);
+    setResults(storedResults);
+    setSummaries(stored.summaries);
+    setSummary(null);
+    setShowExplanation(false);
+    setShowDebrief(false);
+    setEditBlockIdx(0);
+    if (stored.settings) {
+      setSession(stored.settings.session);
+      setDotRadius(stored.settings.dotRadius);
+      setDotColor(stored.settings.dotColor);
+      setFlashColor(stored.settings.flashColor);
     }
 
-    rafRef.current = requestAnimationFrame(draw);
-  };
+    const { active } = stored;
+    if (active) {
+      setParticipant(active.participant);
+      setTrialIdx(active.trialIdx);
+      setPlan(active.plan);
+      setStaircases(active.staircases);
+      setPracticeDone(storedResults.filter((r) => r.participant === active.participant && r.practice).length);
+      setAwaitingNext(active.trialIdx > 0);
+      setShowRest(isBlockEnd(active.plan.session, active.trialIdx));
+      showMessage((tr) => tr("message.restored", { participant: active.participant, trial: active.trialIdx + 1 }));
+    } else {
+      setParticipant("");
+      setTrialIdx(0);
+      setPlan(null);
+      setStaircases([]);
+      setPracticeDone(0);
+      setAwaitingNext(false);
+      setShowRest(false);
+      showMessage((tr) => tr("message.opened", { name: stored.name, count: storedResults.length }));
+    }
+  }, [showMessage]);
 
-  const renderIdleOrResponseFrame = (ctx, dpr) => {
-    clear(ctx);
-    drawStage(ctx, dpr);
+  // Crash recovery: reopen the last session that was not closed, mid-participant if needed
+  useEffect(() => {
+    if (!isStorageAvailable()) return;
+    let cancelled = false;
+    findUnfinishedSession()
+      .then(async (stored) => {
+        if (!stored || cancelled) return;
+        const loaded = await loadStoredSession(stored.id);
+        if (!cancelled) restoreStoredSession(loaded.stored, loaded.results);
+      })
+      .catch((err) => showMessage((tr) => tr("message.restoreFailed", { error: err.message })));
+    return () => {
+      cancelled = true;
+    };
+  }, [restoreStoredSession, showMessage]);
 
-    // During response window (flash-lag mode), show the flash dot persistently at its position
-    if (responseWindowRef.current && eventTriggeredRef.current && mode === MODE_FLASH_LAG) {
-      const y = Math.floor(stageSize.height / 2);
-      const centerX = stageSize.width / 2;
-      drawDot(ctx, centerX, y + flashYOffset, dotRadius + 2, dpr, flashColor);
-    }
+  // Refresh rate is measured before each participant (and on load); trials use its frame length
+  const remeasureRefresh = () => {
+    measureRefreshRate().then(setRefresh);
   };
-
-  const drawDot = (ctx, xCss, yCss, radiusCss, dpr, color) => {
-    ctx.save();
-    ctx.fillStyle = color;
-    ctx.beginPath();
-    ctx.arc(xCss * dpr, yCss * dpr, radiusCss * dpr, 0, Math.PI * 2);
-    ctx.fill();
-    ctx.restore();
+  useEffect(() => {
+    let cancelled = false;
+    measureRefreshRate().then((measured) => {
+      if (!cancelled) setRefresh(measured);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const openStoredSession = async (id) => {
+    const previousId = storedSessionIdRef.current;
+    const loaded = await loadStoredSession(id);
+    persist(async () => {
+      if (previousId) await updateStoredSession(previousId, { closed: true });
+      await updateStoredSession(id, { closed: false });
+    });
+    restoreStoredSession(loaded.stored, loaded.results);
+    setShowSessionBrowser(false);
+    paint();
   };
 
-  function roundRect(ctx, x, y, w, h, r) {
-    const rr = Math.min(r, w / 2, h / 2);
-    ctx.beginPath();
-    ctx.moveTo(x + rr, y);
-    ctx.arcTo(x + w, y, x + w, y + h, rr);
-    ctx.arcTo(x + w, y + h, x, y + h, rr);
-    ctx.arcTo(x, y + h, x, y, rr);
-    ctx.arcTo(x, y, x + w, y, rr);
-    ctx.closePath();
-  }
-
-  const getResponsePrompt = () =>
-    mode === MODE_DISAPPEARING
-      ? "Fai clic dove il bersaglio è scomparso."
-      : "Fai clic dove si trovava il bersaglio in movimento quando è apparso il flash.";
-
-  const getStartPrompt = () =>
-    mode === MODE_DISAPPEARING
-      ? "Osserva il bersaglio in movimento. Rispondi dopo che è scomparso."
-      : "Osserva il bersaglio in movimento. Rispondi dopo che il bersaglio è scomparso.";
+  const draw = (ts) => {
+    const next = advanceTrial(trialRef.current, ts);
+    commitTrial(next);
+    paint(ts);
+
+    if (isMoving(next)) {
+      rafRef.current = requestAnimationFrame(draw);
+    } else if (next.phase === PHASE_AWAITING_RESPONSE) {
+      showMessage((tr) => responsePrompt(tr, next.mode, next.responseType));
+    }
+  };
 
   // Start a trial
   const startTrial = () => {
@@ -456,44 +706,99 @@ export default function FlashLagGame() {
     const trimmed = participant.trim();
     const usedNames = new Set(results.map((r) => r.participant));
     const autoAssigned = !trimmed;
-    const resolvedParticipant = autoAssigned ? makeAutoParticipantName(usedNames) : trimmed;
+    const resolvedParticipant = autoAssigned ? makeAutoParticipantName(usedNames, locale) : trimmed;
 
-    activeParticipantRef.current = resolvedParticipant;
     setParticipant(resolvedParticipant);
 
-    posRef.current = padding; // reset to left
-    lastTsRef.current = 0;
-    eventTriggeredRef.current = false;
-    eventXRef.current = null;
-    flashHideAtRef.current = 0;
-    responseWindowRef.current = false;
-
-    const leadForTrial =
-      mode === MODE_DISAPPEARING
-        ? pickRandomOffset(disappearRange.min, disappearRange.max)
-        : flashLead;
-    disappearRangeRef.current = { ...disappearRange };
-    currentLeadRef.current = leadForTrial;
-
-    // unlock response collection at the start of the trial
-    setResponseLocked(false);
-
-    runningRef.current = true;
-    setIsRunning(true);
+    // First trial: shuffle this participant's conditions and pick their block order
+    // Practice trials come before the first counted trial; a catch trial may follow any counted
+    // trial. Neither uses up a condition or moves a staircase.
+    const { practiceTrials = 0, catchRate = 0 } = activePlan.session;
+    const lastRecord = results[results.length - 1];
+    const practice = trialIdx === 0 && practiceDone < practiceTrials;
+    const catchTrial =
+      !practice &&
+      trialIdx > 0 &&
+      lastRecord?.participant === resolvedParticipant &&
+      isCountedTrial(lastRecord) &&
+      Math.random() < catchRate;
+    const extra = practice || catchTrial;
+
+    let trialPlan = activePlan;
+    if (trialIdx === 0 && !practice) {
+      const row = usedNames.size - (usedNames.has(resolvedParticipant) ? 1 : 0); // practice rows carry the name already
+      trialPlan = planSession(session, { row, random: Math.random });
+      setPlan(trialPlan);
+    }
+    const { blockIndex, completedInBlock } = sessionProgress(trialPlan.session, trialIdx);
+    const block = trialPlan.session.blocks[blockIndex];
+    const condition = extra ? null : trialPlan.conditions[blockIndex]?.[completedInBlock] ?? null;
+    const adaptive = !extra && isStaircaseBlock(block);
+    let lead = condition ? condition.lead : pickTrialLead(block);
+    if (adaptive) {
+      // The staircase places this trial's flash lead
+      lead = nextLead(staircases[blockIndex] ?? createStaircase(block.staircase));
+    }
+
+    const trial = createTrial({
+      participant: resolvedParticipant,
+      trialNumber: trialIdx + 1,
+      block: blockIndex + 1,
+      blockId: block.id,
+      trialInBlock: completedInBlock + 1,
+      conditionId: condition ? condition.id : null,
+      mode: block.mode,
+      targetShape: condition ? condition.targetShape : block.targetShape,
+      responseType: catchTrial && blockResponseType(block) !== RESPONSE_ADJUST ? RESPONSE_CLICK : blockResponseType(block),
+      trajectory: pickTrajectory(block.trajectory),
+      width: stageSize.width,
+      height: stageSize.height,
+      padding,
+      speed: condition ? condition.speed : block.speed,
+      lead,
+      disappearRange: condition ? { min: lead, max: lead } : block.disappearRange,
+      flashYOffset: block.flashYOffset,
+      flashDuration: condition ? condition.flashDuration : block.flashDuration,
+      pxPerDeg,
+      frameMs: refresh ? refresh.frameMs : DEFAULT_FRAME_MS,
+      probeOffset: pickRandomOffset(-PROBE_START_RANGE, PROBE_START_RANGE),
+      practice,
+      showFeedback: practice || (activePlan.session.feedback ?? FEEDBACK_FULL) === FEEDBACK_FULL,
+      catchType: catchTrial ? (modeHasFlash(block.mode) ? CATCH_FLASH_ON_TARGET : CATCH_VISIBLE_STOP) : null,
+    });
+    commitTrial(beginTrial(trial));
+
     setAwaitingNext(false);
-    setMessage(
-      autoAssigned
-        ? `Nome assegnato automaticamente: ${resolvedParticipant}. ${getStartPrompt()}`
-        : getStartPrompt()
-    );
+    const practiceNumber = practiceDone + 1;
+    showMessage((tr) => {
+      const prompt = practice
+        ? tr("message.practiceTrial", { n: practiceNumber, total: practiceTrials, prompt: startPrompt(tr, block.mode) })
+        : startPrompt(tr, block.mode);
+      return autoAssigned ? tr("message.autoName", { name: resolvedParticipant, prompt }) : prompt;
+    });
     rafRef.current = requestAnimationFrame(draw);
   };
 
+  // Per-participant progress back to the first trial; results and summaries are kept
+  const clearParticipantState = () => {
+    remeasureRefresh();
+    setSummary(null);
+    setTrialIdx(0);
+    setAwaitingNext(false);
+    setShowExplanation(false);
+    setShowDebrief(false);
+    setShowRest(false);
+    setEditBlockIdx(0);
+    setPlan(null);
+    setStaircases([]);
+    setPracticeDone(0);
+  };
+
   // Start a fresh participant without clearing prior results/summaries
   const startNewParticipant = () => {
     const baseName = participant.trim();
     if (!baseName) {
-      setMessage("Inserisci un nuovo nome partecipante.");
+      showMessage((tr) => tr("message.enterNewName"));
       return;
     }
 
@@ -508,251 +813,424 @@ export default function FlashLagGame() {
       setParticipant(uniqueName);
     }
 
-    setSummary(null);
-    setTrialIdx(0);
-    setAwaitingNext(false);
-    setShowExplanation(false);
-    setMessage(
-      `${uniqueName !== baseName ? `Nome già usato. Impostato su ${uniqueName}. ` : ""}Pronto per la prova 1. ${getStartPrompt()}`
+    clearParticipantState();
+    const renamed = uniqueName !== baseName;
+    const firstMode = session.counterbalance ? null : session.blocks[0].mode;
+    showMessage((tr) =>
+      [renamed && tr("message.nameTaken", { name: uniqueName }), tr("message.ready"), firstMode && startPrompt(tr, firstMode)]
+        .filter(Boolean)
+        .join(" ")
     );
   };
 
-  // Handle response — only after motion finished AND flash happened
-  const onCanvasClick = (e) => {
-    if (responseLocked) return;
-    if (!responseWindowRef.current) return;                 // accept only after dot has disappeared
-    if (!eventTriggeredRef.current || eventXRef.current == null) return;
+  // Handle response — the engine only accepts it once motion finished AND the event happened
+  const answerAt = (click, input) => {
+    const response = respondToTrial(trialRef.current, click, { input });
+    if (!response) return;
+
+    cancelAnimationFrame(rafRef.current);
+
+    // Visual feedback: flash dot + truth + click marker + error bar
+    commitTrial(response.trial);
+    paint();
+    finishResponse(response.record);
+  };
 
+  const stagePoint = (e) => {
     const rect = canvasRef.current.getBoundingClientRect();
-    const clickX = e.clientX - rect.left; // CSS px
+    return { x: e.clientX - rect.left, y: e.clientY - rect.top }; // CSS px
+  };
 
-    // close response window
-    responseWindowRef.current = false;
+  // Mouse and pen answer where they press. A touch shows a reticle above the finger that
+  // follows it, and the answer lands under the reticle when the finger lifts.
+  const onStagePointerDown = (e) => {
+    if (e.pointerType !== INPUT_TOUCH) {
+      if (e.button === 0) answerAt(stagePoint(e), e.pointerType || INPUT_MOUSE);
+      return;
+    }
+    if (!e.isPrimary) return; // a second finger does not move the reticle
+    const aimed = aimAt(trialRef.current, stagePoint(e));
+    if (!aimed) return;
+    e.currentTarget.setPointerCapture(e.pointerId);
+    commitTrial(aimed);
+    paint();
+  };
 
-    runningRef.current = false;
-    setIsRunning(false);
-    cancelAnimationFrame(rafRef.current);
+  const onStagePointerMove = (e) => {
+    if (e.pointerType !== INPUT_TOUCH || !e.isPrimary || !trialRef.current.aim) return;
+    const aimed = aimAt(trialRef.current, stagePoint(e));
+    if (!aimed) return;
+    commitTrial(aimed);
+    paint();
+  };
+
+  const onStagePointerUp = (e) => {
+    const { aim } = trialRef.current;
+    if (e.pointerType !== INPUT_TOUCH || !e.isPrimary || !aim) return;
+    answerAt(aim, INPUT_TOUCH);
+  };
+
+  const onStagePointerCancel = () => {
+    if (!trialRef.current.aim) return;
+    commitTrial(clearAim(trialRef.current));
+    paint();
+  };
+
+  // 2AFC answer: staircase blocks update their track first, then it is recorded like a click
+  const onJudge = (judgement, input = INPUT_KEYBOARD, key = null) => {
+    const response = judgeTrial(trialRef.current, judgement, { input, key });
+    if (!response) return;
+
+    commitTrial(response.trial);
+    paint();
+
+    const { blockIndex } = progress;
+    const block = activePlan.session.blocks[blockIndex];
+    if (!isStaircaseBlock(block) || response.trial.practice) {
+      finishResponse(response.record);
+      return;
+    }
+    const before = staircases[blockIndex] ?? createStaircase(block.staircase);
+    const updated = updateStaircase(before, response.record.lead_px, judgement);
+    const estimate = estimatePss(updated);
+    const nextStaircases = [...staircases];
+    nextStaircases[blockIndex] = updated;
+    setStaircases(nextStaircases);
+
+    finishResponse({
+      ...response.record,
+      staircase_method: block.staircase.method,
+      staircase_reversal: updated.track[updated.track.length - 1].reversal,
+      staircase_next_lead_px: nextLead(updated),
+      pss_estimate_px: estimate ? estimate.pss : null,
+      pss_se_px: estimate ? estimate.se : null,
+    }, nextStaircases);
+  };
+  const judgeRef = useRef(onJudge);
+  judgeRef.current = onJudge;
+
+  // Method of adjustment: Enter/Space scores the probe like a click
+  const onConfirmAdjustment = (input = INPUT_KEYBOARD) => {
+    const response = confirmAdjustment(trialRef.current, { input });
+    if (!response) return;
+
+    commitTrial(response.trial);
+    paint();
+    finishResponse(response.record);
+  };
+  const confirmAdjustmentRef = useRef(onConfirmAdjustment);
+  confirmAdjustmentRef.current = onConfirmAdjustment;
+
+  // Arrow keys nudge the probe along the path: a key moves it forwards or backwards
+  // depending on how it lines up with the direction of motion at the probe
+  const adjustProbe = (key, fine) => {
+    const trial = trialRef.current;
+    const sense = arrowSense(key, motionDirection(trial, trial.probePos));
+    if (!sense) return;
+    const next = nudgeProbe(trial, sense * (fine ? PROBE_STEP_FINE : PROBE_STEP_COARSE));
+    if (!next) return;
+    commitTrial(next);
+    paint();
+  };
+  const adjustProbeRef = useRef(adjustProbe);
+  adjustProbeRef.current = adjustProbe;
 
-    // Ground truth = moving dot x at flash time (constrained)
-    const { width } = stageSize;
-    const truth = clamp(eventXRef.current, padding, width - padding);
-    const signedError = clickX - truth;
-    const absError = Math.abs(signedError);
-    const trialParticipant = activeParticipantRef.current || participant.trim();
-
-    const trial = {
-      participant: trialParticipant,
-      trial: trialIdx + 1,
-      mode,
-      target_shape: targetShape,
-      abs_error_px: round2(absError),
-      // keep internal bookkeeping (not shown in Results)
-      speed_px_s: speed,
-      lead_px: round2(currentLeadRef.current),
-      disappear_range_min_px:
-        mode === MODE_DISAPPEARING ? disappearRangeRef.current.min : null,
-      disappear_range_max_px:
-        mode === MODE_DISAPPEARING ? disappearRangeRef.current.max : null,
-      flash_yoffset_px: flashYOffset,
-      flash_duration_ms: flashDuration,
-      truth_x_px: round2(truth),
-      click_x_px: round2(clickX),
-      signed_error_px: round2(signedError),
-      timestamp: new Date().toISOString(),
+  // Keyboard answers while the response window is open: arrow keys for the 2AFC question
+  // (relative to the direction of motion), arrows + Enter/Space for the adjustment probe
+  useEffect(() => {
+    if (trialPhase !== PHASE_AWAITING_RESPONSE) return;
+    const onKeyDown = (e) => {
+      const { responseType } = trialRef.current;
+      if (responseType === RESPONSE_ADJUST) {
+        if (ARROW_VECTORS[e.key]) {
+          e.preventDefault();
+          adjustProbeRef.current(e.key, e.shiftKey);
+        } else if (e.key === "Enter" || e.key === " ") {
+          e.preventDefault();
+          confirmAdjustmentRef.current();
+        }
+        return;
+      }
+      if (responseType !== RESPONSE_2AFC) return;
+      const keys = answerKeys(trialRef.current);
+      if (keys.ahead.includes(e.key)) judgeRef.current(RESPONSE_AHEAD, INPUT_KEYBOARD, e.key);
+      if (keys.behind.includes(e.key)) judgeRef.current(RESPONSE_BEHIND, INPUT_KEYBOARD, e.key);
     };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [trialPhase]);
+
+  // Flag answers slower than the session limit, then ask for a confidence rating first
+  // when the session wants one
+  const finishResponse = (record, trialStaircases = staircases) => {
+    const { askConfidence, maxResponseMs } = activePlan.session;
+    const flagged = { ...record, slow_excluded: isTooSlow(record.response_time_ms, maxResponseMs) };
+    if (!askConfidence) {
+      recordTrial(flagged, trialStaircases);
+      return;
+    }
+    setPendingResponse({ record: flagged, trialStaircases });
+    showMessage((tr) => tr("message.confidence"));
+  };
+
+  const onConfidence = (level) => {
+    if (!pendingResponse) return;
+    setPendingResponse(null);
+    recordTrial({ ...pendingResponse.record, confidence: level }, pendingResponse.trialStaircases);
+  };
+  const confidenceRef = useRef(onConfidence);
+  confidenceRef.current = onConfidence;
 
+  // Number keys 1–4 give the confidence rating
+  useEffect(() => {
+    if (!pendingResponse) return;
+    const onKeyDown = (e) => {
+      const level = Number(e.key);
+      if (CONFIDENCE_LEVELS.includes(level)) confidenceRef.current(level);
+    };
+    window.addEventListener("keydown", onKeyDown);
+    return () => window.removeEventListener("keydown", onKeyDown);
+  }, [pendingResponse]);
+
+  // Store a finished trial and move the session forward
+  const recordTrial = (trial, trialStaircases = staircases) => {
+    if (!isCountedTrial(trial)) {
+      recordExtraTrial(trial, trialStaircases);
+      return;
+    }
+    const trialParticipant = trial.participant;
     const newResults = [...results, trial];
     setResults(newResults);
-
-    // Visual feedback: flash dot + truth + click marker + error bar
-    drawFeedback(truth, clickX);
-
-    // lock further responses for this trial
-    setResponseLocked(true);
+    shareRecord(COLLECTOR_TRIAL, trial);
 
     // Prepare next step
     const completedTrials = trialIdx + 1;
     setTrialIdx(completedTrials);
+    const sessionDone = completedTrials >= progress.totalTrials;
+    const newSummary = sessionDone
+      ? summarizeSession(newResults, trialParticipant, { catchFailLimit: activePlan.session.catchFailLimit })
+      : null;
+    const newSummaries = newSummary
+      ? [...summaries.filter((s) => s.participant !== newSummary.participant), newSummary]
+      : summaries;
+
+    // Write the trial through to IndexedDB together with what is needed to resume this participant
+    const settings = storedSettings();
+    const active = sessionDone
+      ? null
+      : { participant: trialParticipant, trialIdx: completedTrials, plan: activePlan, staircases: trialStaircases };
+    persist(async () => {
+      if (!storedSessionIdRef.current) {
+        storedSessionIdRef.current = (await createStoredSession({ settings, name: newSessionName() })).id;
+      }
+      await saveTrial(storedSessionIdRef.current, trial, { settings, summaries: newSummaries, active });
+    });
 
-    if (completedTrials >= 3) {
-      const rowsThisParticipant = newResults.filter((r) => r.participant === trialParticipant);
-      const avg = rowsThisParticipant.reduce((a, r) => a + r.abs_error_px, 0) / rowsThisParticipant.length;
-      const newSummary = { participant: trialParticipant, average_abs_error_px: round2(avg) };
+    if (sessionDone) {
       setSummary(newSummary);
-      setSummaries((prev) => {
-        const withoutDup = prev.filter((s) => s.participant !== newSummary.participant);
-        return [...withoutDup, newSummary];
-      });
-      setShowExplanation(true);
-      setMessage(`Tutte le prove completate per ${trialParticipant}. Errore medio = ${round2(avg)} px. Inserisci un altro nome per continuare.`);
+      setSummaries(newSummaries);
+      if (newSummary) shareRecord(COLLECTOR_SUMMARY, newSummary);
+      if (isBlindSession(activePlan.session)) {
+        setShowDebrief(true);
+      } else {
+        setShowExplanation(true);
+      }
+      showMessage((tr) =>
+        tr("message.sessionDone", { participant: trialParticipant, summary: describeSummary(tr, newSummary) })
+      );
       setAwaitingNext(false);
+    } else if (isBlockEnd(activePlan.session, completedTrials)) {
+      setShowRest(true);
+      const finishedBlock = progress.blockIndex + 1;
+      showMessage((tr) => tr("message.blockDone", { block: finishedBlock }));
+      setAwaitingNext(true);
     } else {
-      setMessage('Risposta registrata. Clicca su "Prossima prova" quando sei pronto.');
+      showMessage((tr) => tr("message.recorded"));
       setAwaitingNext(true);
     }
   };
 
-  const drawFeedback = (truthX, clickX) => {
-    const canvas = canvasRef.current;
-    const ctx = canvas.getContext("2d");
-    const dpr = devicePixelRatioRef.current;
-    clear(ctx);
-    drawStage(ctx, dpr);
-
-    const y = Math.floor(stageSize.height / 2);
-    const centerX = stageSize.width / 2;
+  // Practice and catch trials are stored but leave the trial counter where it was
+  const recordExtraTrial = (trial, trialStaircases) => {
+    setResults([...results, trial]);
+    shareRecord(COLLECTOR_TRIAL, trial);
+    const settings = storedSettings();
+    const active = { participant: trial.participant, trialIdx, plan: activePlan, staircases: trialStaircases };
+    persist(async () => {
+      if (!storedSessionIdRef.current) {
+        storedSessionIdRef.current = (await createStoredSession({ settings, name: newSessionName() })).id;
+      }
+      await saveTrial(storedSessionIdRef.current, trial, { settings, active });
+    });
 
-    // Flash position dot (persist) only for flash-lag mode
-    if (mode === MODE_FLASH_LAG) {
-      drawDot(ctx, centerX, y + flashYOffset, dotRadius + 2, dpr, flashColor);
-    }
-    // True moving-dot position at event time
-    if (targetShape === TARGET_PACMAN) {
-      drawPacMan(ctx, truthX, y, dotRadius, dpr, dotColor, PACMAN_IDLE_MOUTH);
+    if (trial.practice) {
+      const done = practiceDone + 1;
+      setPracticeDone(done);
+      const left = (activePlan.session.practiceTrials ?? 0) - done;
+      showMessage((tr) =>
+        left > 1 ? tr("message.practiceLeft", { n: left }) : tr(left === 1 ? "message.practiceLeftOne" : "message.practiceOver")
+      );
     } else {
-      drawDot(ctx, truthX, y, dotRadius, dpr, dotColor);
+      showMessage((tr) => tr("message.recorded"));
     }
-
-    // Click marker
-    ctx.save();
-    ctx.strokeStyle = "#10b981";
-    ctx.lineWidth = 2 * dpr;
-    ctx.beginPath();
-    ctx.arc(clickX * dpr, y * dpr, (dotRadius + 6) * dpr, 0, Math.PI * 2);
-    ctx.stroke();
-    ctx.restore();
-
-    // Horizontal error bar
-    ctx.save();
-    ctx.strokeStyle = "#e5e7eb";
-    ctx.setLineDash([6 * dpr, 6 * dpr]);
-    ctx.beginPath();
-    ctx.moveTo(truthX * dpr, (y - 36) * dpr);
-    ctx.lineTo(clickX * dpr, (y - 36) * dpr);
-    ctx.stroke();
-
-    ctx.setLineDash([]);
-    ctx.beginPath();
-    ctx.moveTo(truthX * dpr, (y - 42) * dpr);
-    ctx.lineTo(truthX * dpr, (y - 30) * dpr);
-    ctx.moveTo(clickX * dpr, (y - 42) * dpr);
-    ctx.lineTo(clickX * dpr, (y - 30) * dpr);
-    ctx.stroke();
-
-    ctx.fillStyle = "#e5e7eb";
-    ctx.font = `${14 * dpr}px ui-sans-serif, system-ui, -apple-system`;
-    const err = (clickX - truthX).toFixed(1);
-    ctx.fillText(`error: ${err} px`, ((truthX + clickX) / 2) * dpr - 40 * dpr, (y - 50) * dpr);
-    ctx.restore();
-  };
-
-  const stop = () => {
-    runningRef.current = false;
-    setIsRunning(false);
-    cancelAnimationFrame(rafRef.current);
+    setAwaitingNext(trialIdx > 0);
   };
 
+  // Clears the screen and starts a new stored session; the old one stays in the archive
   const reset = () => {
-    stop();
+    cancelAnimationFrame(rafRef.current);
+    const previousId = storedSessionIdRef.current;
+    storedSessionIdRef.current = null;
+    if (previousId) persist(() => updateStoredSession(previousId, { closed: true }));
+    commitTrial(createTrial({ width: stageSize.width, height: stageSize.height, padding }));
     setResults([]);
     setSummary(null);
     setSummaries([]);
     setTrialIdx(0);
     setAwaitingNext(false);
+    setShowRest(false);
+    setEditBlockIdx(0);
+    setPlan(null);
+    setStaircases([]);
+    setPendingResponse(null);
+    setPracticeDone(0);
     setParticipant("");
-    activeParticipantRef.current = "";
-    responseWindowRef.current = false;
-    eventTriggeredRef.current = false;
-    eventXRef.current = null;
-    setMessage("Inserisci il tuo nome per iniziare.");
-    const canvas = canvasRef.current;
-    if (canvas) {
-      const ctx = canvas.getContext("2d");
-      clear(ctx);
-      drawStage(ctx, devicePixelRatioRef.current);
-    }
+    showMessage((tr) => tr("message.enterName"));
+    paint();
   };
 
-  // Export CSV (full log + leaderboard)
-  // --------------------------
-  // Lightweight self-tests (silent)
-  // --------------------------
-  const runSelfTests = useCallback(() => {
-    try {
-      console.assert(clamp(5, 0, 10) === 5, "clamp in-range");
-      console.assert(round2(1.2345) === 1.23, "round2 works");
-      console.assert(computeTargetX(900, 80) === 370, "targetX 900, lead 80 => 450-80");
-      console.assert(canStartTrialLogic(0, false, false) === true, "trial0 start enabled");
-      console.assert(canvasRef.current instanceof HTMLCanvasElement, "canvas exists");
-      console.assert(pickRandomOffset(10, 10) === 10, "constant offset range");
-      return true;
-    } catch {
-      return false;
+  // Kiosk: back to the attract loop, ready for the next visitor
+  const returnToAttract = () => {
+    cancelAnimationFrame(rafRef.current);
+    commitTrial(createTrial({ width: stageSize.width, height: stageSize.height, padding }));
+    clearParticipantState();
+    setPendingResponse(null);
+    setParticipant("");
+    setShowAttract(true);
+    // A visitor who walked away is not resumed after a reload
+    const storedId = storedSessionIdRef.current;
+    if (storedId) persist(() => updateStoredSession(storedId, { active: null }));
+    showMessage((tr) => tr("message.enterName"));
+    paint();
+  };
+  const returnToAttractRef = useRef(returnToAttract);
+  returnToAttractRef.current = returnToAttract;
+
+  // A touch on the attract loop brings in the next visitor under an automatic name
+  const startKioskVisit = () => {
+    const name = makeAutoParticipantName(new Set(results.map((r) => r.participant)), locale);
+    setShowAttract(false);
+    setParticipant(name);
+    const firstMode = session.counterbalance ? null : session.blocks[0].mode;
+    showMessage((tr) => [tr("kiosk.welcome", { name }), firstMode && startPrompt(tr, firstMode)].filter(Boolean).join(" "));
+  };
+
+  const startKiosk = async () => {
+    if (!isValidPin(kioskPin)) return;
+    const next = await lockWithPin(kioskPin);
+    setKiosk(next);
+    savePreference("kiosk", next);
+    setKioskPin("");
+    setShowSettings(false);
+    returnToAttract();
+    if (document.fullscreenEnabled) document.documentElement.requestFullscreen().catch(() => {});
+  };
+
+  const stopKiosk = () => {
+    setKiosk(null);
+    savePreference("kiosk", null);
+    if (document.fullscreenElement) document.exitFullscreen().catch(() => {});
+  };
+
+  // In kiosk mode the settings (and the reset inside them) open only with the PIN
+  const toggleSettings = () => {
+    if (kiosk && !showSettings) {
+      setShowPinPrompt(true);
+      return;
     }
-  }, [canvasRef]);
+    setShowSettings((open) => !open);
+  };
 
-  // One-time initial paint + silent self-tests
+  // One-time initial paint
   useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const ctx = canvas.getContext("2d");
-    clear(ctx);
-    drawStage(ctx, devicePixelRatioRef.current);
-
-    const passed = runSelfTests();
-    setSelfTestStatus(passed ? "passed" : "failed"); // not shown in UI
+    paint();
 
     return () => cancelAnimationFrame(rafRef.current);
-  }, [clear, drawStage, runSelfTests]);
+  }, [paint]);
+
+  const trialsRemaining = progress.remainingInBlock;
+  const canStartTrial = !showRest && !pendingResponse && canStartTrialLogic(trialIdx, isRunning, awaitingNext, progress.totalTrials);
+  const canStartNewParticipant = !isRunning && progress.isSessionComplete;
+  const activeMode = currentBlock.mode;
+  const activeTargetShape = currentBlock.targetShape;
+  const shapeKey = activeTargetShape === TARGET_PACMAN ? "pacman" : "dot";
+  const targetLabel = t(`target.${shapeKey}`);
+  const trajectoryKey = TRAJECTORY_OPTIONS.find((option) => option.id === currentBlock.trajectory)?.key ?? "leftRight";
+  const introCopy = t(`intro.${modeKey(activeMode)}`, {
+    target: targetLabel,
+    subject: t(`subject.${shapeKey}`),
+    motion: t(`trajectory.${trajectoryKey}.motion`),
+    flashPlace: t(currentBlock.trajectory === TRAJECTORY_CIRCULAR ? "flashPlace.circle" : "flashPlace.centre"),
+  });
+  const trimmedParticipant = participant.trim();
+  // Blind sessions keep every error out of sight until the debrief
+  const resultsHidden = isBlindSession(activePlan.session) && !progress.isSessionComplete;
+  const blockSummaries = useMemo(
+    () => summarizeBlocks(results, trimmedParticipant),
+    [results, trimmedParticipant]
+  );
 
+  // Finished kiosk visitors get some time with the explanation, then the attract loop returns
+  const kioskVisitDone = Boolean(kiosk) && progress.isSessionComplete && !showAttract;
   useEffect(() => {
-    if (isRunning) return;
-    currentLeadRef.current =
-      mode === MODE_DISAPPEARING
-        ? (disappearRange.min + disappearRange.max) / 2
-        : flashLead;
-    if (mode === MODE_DISAPPEARING) {
-      disappearRangeRef.current = {
-        min: disappearRange.min,
-        max: disappearRange.max,
-      };
-    }
-  }, [mode, disappearRange.min, disappearRange.max, flashLead, isRunning]);
-
-  const trialsRemaining = Math.max(0, 3 - trialIdx);
-  const canStartTrial = canStartTrialLogic(trialIdx, isRunning, awaitingNext);
-  const canStartNewParticipant = !isRunning && trialIdx >= 3;
-  const leadLabel =
-    mode === MODE_DISAPPEARING
-      ? `Intervallo di scomparsa: ${disappearRange.min} – ${disappearRange.max} px`
-      : `Lead del flash: ${flashLead} px`;
-  const targetLabel = targetShape === TARGET_PACMAN ? "Pac-Man" : "punto";
-  const targetSubject = targetShape === TARGET_PACMAN ? "Pac-Man" : "il punto";
-  const introCopy =
-    mode === MODE_FLASH_LAG
-      ? `Modalità flash-lag: ${targetLabel} si muove da sinistra a destra mentre un secondo punto lampeggia brevemente al centro. Quando termina il movimento, fai clic dove pensi che ${targetSubject} fosse al momento del flash.`
-      : `Modalità scomparsa: ${targetLabel} si muove da sinistra a destra e ad un certo punto scompare. Fai clic sul punto dove pensi che ${targetSubject} sia scomparso.`;
-  const trimmedParticipant = participant.trim();
+    if (!kioskVisitDone) return;
+    const timer = setTimeout(() => returnToAttractRef.current(), KIOSK_RETURN_MS);
+    return () => clearTimeout(timer);
+  }, [kioskVisitDone]);
+  const kioskNote = kiosk ? t("kiosk.returning", { seconds: KIOSK_RETURN_MS / 1000 }) : null;
+
+  // Visitors who leave mid-session: without any touch or key press the attract loop returns.
+  // Not while the operator has the settings open.
+  const kioskVisitOpen =
+    Boolean(kiosk) && !progress.isSessionComplete && !showAttract && !showSettings && !showPinPrompt;
+  useEffect(() => {
+    if (!kioskVisitOpen) return;
+    let timer = 0;
+    const restart = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => returnToAttractRef.current(), KIOSK_IDLE_MS);
+    };
+    restart();
+    window.addEventListener("pointerdown", restart);
+    window.addEventListener("keydown", restart);
+    return () => {
+      clearTimeout(timer);
+      window.removeEventListener("pointerdown", restart);
+      window.removeEventListener("keydown", restart);
+    };
+  }, [kioskVisitOpen]);
+
+  const continueAfterRest = () => {
+    setShowRest(false);
+    setEditBlockIdx(currentBlock.id - 1);
+    const { blockIndex, blockCount } = progress;
+    const nextMode = currentBlock.mode;
+    showMessage((tr) => tr("message.blockStart", { block: blockIndex + 1, count: blockCount, prompt: startPrompt(tr, nextMode) }));
+  };
 
+  // 2D error vectors in the frame of the motion: along the path (ahead +) and across it
   const errorPoints = useMemo(() => {
     if (!results.length) return [];
     return results
-      .map((trial, index) => {
-        const signedError =
-          typeof trial.signed_error_px === "number"
-            ? trial.signed_error_px
-            : typeof trial.abs_error_px === "number"
-            ? trial.abs_error_px
-            : null;
-        if (signedError == null || !Number.isFinite(signedError)) return null;
-        const magnitude = Math.abs(signedError);
-        const seed = `${trial.participant}-${trial.trial}-${trial.timestamp ?? ""}-${index}`;
-        const angle = pseudoRandomAngle(seed);
+      .map((trial) => {
+        const signedError = trial.signed_error_px;
+        if (trial.slow_excluded || !isCountedTrial(trial) || typeof signedError !== "number" || !Number.isFinite(signedError)) return null;
+        const acrossError = typeof trial.across_error_px === "number" ? trial.across_error_px : 0;
         const isCurrent = trimmedParticipant && trial.participant === trimmedParticipant;
         return {
           signedError,
-          magnitude,
-          angle,
+          acrossError,
+          magnitude: Math.hypot(signedError, acrossError),
           participant: trial.participant,
           trialNumber: trial.trial,
           mode: trial.mode,
@@ -767,255 +1245,905 @@ export default function FlashLagGame() {
     return errorPoints.reduce((m, p) => Math.max(m, p.magnitude), 1);
   }, [errorPoints]);
 
-  const exportCSV = useCallback(() => {
+  // Downloads: tidy CSV files and the full JSON session (re-importable)
+  const exportTrialsCSV = () => {
     if (!results.length) return;
+    const csv = trialsCsv(results);
+    downloadFile(`${t("export.trialsFile")}_${exportStamp()}.csv`, csv, "text/csv;charset=utf-8");
+  };
 
-    const header = Object.keys(results[0]);
-    const rows = results.map((r) => header.map((key) => r[key] ?? ""));
-
-    const csvParts = [];
-    csvParts.push("PROVE");
-    csvParts.push(header.join(","));
-    csvParts.push(...rows.map((row) => row.join(",")));
-
-    if (summaries.length) {
-      csvParts.push("");
-      csvParts.push("CLASSIFICA");
-      csvParts.push("partecipante,errore_assoluto_medio_px");
-      const ordered = [...summaries].sort((a, b) => a.average_abs_error_px - b.average_abs_error_px);
-      ordered.forEach((entry) => {
-        csvParts.push(`${entry.participant},${entry.average_abs_error_px}`);
-      });
-    }
+  const exportSummaryCSV = () => {
+    if (!summaries.length) return;
+    const csv = summariesCsv(summaries);
+    downloadFile(`${t("export.summaryFile")}_${exportStamp()}.csv`, csv, "text/csv;charset=utf-8");
+  };
 
-    const blob = new Blob([csvParts.join("\n")], { type: "text/csv;charset=utf-8;" });
-    const url = URL.createObjectURL(blob);
-    const a = document.createElement("a");
-    a.href = url;
-    a.download = `flashlag_export_${new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-")}.csv`;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
-  }, [results, summaries]);
+  const exportJSON = () => {
+    if (!results.length) return;
+    const doc = buildExport({ settings: storedSettings(), results, summaries });
+    downloadFile(`${t("export.sessionFile")}_${exportStamp()}.json`, JSON.stringify(doc, null, 2), "application/json");
+  };
+
+  // Replace the on-screen data with an exported session; it becomes a new stored session
+  const importJSON = async (file) => {
+    let imported;
+    try {
+      imported = parseExport(await file.text());
+    } catch (err) {
+      showMessage((tr) => tr("message.importFailed", { file: file.name, error: err.message }));
+      return;
+    }
+    const fields = {
+      name: t("message.importedName", { file: file.name }),
+      settings: imported.settings,
+      summaries: imported.summaries,
+    };
+    const previousId = storedSessionIdRef.current;
+    if (!isStorageAvailable()) {
+      restoreStoredSession({ id: null, active: null, ...fields }, imported.results);
+      return;
+    }
+    persist(
+      async () => {
+        if (previousId) await updateStoredSession(previousId, { closed: true });
+        const loaded = await storeSession(fields, imported.results);
+        restoreStoredSession(loaded.stored, loaded.results);
+        paint();
+      },
+      (tr, error) => tr("message.importFailed", { file: file.name, error })
+    );
+  };
 
   return (
-    <div className="min-h-screen w-full bg-slate-900 text-slate-100 flex flex-col items-center py-6 relative">
-      <div className="w-full max-w-screen-2xl px-4 md:px-8 xl:px-16 mx-auto">
-        <h1 className="text-2xl md:text-3xl font-semibold tracking-tight mb-2">Il tuo cervello ti inganna?</h1>
-        <p className="text-slate-300 mb-4">{introCopy}</p>
-
-        <div
-  className={`grid gap-4 mb-4 ${showSettings || showErrorCloud ? "lg:grid-cols-[minmax(0,2fr)_minmax(0,1fr)]" : "lg:grid-cols-1"}`}
->
-          {/* Stage & primary controls */}
-          <div
-  className={`${showSettings || showErrorCloud ? "lg:col-span-2" : ""} bg-slate-800/60 rounded-2xl p-3 shadow min-w-0`}
->
-            <div className="flex items-center justify-between mb-2">
-              <div className="flex items-center gap-2 flex-wrap">
-                <input
-                  type="text"
-                  placeholder="Nome partecipante"
-                  value={participant}
-                  onChange={(e) => setParticipant(e.target.value)}
-                  className="px-3 py-2 rounded-xl bg-slate-900/60 border border-slate-700 focus:outline-none"
-                />
+    <LocaleContext value={t}>
+      <div className="min-h-screen w-full bg-slate-900 text-slate-100 flex flex-col items-center py-6 relative">
+        <div className="w-full max-w-screen-2xl px-4 md:px-8 xl:px-16 mx-auto">
+          <div className="flex items-start justify-between gap-4 mb-2">
+            <h1 className="text-2xl md:text-3xl font-semibold tracking-tight">{t("app.title")}</h1>
+            <div className="flex gap-1 shrink-0" role="group" aria-label={t("app.language")}>
+              {LOCALES.map((option) => (
                 <button
-                  onClick={startTrial}
-                  disabled={!canStartTrial}
-                  className={`px-4 py-2 rounded-xl shadow ${canStartTrial ? "bg-emerald-500 hover:bg-emerald-600" : "bg-slate-700 text-slate-400 cursor-not-allowed"}`}
-                >
-                  {trialIdx === 0 ? "Avvia prova" : trialIdx < 3 ? "Prossima prova" : "Concluso"}
-                </button>
-                <button
-                  onClick={startNewParticipant}
-                  disabled={!canStartNewParticipant}
-                  className={`px-4 py-2 rounded-xl shadow ${canStartNewParticipant ? "bg-sky-500 hover:bg-sky-600" : "bg-slate-700 text-slate-400 cursor-not-allowed"}`}
+                  key={option.id}
+                  type="button"
+                  onClick={() => chooseLocale(option.id)}
+                  aria-pressed={locale === option.id}
+                  className={`px-2 py-1 rounded-lg border text-xs ${locale === option.id ? "bg-sky-500/20 border-sky-400" : "bg-slate-900/40 border-slate-700 hover:border-slate-500"}`}
                 >
-                  Nuovo partecipante
+                  {option.label}
                 </button>
+              ))}
+            </div>
+          </div>
+          <p className="text-slate-300 mb-4">{introCopy}</p>
 
-                {/* Settings toggle (now also contains Reset) */}
-                <button
-                  onClick={() => setShowSettings((s) => !s)}
-                  className="px-4 py-2 rounded-xl bg-slate-700 hover:bg-slate-600 shadow"
-                >
-                  Impostazioni
-                </button>
+          <div
+    className={`grid gap-4 mb-4 ${showSettings || showErrorCloud || showAnalysis ? "lg:grid-cols-[minmax(0,2fr)_minmax(0,1fr)]" : "lg:grid-cols-1"}`}
+  >
+            {/* Stage & primary controls */}
+            <div
+    className={`${showSettings || showErrorCloud || showAnalysis ? "lg:col-span-2" : ""} bg-slate-800/60 rounded-2xl p-3 shadow min-w-0`}
+  >
+              <div className="flex items-center justify-between mb-2">
+                <div className="flex items-center gap-2 flex-wrap">
+                  <input
+                    type="text"
+                    placeholder={t("participant.placeholder")}
+                    value={participant}
+                    readOnly={Boolean(kiosk)}
+                    onChange={(e) => setParticipant(e.target.value)}
+                    className="px-3 py-2 rounded-xl bg-slate-900/60 border border-slate-700 focus:outline-none"
+                  />
+                  <button
+                    onClick={startTrial}
+                    disabled={!canStartTrial}
+                    className={`px-4 py-2 rounded-xl shadow ${canStartTrial ? "bg-emerald-500 hover:bg-emerald-600" : "bg-slate-700 text-slate-400 cursor-not-allowed"}`}
+                  >
+                    {t(trialIdx === 0 ? "button.startTrial" : trialIdx < progress.totalTrials ? "button.nextTrial" : "button.finished")}
+                  </button>
+                  {!kiosk && (
+                    <button
+                      onClick={startNewParticipant}
+                      disabled={!canStartNewParticipant}
+                      className={`px-4 py-2 rounded-xl shadow ${canStartNewParticipant ? "bg-sky-500 hover:bg-sky-600" : "bg-slate-700 text-slate-400 cursor-not-allowed"}`}
+                    >
+                      {t("button.newParticipant")}
+                    </button>
+                  )}
+
+                  {/* Settings toggle (now also contains Reset) */}
+                  <button
+                    onClick={toggleSettings}
+                    className="px-4 py-2 rounded-xl bg-slate-700 hover:bg-slate-600 shadow"
+                  >
+                    {t("button.settings")}
+                  </button>
+                </div>
+                <div className="text-sm text-slate-300 text-right">
+                  {summary && progress.isSessionComplete ? (
+                    summary.average_abs_error_px == null ? (
+                      <span>{t("status.pss")} <span className="font-semibold">{formatPss(summary)}</span></span>
+                    ) : (
+                      <span>{t("status.lastError")} <span className="font-semibold">{summary.average_abs_error_px} px</span></span>
+                    )
+                  ) : (
+                    <span>{t("status.done")} <span className="font-semibold">{progress.completedInBlock}</span> • {t("status.remaining")} <span className="font-semibold">{trialsRemaining}</span></span>
+                  )}
+                  <div className="text-xs text-slate-400 mt-1 uppercase tracking-wide">
+                    {progress.blockCount > 1 && t("status.block", { block: progress.blockIndex + 1, count: progress.blockCount })}
+                    {t("status.mode", { mode: modeName(t, activeMode) })}
+                  </div>
+                  {progress.blockCount > 1 && (
+                    <div className="text-xs text-slate-400">{t("status.session", { done: trialIdx, total: progress.totalTrials })}</div>
+                  )}
+                </div>
               </div>
-              <div className="text-sm text-slate-300 text-right">
-                {summary && trialIdx >= 3 ? (
-                  <span>Ultimo errore: <span className="font-semibold">{summary.average_abs_error_px} px</span></span>
-                ) : (
-                  <span>Prove svolte: <span className="font-semibold">{trialIdx}</span> • Restanti: <span className="font-semibold">{trialsRemaining}</span></span>
-                )}
-                <div className="text-xs text-slate-400 mt-1 uppercase tracking-wide">Modalità: {mode === MODE_FLASH_LAG ? "Flash-lag" : "Scomparsa"}</div>
+
+              {/* Responsive wrapper measured by ResizeObserver */}
+              <div ref={stageWrapRef} className="w-full">
+                <div className="rounded-2xl overflow-hidden border border-slate-700 w-fit mx-auto">
+                  <canvas
+                    ref={canvasRef}
+                    onPointerDown={onStagePointerDown}
+                    onPointerMove={onStagePointerMove}
+                    onPointerUp={onStagePointerUp}
+                    onPointerCancel={onStagePointerCancel}
+                    className={`block select-none ${isRunning || trialPhase === PHASE_AWAITING_RESPONSE ? "touch-none" : ""} ${isRunning ? "cursor-none" : responseLocked ? "cursor-not-allowed" : "cursor-crosshair"}`}
+                    aria-label={t("app.canvasLabel")}
+                  />
+                </div>
               </div>
-            </div>
+              {!stageFits && (
+                <div className="text-xs text-amber-300 pt-2 text-center">{t("stage.tooNarrow", { deg: STAGE_WIDTH_DEG })}</div>
+              )}
 
-            {/* Responsive wrapper measured by ResizeObserver */}
-            <div ref={stageWrapRef} className="rounded-2xl overflow-hidden border border-slate-700 w-full mx-auto">
-              <canvas
-                ref={canvasRef}
-                onClick={onCanvasClick}
-                className={`block select-none ${isRunning ? "cursor-none" : responseLocked ? "cursor-not-allowed" : "cursor-crosshair"}`}
-                aria-label="Canvas dell'illusione flash-lag"
-              />
-            </div>
+              {trialPhase === PHASE_AWAITING_RESPONSE && trialRef.current.responseType === RESPONSE_2AFC && (
+                <JudgeButtons keys={answerKeys(trialRef.current)} onJudge={onJudge} />
+              )}
 
-            <div className="pt-3">
-              <div className="text-xs text-slate-400">{message}</div>
-            </div>
-          </div>
+              {trialPhase === PHASE_AWAITING_RESPONSE && trialRef.current.responseType === RESPONSE_ADJUST && (
+                <div className="flex gap-2 justify-center pt-3">
+                  <button
+                    type="button"
+                    onClick={(e) => onConfirmAdjustment(buttonInput(e))}
+                    className="px-4 py-2 rounded-xl bg-slate-700 hover:bg-slate-600 shadow"
+                  >
+                    {t("adjust.confirm")}
+                  </button>
+                </div>
+              )}
 
-          {/* Controls (wrapped in Settings toggle) */}
-          {showSettings && (
-            <div className="bg-slate-800/60 rounded-2xl p-4 shadow">
-              <h2 className="text-lg font-semibold mb-3">Controlli</h2>
-              <div className="space-y-3 text-sm">
-                <div>
-                  <div className="text-slate-300 mb-2 select-none">Modalità</div>
-                  <div className="flex gap-2 flex-wrap">
+              {pendingResponse && (
+                <div className="flex gap-2 justify-center items-center pt-3 flex-wrap">
+                  <span className="text-sm text-slate-300">{t("confidence.label")}</span>
+                  {CONFIDENCE_LEVELS.map((level) => (
                     <button
+                      key={level}
                       type="button"
-                      onClick={() => setMode(MODE_FLASH_LAG)}
-                      className={`px-3 py-2 rounded-lg border ${mode === MODE_FLASH_LAG ? "bg-emerald-500/20 border-emerald-400" : "bg-slate-900/40 border-slate-700 hover:border-slate-500"}`}
+                      onClick={() => onConfidence(level)}
+                      className="px-4 py-2 rounded-xl bg-slate-700 hover:bg-slate-600 shadow"
                     >
-                      Flash-lag (flash)
+                      {level}
                     </button>
+                  ))}
+                </div>
+              )}
+
+              <div className="pt-3">
+                <div className="text-xs text-slate-400">{message(t)}</div>
+              </div>
+            </div>
+
+            {/* Controls (wrapped in Settings toggle) */}
+            {showSettings && (
+              <div className="bg-slate-800/60 rounded-2xl p-4 shadow">
+                <h2 className="text-lg font-semibold mb-3">{t("settings.title")}</h2>
+                <div className="space-y-3 text-sm">
+                  <div className="space-y-2 pb-3 border-b border-slate-700">
+                    <div className="flex items-center justify-between gap-2">
+                      <span className="text-slate-300 select-none">{t("settings.units")}</span>
+                      <div className="flex gap-2">
+                        <button
+                          type="button"
+                          onClick={() => chooseUnits(UNITS_PX)}
+                          className={`px-3 py-1 rounded-lg border text-xs ${unitView.units === UNITS_PX ? "bg-sky-500/20 border-sky-400" : "bg-slate-900/40 border-slate-700 hover:border-slate-500"}`}
+                        >
+                          {t("settings.pixels")}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => chooseUnits(UNITS_DEG)}
+                          disabled={!pxPerDeg}
+                          className={`px-3 py-1 rounded-lg border text-xs ${unitView.units === UNITS_DEG ? "bg-sky-500/20 border-sky-400" : pxPerDeg ? "bg-slate-900/40 border-slate-700 hover:border-slate-500" : "bg-slate-900/40 border-slate-800 text-slate-500 cursor-not-allowed"}`}
+                        >
+                          {t("settings.degrees")}
+                        </button>
+                      </div>
+                    </div>
                     <button
                       type="button"
-                      onClick={() => setMode(MODE_DISAPPEARING)}
-                      className={`px-3 py-2 rounded-lg border ${mode === MODE_DISAPPEARING ? "bg-emerald-500/20 border-emerald-400" : "bg-slate-900/40 border-slate-700 hover:border-slate-500"}`}
+                      onClick={() => setShowCalibration(true)}
+                      className="w-full px-3 py-2 rounded-lg text-sm shadow bg-slate-700 hover:bg-slate-600 text-slate-200"
                     >
-                      Scomparsa
+                      {t(isCalibrated(calibration) ? "settings.recalibrate" : "settings.calibrate")}
                     </button>
+                    <div className="text-xs text-slate-400">
+                      {pxPerDeg
+                        ? t("settings.calibrated", { pxPerDeg: round2(pxPerDeg), distance: calibration.viewingDistanceCm })
+                        : t("settings.uncalibrated")}
+                      {refresh && t("settings.refresh", { hz: round2(refresh.hz) })}
+                    </div>
                   </div>
-                </div>
-                <div>
-                  <div className="text-slate-300 mb-2 select-none">Bersaglio</div>
-                  <div className="flex gap-2 flex-wrap">
+                  <LabeledRange
+                    label={t("settings.blockCount", { count: session.blocks.length })}
+                    min={1}
+                    max={MAX_BLOCKS}
+                    step={1}
+                    value={session.blocks.length}
+                    onChange={(count) => {
+                      setSession((prev) => setBlockCount(prev, count));
+                      setEditBlockIdx((idx) => Math.min(idx, count - 1));
+                    }}
+                  />
+                  {session.blocks.length > 1 && (
+                    <div className="flex gap-2 flex-wrap">
+                      {session.blocks.map((block, i) => (
+                        <button
+                          key={i}
+                          type="button"
+                          onClick={() => setEditBlockIdx(i)}
+                          className={`px-3 py-1 rounded-lg border text-xs ${i === editBlockIdx ? "bg-sky-500/20 border-sky-400" : "bg-slate-900/40 border-slate-700 hover:border-slate-500"}`}
+                        >
+                          {t("settings.blockTab", {
+                            block: i + 1,
+                            mode: modeName(t, block.mode),
+                            trials: block.design ? designTrialCount(block.design) : block.trials,
+                          })}
+                        </button>
+                      ))}
+                    </div>
+                  )}
+                  {session.blocks.length > 1 && (
+                    <label className="flex items-center gap-2 select-none">
+                      <input
+                        type="checkbox"
+                        checked={session.counterbalance}
+                        onChange={(e) => setSession((prev) => ({ ...prev, counterbalance: e.target.checked }))}
+                      />
+                      <span className="text-slate-300">{t("settings.counterbalance")}</span>
+                    </label>
+                  )}
+                  <label className="flex items-center gap-2 select-none">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(session.askConfidence)}
+                      onChange={(e) => setSession((prev) => ({ ...prev, askConfidence: e.target.checked }))}
+                    />
+                    <span className="text-slate-300">{t("settings.askConfidence")}</span>
+                  </label>
+                  <div>
+                    <div className="text-slate-300 mb-2 select-none">{t("settings.feedback")}</div>
+                    <div className="flex gap-2 flex-wrap">
+                      {FEEDBACK_OPTIONS.map((option) => (
+                        <button
+                          key={option.id}
+                          type="button"
+                          onClick={() => setSession((prev) => ({ ...prev, feedback: option.id }))}
+                          className={`px-3 py-1 rounded-lg border text-xs ${(session.feedback ?? FEEDBACK_FULL) === option.id ? "bg-emerald-500/20 border-emerald-400" : "bg-slate-900/40 border-slate-700 hover:border-slate-500"}`}
+                        >
+                          {t(option.label)}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <LabeledRange
+                    label={t("settings.maxResponse", {
+                      limit: session.maxResponseMs != null ? `${session.maxResponseMs} ms` : t("settings.noLimit"),
+                    })}
+                    min={SETTING_LIMITS.maxResponseMs.min}
+                    max={SETTING_LIMITS.maxResponseMs.max}
+                    step={250}
+                    value={session.maxResponseMs ?? 0}
+                    onChange={(v) => setSession((prev) => ({ ...prev, maxResponseMs: v > 0 ? v : null }))}
+                  />
+                  <LabeledRange
+                    label={t("settings.practiceTrials", { n: session.practiceTrials ?? 0 })}
+                    min={SETTING_LIMITS.practiceTrials.min}
+                    max={SETTING_LIMITS.practiceTrials.max}
+                    step={1}
+                    value={session.practiceTrials ?? 0}
+                    onChange={(v) => setSession((prev) => ({ ...prev, practiceTrials: v }))}
+                  />
+                  <LabeledRange
+                    label={t("settings.catchRate", { percent: Math.round((session.catchRate ?? 0) * 100) })}
+                    min={SETTING_LIMITS.catchRate.min}
+                    max={SETTING_LIMITS.catchRate.max}
+                    step={0.05}
+                    value={session.catchRate ?? 0}
+                    onChange={(v) => setSession((prev) => ({ ...prev, catchRate: v }))}
+                  />
+                  {session.catchRate > 0 && (
+                    <LabeledRange
+                      label={t("settings.catchFailLimit", { n: session.catchFailLimit ?? DEFAULT_CATCH_FAIL_LIMIT })}
+                      min={SETTING_LIMITS.catchFailLimit.min}
+                      max={SETTING_LIMITS.catchFailLimit.max}
+                      step={1}
+                      value={session.catchFailLimit ?? DEFAULT_CATCH_FAIL_LIMIT}
+                      onChange={(v) => setSession((prev) => ({ ...prev, catchFailLimit: v }))}
+                    />
+                  )}
+                  <label className="flex items-center gap-2 select-none">
+                    <input
+                      type="checkbox"
+                      checked={Boolean(editBlock.design)}
+                      onChange={(e) =>
+                        patchBlock({ design: e.target.checked ? createDesign(editBlock) : null, staircase: null })
+                      }
+                    />
+                    <span className="text-slate-300">{t("settings.constantStimuli")}</span>
+                  </label>
+                  {editBlock.design && modeHasFlash(mode) && (
+                    <label className="flex items-center gap-2 select-none">
+                      <input
+                        type="checkbox"
+                        checked={editBlock.responseType === RESPONSE_2AFC}
+                        onChange={(e) => patchBlock({ responseType: e.target.checked ? RESPONSE_2AFC : RESPONSE_CLICK })}
+                      />
+                      <span className="text-slate-300">{t("settings.response2afc")}</span>
+                    </label>
+                  )}
+                  {!isStaircaseBlock(editBlock) && (
+                    <label className="flex items-center gap-2 select-none">
+                      <input
+                        type="checkbox"
+                        checked={editBlock.responseType === RESPONSE_ADJUST}
+                        onChange={(e) => patchBlock({ responseType: e.target.checked ? RESPONSE_ADJUST : RESPONSE_CLICK })}
+                      />
+                      <span className="text-slate-300">{t("settings.responseAdjust")}</span>
+                    </label>
+                  )}
+                  {!editBlock.design && (
+                    <LabeledRange
+                      label={
+                        session.blocks.length > 1
+                          ? t("settings.blockTrialsOf", { block: editBlockIdx + 1, trials: editBlock.trials })
+                          : t("settings.blockTrials", { trials: editBlock.trials })
+                      }
+                      min={SETTING_LIMITS.trials.min}
+                      max={SETTING_LIMITS.trials.max}
+                      step={1}
+                      value={editBlock.trials}
+                      onChange={setBlockTrials}
+                    />
+                  )}
+                  {session.blocks.length > 1 && (
+                    <div className="text-xs text-slate-400">{t("settings.blockParams", { block: editBlockIdx + 1 })}</div>
+                  )}
+                  <div>
+                    <div className="text-slate-300 mb-2 select-none">{t("settings.mode")}</div>
+                    <div className="flex gap-2 flex-wrap">
+                      {MODE_OPTIONS.map((option) => (
+                        <button
+                          key={option.id}
+                          type="button"
+                          onClick={() => setMode(option.id)}
+                          className={`px-3 py-2 rounded-lg border ${mode === option.id ? "bg-emerald-500/20 border-emerald-400" : "bg-slate-900/40 border-slate-700 hover:border-slate-500"}`}
+                        >
+                          {t(`mode.${option.key}.label`)}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  <div>
+                    <div className="text-slate-300 mb-2 select-none">{t("settings.trajectory")}</div>
+                    <div className="flex gap-2 flex-wrap">
+                      {TRAJECTORY_OPTIONS.map((option) => (
+                        <button
+                          key={option.id}
+                          type="button"
+                          onClick={() => setTrajectory(option.id)}
+                          className={`px-3 py-1 rounded-lg border text-xs ${trajectory === option.id ? "bg-emerald-500/20 border-emerald-400" : "bg-slate-900/40 border-slate-700 hover:border-slate-500"}`}
+                        >
+                          {t(`trajectory.${option.key}.label`)}
+                        </button>
+                      ))}
+                    </div>
+                  </div>
+                  {modeHasFlash(mode) && (
+                    <label className="flex items-center gap-2 select-none">
+                      <input
+                        type="checkbox"
+                        checked={Boolean(editBlock.staircase)}
+                        onChange={(e) =>
+                          patchBlock({
+                            staircase: e.target.checked ? createStaircaseSettings({ startLead: flashLead }) : null,
+                            design: null,
+                          })
+                        }
+                      />
+                      <span className="text-slate-300">{t("settings.staircase")}</span>
+                    </label>
+                  )}
+                  {isStaircaseBlock(editBlock) && (
+                    <StaircaseEditor
+                      settings={editBlock.staircase}
+                      units={unitView}
+                      onChange={(staircase) => patchBlock({ staircase })}
+                    />
+                  )}
+                  {editBlock.design ? (
+                    <DesignEditor
+                      key={`${editBlockIdx}-${unitView.units}`}
+                      design={editBlock.design}
+                      units={unitView}
+                      onChange={(design) => patchBlock({ design })}
+                    />
+                  ) : (
+                    <>
+                    <div>
+                      <div className="text-slate-300 mb-2 select-none">{t("settings.target")}</div>
+                      <div className="flex gap-2 flex-wrap">
+                        <button
+                          type="button"
+                          onClick={() => setTargetShape(TARGET_PACMAN)}
+                          className={`px-3 py-2 rounded-lg border ${targetShape === TARGET_PACMAN ? "bg-yellow-300/20 border-yellow-300 text-yellow-200" : "bg-slate-900/40 border-slate-700 hover:border-slate-500"}`}
+                        >
+                          {t("shape.pacman")}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={() => setTargetShape(TARGET_DOT)}
+                          className={`px-3 py-2 rounded-lg border ${targetShape === TARGET_DOT ? "bg-emerald-500/20 border-emerald-400" : "bg-slate-900/40 border-slate-700 hover:border-slate-500"}`}
+                        >
+                          {t("shape.dot")}
+                        </button>
+                      </div>
+                    </div>
+                    <UnitRange label={t("settings.speed")} units={unitView} kind="speed" min={SETTING_LIMITS.speed.min} max={SETTING_LIMITS.speed.max} step={10} value={speed} onChange={setSpeed} />
+                    {mode === MODE_DISAPPEARING ? (
+                      <div className="space-y-2">
+                        <RangeField
+                          label={t("settings.disappearMin")}
+                          units={unitView}
+                          value={disappearRange.min}
+                          min={SETTING_LIMITS.disappearOffset.min}
+                          max={SETTING_LIMITS.disappearOffset.max}
+                          step={5}
+                          onChange={(val) =>
+                            setDisappearRange((prev) => {
+                              const clamped = Math.min(val, SETTING_LIMITS.disappearOffset.max);
+                              if (clamped > prev.max) {
+                                return { min: prev.max, max: clamped };
+                              }
+                              return { min: clamped, max: prev.max };
+                            })
+                          }
+                        />
+                        <RangeField
+                          label={t("settings.disappearMax")}
+                          units={unitView}
+                          value={disappearRange.max}
+                          min={SETTING_LIMITS.disappearOffset.min}
+                          max={SETTING_LIMITS.disappearOffset.max}
+                          step={5}
+                          onChange={(val) =>
+                            setDisappearRange((prev) => {
+                              const clamped = Math.max(val, SETTING_LIMITS.disappearOffset.min);
+                              if (clamped < prev.min) {
+                                return { min: clamped, max: prev.min };
+                              }
+                              return { min: prev.min, max: clamped };
+                            })
+                          }
+                        />
+                        <div className="text-xs text-slate-400">{t("settings.disappearHelp")}</div>
+                      </div>
+                    ) : (
+                      !isStaircaseBlock(editBlock) && (
+                        <UnitRange label={t("settings.flashLead")} units={unitView} min={SETTING_LIMITS.flashLead.min} max={SETTING_LIMITS.flashLead.max} step={5} value={flashLead} onChange={setFlashLead} />
+                      )
+                    )}
+                    </>
+                  )}
+                  {modeHasFlash(mode) && (
+                    <UnitRange label={t("settings.flashYOffset")} units={unitView} min={SETTING_LIMITS.flashYOffset.min} max={SETTING_LIMITS.flashYOffset.max} step={5} value={flashYOffset} onChange={setFlashYOffset} />
+                  )}
+                  {modeHasFlash(mode) && !editBlock.design && (
+                    <LabeledRange label={t("settings.flashDuration", { ms: flashDuration, frames: describeFlashFrames(t, flashDuration, refresh) })} min={SETTING_LIMITS.flashDuration.min} max={SETTING_LIMITS.flashDuration.max} step={5} value={flashDuration} onChange={setFlashDuration} />
+                  )}
+                  <UnitRange label={t("settings.dotRadius")} units={unitView} min={SETTING_LIMITS.dotRadius.min} max={SETTING_LIMITS.dotRadius.max} step={1} value={dotRadius} onChange={setDotRadius} />
+                  <div className="grid grid-cols-2 gap-2 pt-2">
+                    <ColorSwatch label={t("settings.colorTarget")} value={dotColor} onChange={setDotColor} />
+                    {modeHasFlash(mode) && (
+                      <ColorSwatch label={t("settings.colorFlash")} value={flashColor} onChange={setFlashColor} />
+                    )}
+                  </div>
+
+                  <div className="space-y-2 pt-3 border-t border-slate-700">
+                    <div className="text-slate-300 select-none">{t("config.title")}</div>
+                    <div className="flex gap-2 flex-wrap">
+                      {BUILT_IN_PRESETS.map((preset) => (
+                        <button
+                          key={preset.id}
+                          type="button"
+                          onClick={() => applyConfig(preset.config, t(preset.key))}
+                          className="px-3 py-1 rounded-lg border text-xs bg-slate-900/40 border-slate-700 hover:border-slate-500"
+                        >
+                          {t(preset.key)}
+                        </button>
+                      ))}
+                    </div>
+                    <div className="grid grid-cols-3 gap-2">
+                      <button
+                        type="button"
+                        onClick={copyConfigLink}
+                        className="px-3 py-2 rounded-lg text-sm shadow bg-slate-700 hover:bg-slate-600 text-slate-200"
+                      >
+                        {t("config.copyLink")}
+                      </button>
+                      <button
+                        type="button"
+                        onClick={savePresetFile}
+                        className="px-3 py-2 rounded-lg text-sm shadow bg-slate-700 hover:bg-slate-600 text-slate-200"
+                      >
+                        {t("config.savePreset")}
+                      </button>
+                      <label className="px-3 py-2 rounded-lg text-sm shadow bg-slate-700 hover:bg-slate-600 text-slate-200 text-center cursor-pointer">
+                        {t("config.loadPreset")}
+                        <input
+                          type="file"
+                          accept="application/json,.json"
+                          className="hidden"
+                          onChange={(e) => {
+                            const [file] = e.target.files;
+                            e.target.value = "";
+                            if (file) loadPresetFile(file);
+                          }}
+                        />
+                      </label>
+                    </div>
+                  </div>
+
+                  <button
+                    type="button"
+                    onClick={() => setShowErrorCloud((v) => !v)}
+                    className="w-full px-3 py-2 rounded-lg text-sm shadow bg-slate-700 hover:bg-slate-600 text-slate-200"
+                  >
+                    {t(showErrorCloud ? "settings.hideCloud" : "settings.showCloud")}
+                  </button>
+
+                  <button
+                    type="button"
+                    onClick={() => setShowAnalysis((v) => !v)}
+                    className="w-full px-3 py-2 rounded-lg text-sm shadow bg-slate-700 hover:bg-slate-600 text-slate-200"
+                  >
+                    {t(showAnalysis ? "settings.hideAnalysis" : "settings.showAnalysis")}
+                  </button>
+
+                  <button
+                    type="button"
+                    onClick={() => setShowGroup((v) => !v)}
+                    className="w-full px-3 py-2 rounded-lg text-sm shadow bg-slate-700 hover:bg-slate-600 text-slate-200"
+                  >
+                    {t(showGroup ? "settings.hideGroup" : "settings.showGroup")}
+                  </button>
+
+                  <div className="grid grid-cols-2 gap-2">
                     <button
                       type="button"
-                      onClick={() => setTargetShape(TARGET_PACMAN)}
-                      className={`px-3 py-2 rounded-lg border ${targetShape === TARGET_PACMAN ? "bg-yellow-300/20 border-yellow-300 text-yellow-200" : "bg-slate-900/40 border-slate-700 hover:border-slate-500"}`}
+                      onClick={exportTrialsCSV}
+                      disabled={!results.length}
+                      className={`px-3 py-2 rounded-lg text-sm shadow ${results.length ? "bg-indigo-500 hover:bg-indigo-600" : "bg-slate-700 text-slate-400 cursor-not-allowed"}`}
                     >
-                      Pac-Man
+                      {t("settings.trialsCsv")}
                     </button>
                     <button
                       type="button"
-                      onClick={() => setTargetShape(TARGET_DOT)}
-                      className={`px-3 py-2 rounded-lg border ${targetShape === TARGET_DOT ? "bg-emerald-500/20 border-emerald-400" : "bg-slate-900/40 border-slate-700 hover:border-slate-500"}`}
+                      onClick={exportSummaryCSV}
+                      disabled={!summaries.length}
+                      className={`px-3 py-2 rounded-lg text-sm shadow ${summaries.length ? "bg-indigo-500 hover:bg-indigo-600" : "bg-slate-700 text-slate-400 cursor-not-allowed"}`}
                     >
-                      Punto
+                      {t("settings.summaryCsv")}
                     </button>
+                    <button
+                      type="button"
+                      onClick={exportJSON}
+                      disabled={!results.length}
+                      className={`px-3 py-2 rounded-lg text-sm shadow ${results.length ? "bg-indigo-500 hover:bg-indigo-600" : "bg-slate-700 text-slate-400 cursor-not-allowed"}`}
+                    >
+                      {t("settings.exportJson")}
+                    </button>
+                    <label className="px-3 py-2 rounded-lg text-sm shadow bg-slate-700 hover:bg-slate-600 text-slate-200 text-center cursor-pointer">
+                      {t("settings.importJson")}
+                      <input
+                        type="file"
+                        accept="application/json,.json"
+                        className="hidden"
+                        onChange={(e) => {
+                          const [file] = e.target.files;
+                          e.target.value = "";
+                          if (file) importJSON(file);
+                        }}
+                      />
+                    </label>
                   </div>
-                </div>
-                <LabeledRange label={`Velocità: ${speed} px/s`} min={80} max={600} step={10} value={speed} onChange={setSpeed} />
-                {mode === MODE_DISAPPEARING ? (
-                  <div className="space-y-2">
-                    <RangeField
-                      label="Offset minimo di scomparsa"
-                      value={disappearRange.min}
-                      min={-200}
-                      max={200}
-                      step={5}
-                      onChange={(val) =>
-                        setDisappearRange((prev) => {
-                          const clamped = Math.min(val, 200);
-                          if (clamped > prev.max) {
-                            return { min: prev.max, max: clamped };
-                          }
-                          return { min: clamped, max: prev.max };
-                        })
-                      }
-                    />
-                    <RangeField
-                      label="Offset massimo di scomparsa"
-                      value={disappearRange.max}
-                      min={-200}
-                      max={200}
-                      step={5}
-                      onChange={(val) =>
-                        setDisappearRange((prev) => {
-                          const clamped = Math.max(val, -200);
-                          if (clamped < prev.min) {
-                            return { min: clamped, max: prev.min };
-                          }
-                          return { min: prev.min, max: clamped };
-                        })
-                      }
+
+                  <div className="flex items-center justify-between gap-2 text-sm text-slate-300">
+                    <span>{t("figure.stageFrame")}</span>
+                    <FigureButtons
+                      name={t("figure.stageName")}
+                      title={modeName(t, trialRef.current.mode)}
+                      legend={[
+                        { color: dotColor, label: t("figure.target", { target: targetLabel }) },
+                        { color: flashColor, label: t("figure.flashDot") },
+                        { color: CLICK_MARKER_COLOR, label: t("figure.answer") },
+                      ]}
+                      caption={sessionCaption}
+                      source={() => stageSource(trialRef.current, performance.now(), stageStyle)}
                     />
-                    <div className="text-xs text-slate-400">
-                      L'offset è misurato dal centro dello schermo (positivo = il bersaglio scompare prima del centro). A ogni prova viene estratto un valore casuale da questo intervallo.
-                    </div>
                   </div>
-                ) : (
-                  <LabeledRange label={leadLabel} min={-60} max={200} step={5} value={flashLead} onChange={setFlashLead} />
-                )}
-                {mode === MODE_FLASH_LAG && (
-                  <LabeledRange label={`Offset verticale del flash: ${flashYOffset} px`} min={-100} max={100} step={5} value={flashYOffset} onChange={setFlashYOffset} />
-                )}
-                {mode === MODE_FLASH_LAG && (
-                  <LabeledRange label={`Durata del flash: ${flashDuration} ms`} min={20} max={200} step={5} value={flashDuration} onChange={setFlashDuration} />
-                )}
-                <LabeledRange label={`Raggio del bersaglio: ${dotRadius} px`} min={4} max={16} step={1} value={dotRadius} onChange={setDotRadius} />
-                <div className="grid grid-cols-2 gap-2 pt-2">
-                  <ColorSwatch label="Bersaglio" value={dotColor} onChange={setDotColor} />
-                  {mode === MODE_FLASH_LAG && (
-                    <ColorSwatch label="Flash" value={flashColor} onChange={setFlashColor} />
-                  )}
-                </div>
 
-                <button
-                  type="button"
-                  onClick={() => setShowErrorCloud((v) => !v)}
-                  className="w-full px-3 py-2 rounded-lg text-sm shadow bg-slate-700 hover:bg-slate-600 text-slate-200"
-                >
-                  {showErrorCloud ? "Nascondi" : "Mostra"} nuvola errori
-                </button>
+                  <button
+                    type="button"
+                    onClick={() => setShowSessionBrowser(true)}
+                    disabled={!isStorageAvailable()}
+                    className={`w-full px-3 py-2 rounded-lg text-sm shadow ${isStorageAvailable() ? "bg-slate-700 hover:bg-slate-600 text-slate-200" : "bg-slate-700 text-slate-400 cursor-not-allowed"}`}
+                  >
+                    {t("settings.archive")}
+                  </button>
 
-                <button
-                  type="button"
-                  onClick={exportCSV}
-                  disabled={!results.length}
-                  className={`w-full px-3 py-2 rounded-lg text-sm shadow ${results.length ? "bg-indigo-500 hover:bg-indigo-600" : "bg-slate-700 text-slate-400 cursor-not-allowed"}`}
-                >
-                  Esporta CSV (tutti)
-                </button>
+                  <div className="space-y-2 pt-4 border-t border-slate-700 mt-4">
+                    <div className="text-slate-300 select-none">{t("collector.title")}</div>
+                    {collector ? (
+                      <>
+                        <div className="text-xs text-slate-400">
+                          {collectorOnline
+                            ? t("collector.online", { url: collector.url, station: collector.station })
+                            : t("collector.offline", { url: collector.url })}
+                          {queued > 0 && t("collector.queued", { n: queued })}
+                        </div>
+                        {rejectedCount > 0 && (
+                          <div className="text-xs text-amber-300">
+                            {t("collector.rejected", { n: rejectedCount })}
+                          </div>
+                        )}
+                        <button
+                          type="button"
+                          onClick={disconnectCollector}
+                          className="w-full px-3 py-2 rounded-lg text-sm shadow bg-slate-700 hover:bg-slate-600 text-slate-200"
+                        >
+                          {t("collector.disconnect")}
+                        </button>
+                      </>
+                    ) : (
+                      <>
+                        <input
+                          type="text"
+                          value={collectorUrl}
+                          onChange={(e) => setCollectorUrl(e.target.value)}
+                          placeholder={t("collector.urlPlaceholder")}
+                          aria-label={t("collector.url")}
+                          className="w-full px-3 py-2 rounded-lg bg-slate-900/60 border border-slate-700 focus:outline-none"
+                        />
+                        <div className="flex gap-2">
+                          <input
+                            type="text"
+                            value={stationName}
+                            onChange={(e) => setStationName(e.target.value)}
+                            maxLength={60}
+                            placeholder={t("collector.station")}
+                            aria-label={t("collector.station")}
+                            className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-slate-900/60 border border-slate-700 focus:outline-none"
+                          />
+                          <button
+                            type="button"
+                            onClick={connectCollector}
+                            disabled={!collectorUrl.trim() || !stationName.trim()}
+                            className={`px-3 py-2 rounded-lg text-sm shadow ${collectorUrl.trim() && stationName.trim() ? "bg-indigo-500 hover:bg-indigo-600" : "bg-slate-700 text-slate-400 cursor-not-allowed"}`}
+                          >
+                            {t("collector.connect")}
+                          </button>
+                        </div>
+                        {queued > 0 && <div className="text-xs text-slate-400">{t("collector.pending", { n: queued })}</div>}
+                      </>
+                    )}
+                  </div>
 
-                {/* Moved here: Reset all */}
-                <div className="pt-4 border-t border-slate-700 mt-4">
-                  <button onClick={reset} className="px-4 py-2 rounded-xl bg-slate-700 hover:bg-slate-600 shadow w-full">
-                    Reimposta tutto
-                  </button>
+                  <div className="space-y-2 pt-4 border-t border-slate-700 mt-4">
+                    <div className="text-slate-300 select-none">{t("kiosk.title")}</div>
+                    {kiosk ? (
+                      <div className="grid grid-cols-2 gap-2">
+                        <button
+                          type="button"
+                          onClick={() => {
+                            setShowSettings(false);
+                            returnToAttract();
+                          }}
+                          className="px-3 py-2 rounded-lg text-sm shadow bg-slate-700 hover:bg-slate-600 text-slate-200"
+                        >
+                          {t("kiosk.attract")}
+                        </button>
+                        <button
+                          type="button"
+                          onClick={stopKiosk}
+                          className="px-3 py-2 rounded-lg text-sm shadow bg-slate-700 hover:bg-slate-600 text-slate-200"
+                        >
+                          {t("kiosk.stop")}
+                        </button>
+                      </div>
+                    ) : (
+                      <div className="flex gap-2">
+                        <input
+                          type="password"
+                          inputMode="numeric"
+                          autoComplete="off"
+                          placeholder={t("kiosk.pin")}
+                          value={kioskPin}
+                          onChange={(e) => setKioskPin(e.target.value.trim())}
+                          className="flex-1 min-w-0 px-3 py-2 rounded-lg bg-slate-900/60 border border-slate-700 focus:outline-none"
+                        />
+                        <button
+                          type="button"
+                          onClick={startKiosk}
+                          disabled={!isValidPin(kioskPin)}
+                          className={`px-3 py-2 rounded-lg text-sm shadow ${isValidPin(kioskPin) ? "bg-indigo-500 hover:bg-indigo-600" : "bg-slate-700 text-slate-400 cursor-not-allowed"}`}
+                        >
+                          {t("kiosk.start")}
+                        </button>
+                      </div>
+                    )}
+                    {!kiosk && /\D/.test(kioskPin) && <div className="text-xs text-rose-300">{t("kiosk.pinDigits")}</div>}
+                    <div className="text-xs text-slate-400">{t("kiosk.help", { digits: MIN_PIN_LENGTH, idle: KIOSK_IDLE_MS / 1000 })}</div>
+                  </div>
+
+                  {/* Moved here: Reset all */}
+                  <div className="pt-4 border-t border-slate-700 mt-4">
+                    <button onClick={reset} className="px-4 py-2 rounded-xl bg-slate-700 hover:bg-slate-600 shadow w-full">
+                      {t("settings.reset")}
+                    </button>
+                  </div>
                 </div>
               </div>
-            </div>
-          )}
+            )}
+
+            {showErrorCloud && (
+              <div className="bg-slate-800/60 rounded-2xl p-4 shadow flex flex-col">
+                <div className="flex items-center justify-between mb-3">
+                  <h2 className="text-lg font-semibold">{t("cloud.title")}</h2>
+                  {!resultsHidden && (
+                    <span className="text-xs text-slate-400">{t("cloud.samples", { n: errorPoints.length })}</span>
+                  )}
+                </div>
+                {resultsHidden ? (
+                  <div className="text-sm text-slate-400">{t("results.hidden")}</div>
+                ) : errorPoints.length ? (
+                  <ErrorCloud
+                    points={errorPoints}
+                    maxError={maxErrorMagnitude}
+                    targetLabel={targetLabel}
+                    caption={`${t("figure.trials", { n: errorPoints.length })} ${sessionCaption}`}
+                  />
+                ) : (
+                  <div className="text-sm text-slate-400">{t("cloud.empty")}</div>
+                )}
+              </div>
+            )}
 
-          {showErrorCloud && (
-            <div className="bg-slate-800/60 rounded-2xl p-4 shadow flex flex-col">
-              <div className="flex items-center justify-between mb-3">
-                <h2 className="text-lg font-semibold">Nuvola degli errori</h2>
-                <span className="text-xs text-slate-400">{errorPoints.length} campioni</span>
+            {showAnalysis && (
+              <div className="bg-slate-800/60 rounded-2xl p-4 shadow flex flex-col">
+                <h2 className="text-lg font-semibold mb-3">{t("analysis.title")}</h2>
+                {resultsHidden ? (
+                  <div className="text-sm text-slate-400">{t("results.hidden")}</div>
+                ) : (
+                  <AnalysisPanel
+                    results={results}
+                    currentParticipant={trimmedParticipant}
+                    caption={sessionCaption}
+                    conditionLabel={(condition) => conditionLabel(t, condition)}
+                  />
+                )}
               </div>
-              {errorPoints.length ? (
-                <ErrorCloud points={errorPoints} maxError={maxErrorMagnitude} targetLabel={targetLabel} />
+            )}
+          </div>
+
+          {/* Results + Leaderboard */}
+          {resultsHidden ? (
+            <div className="mt-4 text-sm text-slate-400">{t("results.hidden")}</div>
+          ) : (
+            <ResultsTable results={results} currentParticipant={participant.trim()} onReplay={setReplayRecord} />
+          )}
+          {!resultsHidden && <Leaderboard segments={leaderboard} live={Boolean(liveBoard)} />}
+          {showGroup && (
+            <div className="mt-6 bg-slate-800/60 rounded-2xl p-4 shadow">
+              <h2 className="text-lg font-semibold mb-3">{t("group.title")}</h2>
+              {resultsHidden ? (
+                <div className="text-sm text-slate-400">{t("results.hidden")}</div>
               ) : (
-                <div className="text-sm text-slate-400">Nessun dato disponibile. Esegui alcune prove per popolare la nuvola.</div>
+                <GroupDashboard
+                  results={results}
+                  currentParticipant={trimmedParticipant}
+                  modeLabel={(mode) => modeName(t, mode)}
+                  caption={sessionCaption}
+                />
               )}
             </div>
           )}
         </div>
-
-        {/* Results + Leaderboard */}
-        <ResultsTable results={results} currentParticipant={participant.trim()} />
-        <Leaderboard summaries={summaries} />
+        {showRest && (
+          <RestScreen
+            // progress already points at the next block, so its 0-based index is the finished block's number
+            blockNumber={progress.blockIndex}
+            blockCount={progress.blockCount}
+            blockSummary={
+              activePlan.session.feedback === FEEDBACK_NONE
+                ? null
+                : blockSummaries.find((b) => b.block === progress.blockIndex)
+            }
+            nextMode={currentBlock.mode}
+            onContinue={continueAfterRest}
+          />
+        )}
+        {showDebrief && (
+          <DebriefModal
+            summary={summary}
+            note={kioskNote}
+            onClose={() => {
+              setShowDebrief(false);
+              setShowExplanation(true);
+            }}
+          >
+            {errorPoints.length > 0 && (
+              <ErrorCloud points={errorPoints} maxError={maxErrorMagnitude} targetLabel={targetLabel} />
+            )}
+            <ResultsTable results={results} currentParticipant={trimmedParticipant} onReplay={setReplayRecord} />
+            {/* Blind sessions kept the rankings out of sight until now */}
+            {isBlindSession(activePlan.session) && <Leaderboard segments={leaderboard} live={Boolean(liveBoard)} />}
+          </DebriefModal>
+        )}
+        {showExplanation && <ExplanationModal note={kioskNote} onClose={() => setShowExplanation(false)} />}
+        {showPinPrompt && kiosk && (
+          <PinPrompt
+            kiosk={kiosk}
+            onUnlock={() => {
+              setShowPinPrompt(false);
+              setShowSettings(true);
+            }}
+            onClose={() => setShowPinPrompt(false)}
+          />
+        )}
+        {showAttract && kiosk && (
+          <AttractScreen
+            block={currentBlock}
+            style={stageStyle}
+            aspectRatio={ASPECT_RATIO}
+            locale={locale}
+            onLocaleChange={chooseLocale}
+            onStart={startKioskVisit}
+          />
+        )}
+        {replayRecord && (
+          <ReplayViewer
+            record={replayRecord}
+            style={stageStyle}
+            caption={[
+              replayRecord.participant,
+              modeName(t, replayRecord.mode),
+              replayRecord.response ? t(replayRecord.response === RESPONSE_AHEAD ? "results.ahead" : "results.behind") : formatTrialError(replayRecord),
+            ].join(" • ")}
+            onClose={() => setReplayRecord(null)}
+          />
+        )}
+        {showCalibration && (
+          <CalibrationPanel calibration={calibration} onSave={saveCalibration} onClose={() => setShowCalibration(false)} />
+        )}
+        {showSessionBrowser && (
+          <SessionBrowser
+            currentId={storedSessionIdRef.current}
+            onOpen={openStoredSession}
+            onClose={() => setShowSessionBrowser(false)}
+          />
+        )}
       </div>
-      {showExplanation && <ExplanationModal onClose={() => setShowExplanation(false)} />}
-    </div>
+    </LocaleContext>
   );
 }
 
@@ -1039,20 +2167,34 @@ function LabeledRange({ label, min, max, step, value, onChange }) {
   );
 }
 
-function RangeField({ label, min, max, step, value, onChange }) {
+// Slider over a value stored in px, shown and edited in the selected units (px or deg)
+function UnitRange({ label, units, kind = "length", min, max, step, value, onChange }) {
+  return (
+    <LabeledRange
+      label={`${label}: ${units.fromPx(value)} ${kind === "speed" ? units.speed : units.length}`}
+      min={units.fromPx(min)}
+      max={units.fromPx(max)}
+      step={units.step(step)}
+      value={units.fromPx(value)}
+      onChange={(v) => onChange(clamp(units.toPx(v), min, max))}
+    />
+  );
+}
+
+function RangeField({ label, units, min, max, step, value, onChange }) {
   return (
     <label className="block">
       <div className="flex items-center justify-between mb-1 text-slate-300 select-none">
         <span>{label}</span>
-        <span className="text-slate-200 font-medium">{value} px</span>
+        <span className="text-slate-200 font-medium">{units.fromPx(value)} {units.length}</span>
       </div>
       <input
         type="range"
-        min={min}
-        max={max}
-        step={step}
-        value={value}
-        onChange={(e) => onChange(Number(e.target.value))}
+        min={units.fromPx(min)}
+        max={units.fromPx(max)}
+        step={units.step(step)}
+        value={units.fromPx(value)}
+        onChange={(e) => onChange(clamp(units.toPx(Number(e.target.value)), min, max))}
         className="w-full"
       />
     </label>
@@ -1064,7 +2206,9 @@ const NEGATIVE_COLOR = "rgba(74, 222, 128, 0.85)";
 const REFERENCE_COLOR = "rgba(248, 113, 113, 0.6)";
 const HIGHLIGHT_COLOR = "#fffb00ff";
 
-function ErrorCloud({ points, maxError, targetLabel }) {
+// `caption` (optional): adds the figure export buttons, with that caption under the figure
+function ErrorCloud({ points, maxError, targetLabel, caption = null }) {
+  const t = useTranslation();
   const size = 260;
   const center = size / 2;
   const padding = 16;
@@ -1074,7 +2218,17 @@ function ErrorCloud({ points, maxError, targetLabel }) {
 
   return (
     <div className="flex flex-col gap-3">
-      <div className="relative">
+      <Figure
+        name={t("figure.cloudName")}
+        title={t("cloud.title")}
+        legend={[
+          { color: REFERENCE_COLOR, label: t("cloud.truth", { target: targetLabel }) },
+          { color: HIGHLIGHT_COLOR, label: t("cloud.current") },
+          { color: POSITIVE_COLOR, label: t("cloud.ahead") },
+          { color: NEGATIVE_COLOR, label: t("cloud.behind") },
+        ]}
+        caption={caption}
+      >
         <svg
           width={size}
           height={size}
@@ -1090,15 +2244,13 @@ function ErrorCloud({ points, maxError, targetLabel }) {
             strokeWidth={1.5}
           />
           {points.map((point, idx) => {
+            // Log-scaled distance, true direction: x = along the motion, y = across it
             const logScaled = logDenominator > 0 ? Math.log10(point.magnitude + 1) / logDenominator : 0;
             const dist = Math.min(logScaled * plotRadius, plotRadius - 4);
+            const scale = point.magnitude > 0 ? dist / point.magnitude : 0;
 
-            const collapsed = ((point.angle % Math.PI) + Math.PI) % Math.PI - Math.PI / 2; // [-π/2, π/2]
-            const horizontal = Math.cos(collapsed) * dist * (point.signedError >= 0 ? 1 : -1);
-            const vertical = Math.sin(collapsed) * dist;
-
-            const x = center + horizontal;
-            const y = center + vertical;
+            const x = center + point.signedError * scale;
+            const y = center + point.acrossError * scale;
             const isPositive = point.signedError >= 0;
             const fillColor = point.isCurrent ? HIGHLIGHT_COLOR : isPositive ? POSITIVE_COLOR : NEGATIVE_COLOR;
             const radius = point.isCurrent ? 5.5 : 4;
@@ -1113,14 +2265,22 @@ function ErrorCloud({ points, maxError, targetLabel }) {
                 fill={fillColor}
               >
                 <title>
-                  {`${point.participant} • Prova ${point.trialNumber}\nErrore: ${point.signedError.toFixed(1)} px`}
+                  {t("cloud.point", {
+                    participant: point.participant,
+                    trial: point.trialNumber,
+                    along: point.signedError.toFixed(1),
+                    across: point.acrossError.toFixed(1),
+                  })}
                 </title>
               </circle>
             );
           })}
           <circle cx={center} cy={center} r={referenceRadius} fill={REFERENCE_COLOR} />
+          <text x={size - padding - 4} y={center - 8} fill="#94a3b8" fontSize={10} textAnchor="end">
+            {t("cloud.motion")}
+          </text>
         </svg>
-      </div>
+      </Figure>
       <div className="text-xs text-slate-300 space-y-1">
         <div className="flex items-center gap-2">
           <span
@@ -1128,7 +2288,7 @@ function ErrorCloud({ points, maxError, targetLabel }) {
             style={{ backgroundColor: REFERENCE_COLOR }}
             aria-hidden="true"
           />
-          <span className="text-slate-100">Posizione di scomparsa del {targetLabel} (centro)</span>
+          <span className="text-slate-100">{t("cloud.truth", { target: targetLabel })}</span>
         </div>
         <div className="flex items-center gap-2">
           <span
@@ -1136,7 +2296,7 @@ function ErrorCloud({ points, maxError, targetLabel }) {
             style={{ backgroundColor: HIGHLIGHT_COLOR }}
             aria-hidden="true"
           />
-          <span>Partecipante corrente</span>
+          <span>{t("cloud.current")}</span>
         </div>
         <div className="flex items-center gap-2">
           <span
@@ -1144,7 +2304,7 @@ function ErrorCloud({ points, maxError, targetLabel }) {
             style={{ backgroundColor: POSITIVE_COLOR }}
             aria-hidden="true"
           />
-          <span>Davanti</span>
+          <span>{t("cloud.ahead")}</span>
         </div>
         <div className="flex items-center gap-2">
           <span
@@ -1152,9 +2312,172 @@ function ErrorCloud({ points, maxError, targetLabel }) {
             style={{ backgroundColor: NEGATIVE_COLOR }}
             aria-hidden="true"
           />
-          <span>Dietro</span>
+          <span>{t("cloud.behind")}</span>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// Factor levels are typed as lists ("200, 280, 360") and parsed when the field loses focus
+// Levels are stored in px; `units` (optional) converts them for display and parsing
+function FactorField({ label, unit, levels, limits, units = null, onChange }) {
+  const show = (values) => (units ? values.map(units.fromPx) : values).join(", ");
+  const [draft, setDraft] = useState(show(levels));
+  return (
+    <label className="block">
+      <div className="text-slate-300 mb-1 select-none">{label} ({unit})</div>
+      <input
+        type="text"
+        value={draft}
+        onChange={(e) => setDraft(e.target.value)}
+        onBlur={() => {
+          const shownLimits = units ? { min: units.fromPx(limits.min), max: units.fromPx(limits.max) } : limits;
+          const parsed = parseFactorLevels(draft, shownLimits);
+          const next = parsed && units ? [...new Set(parsed.map(units.toPx))] : parsed;
+          if (next) onChange(next);
+          setDraft(show(next ?? levels));
+        }}
+        className="w-full px-3 py-2 rounded-lg bg-slate-900/60 border border-slate-700 focus:outline-none"
+      />
+    </label>
+  );
+}
+
+function DesignEditor({ design, units, onChange }) {
+  const t = useTranslation();
+  const conditionCount = designTrialCount({ ...design, repeats: 1 });
+  const toggleShape = (shape) => {
+    const shapes = design.shapes.includes(shape)
+      ? design.shapes.filter((s) => s !== shape)
+      : [...design.shapes, shape];
+    if (shapes.length) onChange({ ...design, shapes });
+  };
+  return (
+    <div className="space-y-3 rounded-lg border border-slate-700 p-3">
+      <FactorField
+        label={t("settings.speed")}
+        unit={units.speed}
+        levels={design.speeds}
+        limits={FACTOR_LIMITS.speeds}
+        units={units}
+        onChange={(speeds) => onChange({ ...design, speeds })}
+      />
+      <FactorField
+        label={t("design.lead")}
+        unit={units.length}
+        levels={design.leads}
+        limits={FACTOR_LIMITS.leads}
+        units={units}
+        onChange={(leads) => onChange({ ...design, leads })}
+      />
+      <FactorField
+        label={t("design.flashDuration")}
+        unit="ms"
+        levels={design.flashDurations}
+        limits={FACTOR_LIMITS.flashDurations}
+        onChange={(flashDurations) => onChange({ ...design, flashDurations })}
+      />
+      <div>
+        <div className="text-slate-300 mb-2 select-none">{t("settings.target")}</div>
+        <div className="flex gap-3">
+          <label className="flex items-center gap-2 select-none">
+            <input
+              type="checkbox"
+              checked={design.shapes.includes(TARGET_PACMAN)}
+              onChange={() => toggleShape(TARGET_PACMAN)}
+            />
+            {t("shape.pacman")}
+          </label>
+          <label className="flex items-center gap-2 select-none">
+            <input
+              type="checkbox"
+              checked={design.shapes.includes(TARGET_DOT)}
+              onChange={() => toggleShape(TARGET_DOT)}
+            />
+            {t("shape.dot")}
+          </label>
         </div>
       </div>
+      <LabeledRange
+        label={t("design.repeats", { n: design.repeats })}
+        min={1}
+        max={MAX_REPEATS}
+        step={1}
+        value={design.repeats}
+        onChange={(repeats) => onChange({ ...design, repeats })}
+      />
+      <div className="text-xs text-slate-400">
+        {t("design.count", { conditions: conditionCount, repeats: design.repeats, trials: conditionCount * design.repeats })}
+      </div>
+    </div>
+  );
+}
+
+const STAIRCASE_METHODS = [
+  { id: STAIRCASE_UP_DOWN, label: "staircase.upDown" },
+  { id: STAIRCASE_WEIGHTED, label: "staircase.weighted" },
+  { id: STAIRCASE_QUEST, label: "staircase.quest" },
+];
+
+function StaircaseEditor({ settings, units, onChange }) {
+  const t = useTranslation();
+  const set = (patch) => onChange({ ...settings, ...patch });
+  return (
+    <div className="space-y-3 rounded-lg border border-slate-700 p-3">
+      <div className="flex gap-2 flex-wrap">
+        {STAIRCASE_METHODS.map((method) => (
+          <button
+            key={method.id}
+            type="button"
+            onClick={() => set({ method: method.id })}
+            className={`px-3 py-1 rounded-lg border text-xs ${settings.method === method.id ? "bg-emerald-500/20 border-emerald-400" : "bg-slate-900/40 border-slate-700 hover:border-slate-500"}`}
+          >
+            {t(method.label)}
+          </button>
+        ))}
+      </div>
+      <UnitRange
+        label={t("staircase.startLead")}
+        units={units}
+        min={settings.minLead}
+        max={settings.maxLead}
+        step={5}
+        value={settings.startLead}
+        onChange={(startLead) => set({ startLead })}
+      />
+      {settings.method === STAIRCASE_QUEST ? (
+        <UnitRange
+          label={t("staircase.slope")}
+          units={units}
+          min={SETTING_LIMITS.staircaseSlope.min}
+          max={SETTING_LIMITS.staircaseSlope.max}
+          step={5}
+          value={settings.slope}
+          onChange={(slope) => set({ slope })}
+        />
+      ) : (
+        <UnitRange
+          label={t("staircase.step")}
+          units={units}
+          min={SETTING_LIMITS.staircaseStep.min}
+          max={SETTING_LIMITS.staircaseStep.max}
+          step={5}
+          value={settings.stepSize}
+          onChange={(stepSize) => set({ stepSize })}
+        />
+      )}
+      {settings.method === STAIRCASE_WEIGHTED && (
+        <LabeledRange
+          label={t("staircase.target", { percent: Math.round(settings.targetP * 100) })}
+          min={SETTING_LIMITS.staircaseTargetP.min}
+          max={SETTING_LIMITS.staircaseTargetP.max}
+          step={0.05}
+          value={settings.targetP}
+          onChange={(targetP) => set({ targetP })}
+        />
+      )}
+      <div className="text-xs text-slate-400">{t("staircase.help")}</div>
     </div>
   );
 }
@@ -1173,31 +2496,109 @@ function ColorSwatch({ label, value, onChange }) {
   );
 }
 
+// A translated message with React nodes in place of its remaining {placeholders}
+function RichText({ text, values }) {
+  return text.split(/\{(\w+)\}/).map((part, i) => <Fragment key={i}>{i % 2 ? values[part] : part}</Fragment>);
+}
+
+// "12 px (0.32° • 43 ms)": degrees only on a calibrated screen
+function formatTrialError(r) {
+  const px = r.signed_error_px ?? r.abs_error_px;
+  const extra = [];
+  if (r.signed_error_deg != null) extra.push(`${r.signed_error_deg}°`);
+  if (r.signed_error_ms != null) extra.push(`${r.signed_error_ms} ms`);
+  return extra.length ? `${px} px (${extra.join(" • ")})` : `${px} px`;
+}
+
 // (3) Results: only current participant + two columns (Participant, Abs error (px))
-function ResultsTable({ results, currentParticipant }) {
+// onReplay(record) opens the replay of a row; rows saved before the stage size was recorded can't be replayed
+function ResultsTable({ results, currentParticipant, onReplay }) {
+  const t = useTranslation();
   const rows = results.filter((r) => r.participant === currentParticipant);
   if (!currentParticipant) {
-    return <div className="mt-2 text-sm text-slate-400">Nessun partecipante selezionato.</div>;
+    return <div className="mt-2 text-sm text-slate-400">{t("results.noParticipant")}</div>;
   }
   if (!rows.length) {
-    return <div className="mt-2 text-sm text-slate-400">Ancora nessuna prova per questo partecipante.</div>;
+    return <div className="mt-2 text-sm text-slate-400">{t("results.empty")}</div>;
   }
+  const showConfidence = rows.some((r) => r.confidence != null);
+  const showReplay = Boolean(onReplay) && rows.some(canReplay);
   return (
     <div className="mt-4">
-      <h3 className="text-lg font-semibold mb-2">Risultati</h3>
+      <h3 className="text-lg font-semibold mb-2">{t("results.title")}</h3>
       <div className="overflow-x-auto rounded-xl border border-slate-700">
         <table className="min-w-full text-sm">
           <thead className="bg-slate-800/80">
             <tr>
-              <th className="px-3 py-2 text-left font-medium text-slate-200">Partecipante</th>
-              <th className="px-3 py-2 text-left font-medium text-slate-200">Errore (px)</th>
+              <th className="px-3 py-2 text-left font-medium text-slate-200">{t("results.participant")}</th>
+              <th className="px-3 py-2 text-left font-medium text-slate-200">{t("results.error")}</th>
+              <th className="px-3 py-2 text-left font-medium text-slate-200">{t("results.time")}</th>
+              {showConfidence && <th className="px-3 py-2 text-left font-medium text-slate-200">{t("results.confidence")}</th>}
+              {showReplay && <th className="px-3 py-2" />}
             </tr>
           </thead>
           <tbody>
             {rows.map((r, i) => (
-              <tr key={i} className={i % 2 ? "bg-slate-900/40" : "bg-slate-900/20"}>
-                <td className="px-3 py-2 text-slate-300">{r.participant}</td>
-                <td className="px-3 py-2 text-slate-300">{r.signed_error_px ?? r.abs_error_px}</td>
+              <tr
+                key={i}
+                onClick={showReplay && canReplay(r) ? () => onReplay(r) : undefined}
+                className={`${i % 2 ? "bg-slate-900/40" : "bg-slate-900/20"} ${showReplay && canReplay(r) ? "cursor-pointer hover:bg-slate-700/40" : ""}`}
+              >
+                <td className="px-3 py-2 text-slate-300">
+                  {r.participant}
+                  {r.practice && <span className="ml-2 text-xs text-sky-300">{t("results.practice")}</span>}
+                  {r.catch_type && (
+                    <span className={`ml-2 text-xs ${r.catch_passed ? "text-emerald-300" : "text-rose-300"}`}>
+                      {t("results.catch")} {r.catch_passed ? "✓" : "✗"}
+                    </span>
+                  )}
+                </td>
+                <td className="px-3 py-2 text-slate-300">
+                  {r.response
+                    ? t("results.answerLead", {
+                        answer: t(r.response === RESPONSE_AHEAD ? "results.ahead" : "results.behind"),
+                        lead: r.lead_px,
+                      })
+                    : formatTrialError(r)}
+                  {r.timing_warning && (
+                    <span
+                      className="ml-2 text-amber-300"
+                      title={t("results.timing", {
+                        dropped: r.dropped_frames,
+                        drawn: r.flash_frames_drawn ?? "–",
+                        frames: r.flash_frames ?? "–",
+                      })}
+                    >
+                      ⚠
+                    </span>
+                  )}
+                </td>
+                <td className="px-3 py-2 text-slate-300">
+                  {r.response_time_ms ?? "–"}
+                  {r.slow_excluded && (
+                    <span className="ml-2 text-amber-300" title={t("results.slowTitle")}>
+                      {t("results.slow")}
+                    </span>
+                  )}
+                </td>
+                {showConfidence && <td className="px-3 py-2 text-slate-300">{r.confidence ?? "–"}</td>}
+                {showReplay && (
+                  <td className="px-3 py-2 text-right">
+                    {canReplay(r) && (
+                      <button
+                        type="button"
+                        onClick={(e) => {
+                          e.stopPropagation();
+                          onReplay(r);
+                        }}
+                        title={t("results.replayTitle")}
+                        className="px-2 py-1 rounded-lg bg-slate-700 hover:bg-slate-600 text-xs"
+                      >
+                        ▶ {t("results.replay")}
+                      </button>
+                    )}
+                  </td>
+                )}
               </tr>
             ))}
           </tbody>
@@ -1208,71 +2609,255 @@ function ResultsTable({ results, currentParticipant }) {
 }
 
 // (4) Leaderboard title simplified
-function Leaderboard({ summaries }) {
-  if (!summaries.length) return null;
-  const sorted = [...summaries].sort((a, b) => a.average_abs_error_px - b.average_abs_error_px);
+// One ranking per segment (mode × target × speed × answer type), picked with the tabs.
+// `live`: the merged board of all stations on the results server, with a station column
+function Leaderboard({ segments, live = false }) {
+  const t = useTranslation();
+  const [selected, setSelected] = useState(null);
+  // Staircase and 2AFC trials have no click error and never form a segment
+  if (!segments.length) return null;
+  const segment = segments.find((s) => s.key === selected) ?? segments[0];
+  const showDeg = segment.rows.some((s) => s.average_abs_error_deg != null);
+  const segmentLabel = (s) =>
+    [
+      modeName(t, s.mode),
+      t(`shape.${s.targetShape}`),
+      `${s.speed} px/s`,
+      s.responseType === RESPONSE_ADJUST && t("leaderboard.adjust"),
+    ]
+      .filter(Boolean)
+      .join(" • ");
   return (
     <div className="mt-6">
-      <h3 className="text-lg font-semibold mb-2">Classifica</h3>
+      <h3 className="text-lg font-semibold mb-2">{t(live ? "leaderboard.liveTitle" : "leaderboard.title")}</h3>
+      {segments.length > 1 && (
+        <div className="flex gap-2 flex-wrap mb-2" role="tablist">
+          {segments.map((s) => (
+            <button
+              key={s.key}
+              type="button"
+              role="tab"
+              aria-selected={s.key === segment.key}
+              onClick={() => setSelected(s.key)}
+              className={`px-3 py-1 rounded-lg border text-xs ${s.key === segment.key ? "bg-emerald-500/20 border-emerald-400" : "bg-slate-900/40 border-slate-700 hover:border-slate-500"}`}
+            >
+              {segmentLabel(s)}
+            </button>
+          ))}
+        </div>
+      )}
+      {segments.length === 1 && <div className="text-xs text-slate-400 mb-2">{segmentLabel(segment)}</div>}
       <div className="overflow-x-auto rounded-xl border border-slate-700">
         <table className="min-w-full text-sm">
           <thead className="bg-slate-800/80">
             <tr>
-              <th className="px-3 py-2 text-left font-medium text-slate-200">Posizione</th>
-              <th className="px-3 py-2 text-left font-medium text-slate-200">Partecipante</th>
-              <th className="px-3 py-2 text-left font-medium text-slate-200">Errore medio (px)</th>
+              <th className="px-3 py-2 text-left font-medium text-slate-200">{t("leaderboard.rank")}</th>
+              <th className="px-3 py-2 text-left font-medium text-slate-200">{t("results.participant")}</th>
+              {live && <th className="px-3 py-2 text-left font-medium text-slate-200">{t("leaderboard.station")}</th>}
+              <th className="px-3 py-2 text-left font-medium text-slate-200">{t("leaderboard.trials")}</th>
+              <th className="px-3 py-2 text-left font-medium text-slate-200">{t("leaderboard.errorPx")}</th>
+              {showDeg && <th className="px-3 py-2 text-left font-medium text-slate-200">{t("leaderboard.errorDeg")}</th>}
+              <th className="px-3 py-2 text-left font-medium text-slate-200">{t("leaderboard.best")}</th>
+              <th className="px-3 py-2 text-left font-medium text-slate-200">{t("leaderboard.worst")}</th>
             </tr>
           </thead>
           <tbody>
-            {sorted.map((s, i) => (
-              <tr key={s.participant + i} className={i % 2 ? "bg-slate-900/40" : "bg-slate-900/20"}>
-                <td className="px-3 py-2">{i + 1}</td>
-                <td className="px-3 py-2">{s.participant}</td>
+            {segment.rows.map((s, i) => (
+              <tr key={`${s.station ?? ""}/${s.participant}`} className={i % 2 ? "bg-slate-900/40" : "bg-slate-900/20"}>
+                <td className="px-3 py-2">{s.rank ?? "–"}</td>
+                <td className="px-3 py-2">
+                  {s.participant}
+                  {s.failed_catch_checks && (
+                    <span
+                      className="ml-2 text-amber-300"
+                      title={t("leaderboard.catchFailures", { failures: s.catch_failures, trials: s.catch_trials })}
+                    >
+                      {t("leaderboard.attention")}
+                    </span>
+                  )}
+                </td>
+                {live && <td className="px-3 py-2">{s.station}</td>}
+                <td className="px-3 py-2">{s.trials}</td>
                 <td className="px-3 py-2">{s.average_abs_error_px}</td>
+                {showDeg && <td className="px-3 py-2">{s.average_abs_error_deg ?? "–"}</td>}
+                <td className="px-3 py-2">{t("leaderboard.trialValue", { value: s.best_abs_error_px, trial: s.best_trial })}</td>
+                <td className="px-3 py-2">{t("leaderboard.trialValue", { value: s.worst_abs_error_px, trial: s.worst_trial })}</td>
               </tr>
             ))}
           </tbody>
         </table>
       </div>
+      <div className="text-xs text-slate-400 mt-2">{t("leaderboard.rule", { n: MIN_RANKED_TRIALS })}</div>
     </div>
   );
 }
 
-function ExplanationModal({ onClose }) {
+function RestScreen({ blockNumber, blockCount, blockSummary, nextMode, onContinue }) {
+  const t = useTranslation();
   return (
     <div className="fixed inset-0 z-20 flex items-center justify-center px-4">
       <div className="absolute inset-0 bg-slate-900/80" aria-hidden="true" />
-      <div className="relative max-w-2xl w-full bg-slate-800 rounded-2xl shadow-xl p-6 text-sm text-slate-100 space-y-3">
-        <h3 className="text-lg font-semibold">Perché il punto sembra sparire più avanti?</h3>
+      <div className="relative max-w-md w-full bg-slate-800 rounded-2xl shadow-xl p-6 text-sm text-slate-100 space-y-3">
+        <h3 className="text-lg font-semibold">{t("rest.title", { block: blockNumber, count: blockCount })}</h3>
+        {blockSummary && blockSummary.average_abs_error_px != null && (
+          <p>
+            <RichText
+              text={t("rest.error", { shift: blockSummary.average_signed_error_px, trials: blockSummary.trials })}
+              values={{ error: <span className="font-semibold">{blockSummary.average_abs_error_px} px</span> }}
+            />
+          </p>
+        )}
+        {blockSummary && blockSummary.pss_px != null && (
+          <p>
+            <RichText
+              text={t("rest.pss", { trials: blockSummary.trials })}
+              values={{ pss: <span className="font-semibold">{formatPss(blockSummary)}</span> }}
+            />
+          </p>
+        )}
         <p>
-          Il nostro cervello non elabora le immagini in tempo reale: c’è sempre un piccolo ritardo tra ciò che arriva agli occhi e
-          ciò che viene percepito. Per compensare, il cervello usa meccanismi predittivi: anticipa la traiettoria degli oggetti in
-          movimento e confronta le previsioni con i segnali visivi in arrivo.
-        </p>
-        <p>
-          Quando un oggetto si muove normalmente, il cervello lo proietta leggermente in avanti. Questo ci aiuta ad agire in tempo
-          (ad esempio per afferrare una palla), ma fa sì che l’oggetto appaia un po’ più avanti della sua reale posizione.
-          Questo fenomeno è chiamato <strong>slancio rappresentazionale</strong> (representational momentum).
-        </p>
-        <p>
-          Quando il punto scompare di colpo, la sparizione genera un segnale improvviso che annulla la proiezione in avanti.
-          Tuttavia, poiché il cervello stava già predicendo il movimento futuro, tendiamo a indicare una posizione leggermente più
-          avanzata di quella reale.
+          <RichText text={t("rest.next")} values={{ mode: <strong>{modeName(t, nextMode).toLowerCase()}</strong> }} />
         </p>
+        <div className="pt-2 flex justify-end">
+          <button
+            type="button"
+            onClick={onContinue}
+            className="px-4 py-2 rounded-xl bg-emerald-500 hover:bg-emerald-600 text-slate-900 font-semibold"
+          >
+            {t("button.continue")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+// End of a blind session: the participant's results, hidden until now
+function DebriefModal({ summary, note, onClose, children }) {
+  const t = useTranslation();
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center px-4">
+      <div className="absolute inset-0 bg-slate-900/80" aria-hidden="true" />
+      <div className="relative max-w-3xl w-full max-h-[90vh] overflow-y-auto bg-slate-800 rounded-2xl shadow-xl p-6 text-sm text-slate-100 space-y-3">
+        <h3 className="text-lg font-semibold">{t("debrief.title")}</h3>
+        {summary && <p>{describeSummary(t, summary)}.</p>}
+        <p className="text-slate-300">{t("debrief.note")}</p>
+        {children}
+        {note && <p className="text-xs text-slate-400">{note}</p>}
+        <div className="pt-2 flex justify-end">
+          <button
+            type="button"
+            onClick={onClose}
+            className="px-4 py-2 rounded-xl bg-emerald-500 hover:bg-emerald-600 text-slate-900 font-semibold"
+          >
+            {t("button.continue")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+function ExplanationModal({ note, onClose }) {
+  const t = useTranslation();
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center px-4">
+      <div className="absolute inset-0 bg-slate-900/80" aria-hidden="true" />
+      <div className="relative max-w-2xl w-full bg-slate-800 rounded-2xl shadow-xl p-6 text-sm text-slate-100 space-y-3">
+        <h3 className="text-lg font-semibold">{t("explanation.title")}</h3>
+        <p>{t("explanation.delay")}</p>
         <p>
-          Questo dimostra un principio di base della percezione: il cervello non è una macchina fotografica passiva, ma un sistema
-          predittivo che cerca costantemente di stare un passo avanti rispetto al mondo.
+          <RichText text={t("explanation.momentum")} values={{ term: <strong>{t("explanation.term")}</strong> }} />
         </p>
+        <p>{t("explanation.disappearance")}</p>
+        <p>{t("explanation.principle")}</p>
+        {note && <p className="text-xs text-slate-400">{note}</p>}
         <div className="pt-2 flex justify-end">
           <button
             type="button"
             onClick={onClose}
             className="px-4 py-2 rounded-xl bg-emerald-500 hover:bg-emerald-600 text-slate-900 font-semibold"
           >
-            Capito
+            {t("explanation.close")}
           </button>
         </div>
       </div>
     </div>
   );
 }
+
+// 2AFC answer buttons, labelled with the arrow keys that give the same answer on this trial.
+// When the motion runs sideways, "behind" sits on the side it comes from.
+function JudgeButtons({ keys, onJudge }) {
+  const t = useTranslation();
+  const glyphs = (list) => list.map((key) => ARROW_GLYPHS[key]).join(" ");
+  const buttons = [
+    { response: RESPONSE_BEHIND, label: t("judge.behind"), keys: glyphs(keys.behind) },
+    { response: RESPONSE_AHEAD, label: t("judge.ahead"), keys: glyphs(keys.ahead) },
+  ];
+  if (keys.behind.includes("ArrowRight")) buttons.reverse();
+  return (
+    <div className="flex gap-2 justify-center pt-3">
+      {buttons.map((button) => (
+        <button
+          key={button.response}
+          type="button"
+          onClick={(e) => onJudge(button.response, buttonInput(e))}
+          className="px-4 py-2 rounded-xl bg-slate-700 hover:bg-slate-600 shadow"
+        >
+          {button.label}
+          {button.keys && <span className="ml-2 text-slate-400">{button.keys}</span>}
+        </button>
+      ))}
+    </div>
+  );
+}
+
+// Operator check before the settings open in kiosk mode
+function PinPrompt({ kiosk, onUnlock, onClose }) {
+  const t = useTranslation();
+  const [entry, setEntry] = useState("");
+  const [wrong, setWrong] = useState(false);
+  const submit = async (e) => {
+    e.preventDefault();
+    if (await pinMatches(kiosk, entry)) {
+      onUnlock();
+    } else {
+      setWrong(true);
+      setEntry("");
+    }
+  };
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center px-4">
+      <div className="absolute inset-0 bg-slate-900/80" aria-hidden="true" onClick={onClose} />
+      <form
+        onSubmit={submit}
+        className="relative max-w-sm w-full bg-slate-800 rounded-2xl shadow-xl p-6 text-sm text-slate-100 space-y-3"
+      >
+        <h3 className="text-lg font-semibold">{t("kiosk.pinTitle")}</h3>
+        <p className="text-slate-300">{t("kiosk.pinPrompt")}</p>
+        <input
+          type="password"
+          inputMode="numeric"
+          autoComplete="off"
+          autoFocus
+          value={entry}
+          onChange={(e) => setEntry(e.target.value.trim())}
+          className="w-full px-3 py-2 rounded-lg bg-slate-900/60 border border-slate-700 focus:outline-none"
+        />
+        {wrong && <div className="text-rose-300">{t("kiosk.pinWrong")}</div>}
+        <div className="pt-2 flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-4 py-2 rounded-xl bg-slate-700 hover:bg-slate-600">
+            {t("button.cancel")}
+          </button>
+          <button
+            type="submit"
+            className="px-4 py-2 rounded-xl bg-emerald-500 hover:bg-emerald-600 text-slate-900 font-semibold"
+          >
+            {t("kiosk.unlock")}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,426 @@
+import React, { useMemo, useState } from "react";
+import { MODES, MODE_DISAPPEARING, MODE_FLASH_LAG, TARGET_DOT, TARGET_PACMAN } from "./trialEngine";
+import { isCountedTrial } from "./session";
+import { useTranslation } from "./LocaleContext";
+import { ToggleButton } from "./AnalysisPanel";
+import Figure from "./FigureExport";
+import { describeErrors, histogram, kernelDensity, pairedDifference, participantMeans } from "./stats";
+
+const PLOT_BG = "#0f172a";
+const AXIS_COLOR = "#334155";
+const LABEL_COLOR = "#94a3b8";
+const MEAN_COLOR = "#fffb00ff";
+const REFERENCE_COLOR = "rgba(248, 113, 113, 0.6)";
+const PAIR_LINE_COLOR = "rgba(148, 163, 184, 0.35)";
+const POINT_COLOR = "rgba(96, 165, 250, 0.85)";
+const HIGHLIGHT_COLOR = "#fffb00ff";
+const LEVEL_COLORS = ["#60a5fa", "#4ade80", "#f472b6", "#fb923c", "#a78bfa", "#2dd4bf"];
+
+const PLOT_WIDTH = 560;
+const HISTOGRAM_BINS = 24;
+const DENSITY_POINTS = 60;
+
+const PLOT_HISTOGRAM = "histogram";
+const PLOT_VIOLIN = "violin";
+
+// Conditions the group can be split by; levels are listed in this order
+const FACTORS = [
+  { id: "mode", key: "group.byMode", of: (r) => r.mode, order: (a, b) => MODES.indexOf(a) - MODES.indexOf(b) },
+  {
+    id: "shape",
+    key: "group.byShape",
+    of: (r) => r.target_shape,
+    order: (a, b) => [TARGET_PACMAN, TARGET_DOT].indexOf(a) - [TARGET_PACMAN, TARGET_DOT].indexOf(b),
+  },
+  { id: "speed", key: "group.bySpeed", of: (r) => r.speed_px_s, order: (a, b) => a - b },
+];
+
+// Symmetric axis extent in px that holds every value, rounded up to a multiple of 10
+const axisExtent = (values) => Math.ceil(Math.max(10, ...values.map(Math.abs)) / 10) * 10;
+
+// Teaching view of the whole group: the distribution of signed click errors per condition,
+// every participant's mean effect, and a within-participant comparison of two conditions.
+// Practice, catch and too-slow trials stay out, as in the analysis panel. `caption` describes
+// the session under exported figures.
+export default function GroupDashboard({ results, currentParticipant, modeLabel, caption }) {
+  const t = useTranslation();
+  const [factorId, setFactorId] = useState(FACTORS[0].id);
+  const [plot, setPlot] = useState(PLOT_VIOLIN);
+  const [pair, setPair] = useState(null); // { a, b } once chosen; null = default pair
+  const factor = FACTORS.find((f) => f.id === factorId);
+
+  const rows = useMemo(
+    () => results.filter((r) => isCountedTrial(r) && !r.slow_excluded && typeof r.signed_error_px === "number"),
+    [results]
+  );
+  const levels = useMemo(() => [...new Set(rows.map(factor.of))].sort(factor.order), [rows, factor]);
+  const perParticipant = useMemo(() => participantMeans(rows, factor.of), [rows, factor]);
+
+  const labelOf = (level) =>
+    factor.id === "mode" ? modeLabel(level) : factor.id === "shape" ? t(`shape.${level}`) : `${level} px/s`;
+  const colorOf = (level) => LEVEL_COLORS[levels.indexOf(level) % LEVEL_COLORS.length];
+
+  // Flash-lag against disappearing by default: the classic comparison
+  const defaultPair =
+    factor.id === "mode" && levels.includes(MODE_FLASH_LAG) && levels.includes(MODE_DISAPPEARING)
+      ? { a: MODE_FLASH_LAG, b: MODE_DISAPPEARING }
+      : { a: levels[0], b: levels[1] };
+  const { a, b } = pair && levels.includes(pair.a) && levels.includes(pair.b) ? pair : defaultPair;
+  const paired = useMemo(() => (a === b ? null : pairedDifference(perParticipant, a, b)), [perParticipant, a, b]);
+
+  const levelLegend = levels.map((level) => ({ color: colorOf(level), label: labelOf(level) }));
+  const zeroLegend = { color: REFERENCE_COLOR, label: t("figure.zero"), line: true };
+  const hasCurrent = perParticipant.some((p) => p.participant === currentParticipant);
+
+  const chooseFactor = (id) => {
+    setFactorId(id);
+    setPair(null);
+  };
+
+  if (!rows.length) {
+    return <div className="text-sm text-slate-400">{t("group.empty")}</div>;
+  }
+
+  return (
+    <div className="flex flex-col gap-4 text-sm">
+      <div className="flex gap-2 flex-wrap items-center">
+        <span className="text-xs text-slate-400">{t("group.splitBy")}</span>
+        {FACTORS.map((f) => (
+          <ToggleButton key={f.id} active={f.id === factorId} onClick={() => chooseFactor(f.id)}>
+            {t(f.key)}
+          </ToggleButton>
+        ))}
+        <span className="ml-auto flex gap-1">
+          <ToggleButton active={plot === PLOT_VIOLIN} onClick={() => setPlot(PLOT_VIOLIN)}>
+            {t("group.violin")}
+          </ToggleButton>
+          <ToggleButton active={plot === PLOT_HISTOGRAM} onClick={() => setPlot(PLOT_HISTOGRAM)}>
+            {t("group.histogram")}
+          </ToggleButton>
+        </span>
+      </div>
+
+      <div className="grid gap-4 xl:grid-cols-2">
+        <div className="space-y-2">
+          <h3 className="font-semibold text-slate-200">{t("group.distribution")}</h3>
+          <Figure
+            name={t("figure.distributionName")}
+            title={t("group.distribution")}
+            legend={[...levelLegend, { color: MEAN_COLOR, label: t("figure.mean"), line: true }, zeroLegend]}
+            caption={`${t("figure.trials", { n: rows.length })} ${caption}`}
+          >
+            <DistributionPlot
+              rows={rows}
+              factor={factor}
+              levels={levels}
+              kind={plot}
+              labelOf={labelOf}
+              colorOf={colorOf}
+            />
+          </Figure>
+        </div>
+        <div className="space-y-2">
+          <h3 className="font-semibold text-slate-200">{t("group.participantMeans", { n: perParticipant.length })}</h3>
+          <Figure
+            name={t("figure.participantMeansName")}
+            title={t("group.participantMeans", { n: perParticipant.length })}
+            legend={[
+              ...levelLegend,
+              ...(hasCurrent ? [{ color: HIGHLIGHT_COLOR, label: currentParticipant }] : []),
+              { color: MEAN_COLOR, label: t("figure.groupMeanCi") },
+              zeroLegend,
+            ]}
+            caption={`${t("figure.participants", { n: perParticipant.length })} ${caption}`}
+          >
+            <ParticipantMeansPlot
+              perParticipant={perParticipant}
+              levels={levels}
+              current={currentParticipant}
+              labelOf={labelOf}
+              colorOf={colorOf}
+            />
+          </Figure>
+        </div>
+      </div>
+
+      {levels.length > 1 && (
+        <div className="space-y-2">
+          <h3 className="font-semibold text-slate-200">{t("group.paired")}</h3>
+          <div className="flex flex-wrap gap-x-4 gap-y-2">
+            {[
+              ["a", a],
+              ["b", b],
+            ].map(([side, selected]) => (
+              <div key={side} className="flex gap-1 flex-wrap items-center">
+                <span className="text-xs text-slate-400 w-4">{side.toUpperCase()}</span>
+                {levels.map((level) => (
+                  <ToggleButton key={level} active={level === selected} onClick={() => setPair({ a, b, [side]: level })}>
+                    {labelOf(level)}
+                  </ToggleButton>
+                ))}
+              </div>
+            ))}
+          </div>
+          {paired && paired.n >= 2 ? (
+            <>
+              <Figure
+                name={t("figure.differenceName")}
+                title={t("group.difference", { b: labelOf(b), a: labelOf(a) })}
+                legend={[
+                  { color: POINT_COLOR, label: t("figure.participantPoints") },
+                  { color: MEAN_COLOR, label: t("figure.meanCi") },
+                  zeroLegend,
+                ]}
+                caption={[
+                  t("figure.paired", { n: paired.n, mean: paired.mean, low: paired.meanCi[0], high: paired.meanCi[1] }),
+                  caption,
+                ].join(" ")}
+              >
+                <DifferencePlot paired={paired} />
+              </Figure>
+              <dl className="grid grid-cols-[auto_1fr] gap-x-3 gap-y-1 text-xs text-slate-300">
+                <dt>{t("group.comparison")}</dt>
+                <dd>{t("group.difference", { b: labelOf(b), a: labelOf(a) })}</dd>
+                <dt>{t("group.pairs")}</dt>
+                <dd>{paired.n}</dd>
+                <dt>{t("group.meanDifference")}</dt>
+                <dd>
+                  {paired.mean} ± {paired.sd ?? "–"} px
+                </dd>
+                <dt>{t("analysis.meanCi")}</dt>
+                <dd>{`${paired.meanCi[0]} – ${paired.meanCi[1]} px`}</dd>
+                <dt>
+                  d<sub>z</sub>
+                </dt>
+                <dd>{paired.dz ?? "–"}</dd>
+              </dl>
+            </>
+          ) : (
+            <div className="text-slate-400">{t(a === b ? "group.sameCondition" : "group.needPairs")}</div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// One row per condition: a violin (mirrored kernel density) or a histogram of the signed
+// errors, on a shared axis, with the mean of the trials
+function DistributionPlot({ rows, factor, levels, kind, labelOf, colorOf }) {
+  const t = useTranslation();
+  const rowHeight = 64;
+  const left = 110;
+  const padding = 16;
+  const height = levels.length * rowHeight + 28;
+  const extent = axisExtent(rows.map((r) => r.signed_error_px));
+  const x = (v) => left + ((v + extent) / (2 * extent)) * (PLOT_WIDTH - left - padding);
+
+  const series = levels.map((level) => {
+    const values = rows.filter((r) => factor.of(r) === level).map((r) => r.signed_error_px);
+    const grid = Array.from({ length: DENSITY_POINTS + 1 }, (_, i) => -extent + (2 * extent * i) / DENSITY_POINTS);
+    const bins = histogram(values, -extent, extent, HISTOGRAM_BINS).map((bin) => ({ ...bin, share: bin.n / values.length }));
+    return { level, values, grid, density: kernelDensity(values, grid), bins, stats: describeErrors(values) };
+  });
+  // Shared vertical scales, so the rows can be compared
+  const maxDensity = Math.max(...series.flatMap((s) => s.density));
+  const maxShare = Math.max(...series.flatMap((s) => s.bins.map((bin) => bin.share)));
+  const halfHeight = rowHeight / 2 - 6;
+
+  return (
+    <svg width={PLOT_WIDTH} height={height} className="w-full" viewBox={`0 0 ${PLOT_WIDTH} ${height}`}>
+      <rect x={0} y={0} width={PLOT_WIDTH} height={height} rx={8} fill={PLOT_BG} stroke={AXIS_COLOR} />
+      {series.map((s, i) => {
+        const middle = i * rowHeight + rowHeight / 2 + 4;
+        const color = colorOf(s.level);
+        let shape;
+        if (kind === PLOT_VIOLIN) {
+          const point = (v, j, side) => `${x(v).toFixed(1)},${(middle + side * (s.density[j] / maxDensity) * halfHeight).toFixed(1)}`;
+          const outline = [...s.grid.map((v, j) => point(v, j, -1)), ...s.grid.map((v, j) => point(v, j, 1)).reverse()];
+          shape = <polygon points={outline.join(" ")} fill={color} fillOpacity={0.45} stroke={color} />;
+        } else {
+          const base = middle + halfHeight;
+          shape = s.bins.map((bin, j) => {
+            const barHeight = (bin.share / maxShare) * 2 * halfHeight;
+            return (
+              <rect
+                key={j}
+                x={x(bin.x0) + 0.5}
+                y={base - barHeight}
+                width={x(bin.x1) - x(bin.x0) - 1}
+                height={barHeight}
+                fill={color}
+                fillOpacity={0.7}
+              >
+                <title>{t("group.bin", { from: Math.round(bin.x0), to: Math.round(bin.x1), n: bin.n })}</title>
+              </rect>
+            );
+          });
+        }
+        return (
+          <g key={s.level}>
+            <text x={8} y={middle} fill="#e5e7eb" fontSize={11}>
+              {labelOf(s.level)}
+            </text>
+            <text x={8} y={middle + 14} fill={LABEL_COLOR} fontSize={10}>
+              {t("group.trials", { n: s.values.length })}
+            </text>
+            {shape}
+            <line
+              x1={x(s.stats.mean)}
+              y1={middle - halfHeight}
+              x2={x(s.stats.mean)}
+              y2={middle + halfHeight}
+              stroke={MEAN_COLOR}
+              strokeWidth={2}
+            >
+              <title>{t("analysis.meanPoint", { value: s.stats.mean })}</title>
+            </line>
+          </g>
+        );
+      })}
+      <line x1={x(0)} y1={6} x2={x(0)} y2={height - 24} stroke={REFERENCE_COLOR} strokeWidth={2} />
+      <text x={left} y={height - 8} fill={LABEL_COLOR} fontSize={10}>
+        {t("analysis.behindAxis", { extent })}
+      </text>
+      <text x={PLOT_WIDTH - padding} y={height - 8} fill={LABEL_COLOR} fontSize={10} textAnchor="end">
+        {t("analysis.aheadAxis", { extent })}
+      </text>
+    </svg>
+  );
+}
+
+// One column per condition with each participant's mean signed error; a participant's means are
+// joined across neighbouring columns. The bar is the mean of the participant means with its 95% CI.
+function ParticipantMeansPlot({ perParticipant, levels, current, labelOf, colorOf }) {
+  const t = useTranslation();
+  const height = 240;
+  const top = 16;
+  const bottom = 40;
+  const left = 56;
+  const extent = axisExtent(perParticipant.flatMap((p) => [...p.means.values()].map((m) => m.mean)));
+  const column = (PLOT_WIDTH - left - 16) / levels.length;
+  const cx = (i) => left + column * (i + 0.5);
+  const y = (v) => top + ((extent - v) / (2 * extent)) * (height - top - bottom);
+
+  return (
+    <svg width={PLOT_WIDTH} height={height} className="w-full" viewBox={`0 0 ${PLOT_WIDTH} ${height}`}>
+      <rect x={0} y={0} width={PLOT_WIDTH} height={height} rx={8} fill={PLOT_BG} stroke={AXIS_COLOR} />
+      <line
+        x1={left}
+        y1={y(0)}
+        x2={PLOT_WIDTH - 16}
+        y2={y(0)}
+        stroke={REFERENCE_COLOR}
+        strokeWidth={2}
+        strokeDasharray="4 4"
+      />
+      <text x={left - 6} y={y(extent) + 4} fill={LABEL_COLOR} fontSize={10} textAnchor="end">{`+${extent}`}</text>
+      <text x={left - 6} y={y(0) + 4} fill={LABEL_COLOR} fontSize={10} textAnchor="end">0</text>
+      <text x={left - 6} y={y(-extent) + 4} fill={LABEL_COLOR} fontSize={10} textAnchor="end">{`−${extent}`}</text>
+      {perParticipant.map((p) =>
+        levels.slice(1).map((level, i) => {
+          const from = p.means.get(levels[i]);
+          const to = p.means.get(level);
+          if (!from || !to) return null;
+          const isCurrent = p.participant === current;
+          return (
+            <line
+              key={`${p.participant}-${level}`}
+              x1={cx(i)}
+              y1={y(from.mean)}
+              x2={cx(i + 1)}
+              y2={y(to.mean)}
+              stroke={isCurrent ? HIGHLIGHT_COLOR : PAIR_LINE_COLOR}
+              strokeWidth={isCurrent ? 2 : 1}
+            />
+          );
+        })
+      )}
+      {levels.map((level, i) => {
+        const means = perParticipant.filter((p) => p.means.has(level));
+        const stats = describeErrors(means.map((p) => p.means.get(level).mean));
+        return (
+          <g key={level}>
+            {means.map((p) => {
+              const { n, mean } = p.means.get(level);
+              const isCurrent = p.participant === current;
+              return (
+                <circle
+                  key={p.participant}
+                  cx={cx(i)}
+                  cy={y(mean)}
+                  r={isCurrent ? 5.5 : 4}
+                  fill={isCurrent ? HIGHLIGHT_COLOR : colorOf(level)}
+                  fillOpacity={0.85}
+                >
+                  <title>{t("group.participantPoint", { participant: p.participant, mean, n })}</title>
+                </circle>
+              );
+            })}
+            {stats.meanCi && (
+              <line
+                x1={cx(i) + 14}
+                y1={y(stats.meanCi[0])}
+                x2={cx(i) + 14}
+                y2={y(stats.meanCi[1])}
+                stroke={MEAN_COLOR}
+                strokeWidth={3}
+                strokeLinecap="round"
+              />
+            )}
+            <circle cx={cx(i) + 14} cy={y(stats.mean)} r={4.5} fill={MEAN_COLOR}>
+              <title>{t("analysis.meanPoint", { value: stats.mean })}</title>
+            </circle>
+            <text x={cx(i)} y={height - 22} fill="#e5e7eb" fontSize={11} textAnchor="middle">
+              {labelOf(level)}
+            </text>
+            <text x={cx(i)} y={height - 8} fill={LABEL_COLOR} fontSize={10} textAnchor="middle">
+              {t("group.participants", { n: means.length })}
+            </text>
+          </g>
+        );
+      })}
+    </svg>
+  );
+}
+
+// Each participant's difference between the two conditions, with the mean difference and its CI
+function DifferencePlot({ paired }) {
+  const t = useTranslation();
+  const height = 90;
+  const padding = 16;
+  const extent = axisExtent([...paired.pairs.map((p) => p.difference), ...paired.meanCi]);
+  const x = (v) => padding + ((v + extent) / (2 * extent)) * (PLOT_WIDTH - padding * 2);
+  const baseline = height - 22;
+
+  return (
+    <svg width={PLOT_WIDTH} height={height} className="w-full" viewBox={`0 0 ${PLOT_WIDTH} ${height}`}>
+      <rect x={0} y={0} width={PLOT_WIDTH} height={height} rx={8} fill={PLOT_BG} stroke={AXIS_COLOR} />
+      <line x1={padding} y1={baseline} x2={PLOT_WIDTH - padding} y2={baseline} stroke={AXIS_COLOR} />
+      <line x1={x(0)} y1={10} x2={x(0)} y2={baseline + 4} stroke={REFERENCE_COLOR} strokeWidth={2} />
+      {paired.pairs.map((p, i) => (
+        <circle key={p.participant} cx={x(p.difference)} cy={baseline - 10 - (i % 5) * 7} r={3} fill={POINT_COLOR}>
+          <title>{t("group.pairPoint", { participant: p.participant, difference: p.difference })}</title>
+        </circle>
+      ))}
+      <line
+        x1={x(paired.meanCi[0])}
+        y1={14}
+        x2={x(paired.meanCi[1])}
+        y2={14}
+        stroke={MEAN_COLOR}
+        strokeWidth={3}
+        strokeLinecap="round"
+      />
+      <circle cx={x(paired.mean)} cy={14} r={4.5} fill={MEAN_COLOR}>
+        <title>{t("analysis.meanPoint", { value: paired.mean })}</title>
+      </circle>
+      <text x={padding} y={height - 6} fill={LABEL_COLOR} fontSize={10}>
+        {`−${extent} px`}
+      </text>
+      <text x={PLOT_WIDTH - padding} y={height - 6} fill={LABEL_COLOR} fontSize={10} textAnchor="end">
+        {`+${extent} px`}
+      </text>
+    </svg>
+  );
+}
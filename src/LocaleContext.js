@@ -0,0 +1,7 @@
+// Translator of the selected interface language, shared with the panels and helper components
+import { createContext, useContext } from "react";
+import { DEFAULT_LOCALE, makeTranslator } from "./i18n.js";
+
+export const LocaleContext = createContext(makeTranslator(DEFAULT_LOCALE));
+
+export const useTranslation = () => useContext(LocaleContext);
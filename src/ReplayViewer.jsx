@@ -0,0 +1,152 @@
+import React, { useEffect, useMemo, useRef, useState } from "react";
+import { PHASE_FEEDBACK } from "./trialEngine";
+import { drawReplayMarks, renderTrialFrame } from "./stageRenderer";
+import { buildReplay, replayStateAt, replayTimestamp } from "./replay";
+import { useTranslation } from "./LocaleContext";
+
+const REPLAY_RATES = [1, 0.5, 0.25, 0.1];
+const MAX_STAGE_WIDTH = 900;
+
+// Modal: plays a recorded trial back on the stage, at real speed or slowed down, with a
+// scrubber. The overlay marks where the target really was at the event and where the
+// participant answered.
+export default function ReplayViewer({ record, style, caption, onClose }) {
+  const t = useTranslation();
+  const canvasRef = useRef(null);
+  const replay = useMemo(() => buildReplay(record), [record]);
+  const [time, setTime] = useState(0);
+  const [playing, setPlaying] = useState(true);
+  const [rate, setRate] = useState(1);
+  const [overlay, setOverlay] = useState(true);
+  const timeRef = useRef(0);
+
+  // The recorded stage, shrunk to fit the modal
+  const width = record.stage_width_px;
+  const height = record.stage_height_px;
+  const scale = Math.min(1, MAX_STAGE_WIDTH / width, (window.innerWidth - 64) / width);
+
+  const seek = (next) => {
+    timeRef.current = next;
+    setTime(next);
+  };
+
+  useEffect(() => {
+    if (!playing || !replay) return;
+    let raf = 0;
+    let last = null;
+    const frame = (ts) => {
+      if (last != null) {
+        const next = Math.min(timeRef.current + (ts - last) * rate, replay.duration);
+        seek(next);
+        if (next >= replay.duration) {
+          setPlaying(false);
+          return;
+        }
+      }
+      last = ts;
+      raf = requestAnimationFrame(frame);
+    };
+    raf = requestAnimationFrame(frame);
+    return () => cancelAnimationFrame(raf);
+  }, [playing, rate, replay]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas || !replay) return;
+    const dpr = (window.devicePixelRatio || 1) * scale;
+    canvas.width = Math.floor(width * dpr);
+    canvas.height = Math.floor(height * dpr);
+    const ctx = canvas.getContext("2d");
+    const trial = replayStateAt(replay, time);
+    renderTrialFrame(ctx, dpr, trial, replayTimestamp(time), style);
+    // Once answered, the usual feedback already shows the true position and the click
+    if (overlay && !(trial.phase === PHASE_FEEDBACK && replay.click)) {
+      drawReplayMarks(ctx, dpr, trial, replay.click, style);
+    }
+  }, [replay, time, overlay, style, scale, width, height]);
+
+  if (!replay) return null;
+
+  const restart = () => {
+    seek(0);
+    setPlaying(true);
+  };
+  const togglePlay = () => {
+    if (playing) {
+      setPlaying(false);
+    } else {
+      if (timeRef.current >= replay.duration) seek(0);
+      setPlaying(true);
+    }
+  };
+  const clock = Math.min(time, replay.answerAt);
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center px-4">
+      <div className="absolute inset-0 bg-slate-900/80" aria-hidden="true" onClick={onClose} />
+      <div className="relative max-w-4xl w-full bg-slate-800 rounded-2xl shadow-xl p-6 text-sm text-slate-100 space-y-4">
+        <h3 className="text-lg font-semibold">{t("replay.title", { trial: record.trial ?? "–" })}</h3>
+        <p className="text-slate-300">{caption}</p>
+        <div className="flex justify-center overflow-hidden">
+          <canvas
+            ref={canvasRef}
+            className="block rounded-xl"
+            style={{ width: width * scale, height: height * scale }}
+            aria-label={t("replay.canvas")}
+          />
+        </div>
+        <label className="block">
+          <div className="flex justify-between text-slate-300 mb-1 select-none">
+            <span>{t("replay.time", { time: Math.round(clock) })}</span>
+            <span className="text-slate-400">
+              {time >= replay.answerAt ? t("replay.answered") : t("replay.answerAt", { time: Math.round(replay.answerAt) })}
+            </span>
+          </div>
+          <input
+            type="range"
+            min={0}
+            max={Math.round(replay.duration)}
+            step={1}
+            value={Math.round(time)}
+            onChange={(e) => {
+              setPlaying(false);
+              seek(Number(e.target.value));
+            }}
+            className="w-full"
+          />
+        </label>
+        <div className="flex flex-wrap items-center gap-2">
+          <button type="button" onClick={togglePlay} className="px-4 py-2 rounded-xl bg-sky-500 hover:bg-sky-600 text-slate-900 font-semibold">
+            {playing ? t("replay.pause") : t("replay.play")}
+          </button>
+          <button type="button" onClick={restart} className="px-4 py-2 rounded-xl bg-slate-700 hover:bg-slate-600">
+            {t("replay.restart")}
+          </button>
+          <div className="flex gap-1" role="group" aria-label={t("replay.speed")}>
+            {REPLAY_RATES.map((option) => (
+              <button
+                key={option}
+                type="button"
+                onClick={() => setRate(option)}
+                aria-pressed={rate === option}
+                className={`px-3 py-2 rounded-lg border ${rate === option ? "bg-sky-500/20 border-sky-400" : "bg-slate-900/40 border-slate-700 hover:border-slate-500"}`}
+              >
+                {option}×
+              </button>
+            ))}
+          </div>
+          <label className="flex items-center gap-2 ml-auto select-none">
+            <input type="checkbox" checked={overlay} onChange={(e) => setOverlay(e.target.checked)} />
+            {t("replay.overlay")}
+          </label>
+        </div>
+        <p className="text-xs text-slate-400">{t("replay.note")}</p>
+        <div className="flex justify-end">
+          <button type="button" onClick={onClose} className="px-4 py-2 rounded-xl bg-slate-700 hover:bg-slate-600">
+            {t("button.close")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,150 @@
+import React, { useCallback, useEffect, useState } from "react";
+import { deleteStoredSession, listStoredSessions, mergeStoredSessions } from "./storage";
+import { useTranslation } from "./LocaleContext";
+
+// Modal listing the sessions saved in IndexedDB: reopen one, merge several, delete old ones.
+export default function SessionBrowser({ currentId, onOpen, onClose }) {
+  const t = useTranslation();
+  const [sessions, setSessions] = useState(null);
+  const [selected, setSelected] = useState([]);
+  const [error, setError] = useState("");
+
+  const refresh = useCallback(() => {
+    listStoredSessions()
+      .then(setSessions)
+      .catch(() => setError(t("archive.readError")));
+  }, [t]);
+
+  useEffect(() => {
+    refresh();
+  }, [refresh]);
+
+  const toggle = (id) =>
+    setSelected((prev) => (prev.includes(id) ? prev.filter((s) => s !== id) : [...prev, id]));
+
+  const open = async (stored) => {
+    setError("");
+    try {
+      await onOpen(stored.id);
+    } catch (err) {
+      setError(t("archive.openError", { name: stored.name, error: err.message }));
+    }
+  };
+
+  const remove = async (stored) => {
+    if (!window.confirm(t("archive.confirmDelete", { name: stored.name, count: stored.trialCount }))) return;
+    setError("");
+    try {
+      await deleteStoredSession(stored.id);
+    } catch (err) {
+      setError(t("archive.deleteError", { name: stored.name, error: err.message }));
+      return;
+    }
+    setSelected((prev) => prev.filter((s) => s !== stored.id));
+    refresh();
+  };
+
+  const merge = async () => {
+    setError("");
+    try {
+      const names = selected.map((id) => sessions.find((s) => s.id === id).name).join(" + ");
+      await mergeStoredSessions(selected, { name: t("archive.mergedName", { names }) });
+    } catch (err) {
+      setError(t("archive.mergeError", { error: err.message }));
+      return;
+    }
+    setSelected([]);
+    refresh();
+  };
+
+  return (
+    <div className="fixed inset-0 z-20 flex items-center justify-center px-4">
+      <div className="absolute inset-0 bg-slate-900/80" aria-hidden="true" onClick={onClose} />
+      <div className="relative max-w-2xl w-full bg-slate-800 rounded-2xl shadow-xl p-6 text-sm text-slate-100 space-y-3">
+        <div className="flex items-center justify-between">
+          <h3 className="text-lg font-semibold">{t("archive.title")}</h3>
+          <button type="button" onClick={onClose} className="px-3 py-1 rounded-lg bg-slate-700 hover:bg-slate-600">
+            {t("button.close")}
+          </button>
+        </div>
+        {error && <div className="text-rose-300">{error}</div>}
+        {sessions && !sessions.length && <div className="text-slate-400">{t("archive.empty")}</div>}
+        {sessions && sessions.length > 0 && (
+          <div className="max-h-96 overflow-y-auto rounded-xl border border-slate-700">
+            <table className="min-w-full text-sm">
+              <thead className="bg-slate-800/80">
+                <tr>
+                  <th className="px-3 py-2" />
+                  <th className="px-3 py-2 text-left font-medium text-slate-200">{t("archive.session")}</th>
+                  <th className="px-3 py-2 text-left font-medium text-slate-200">{t("archive.trials")}</th>
+                  <th className="px-3 py-2 text-left font-medium text-slate-200">{t("archive.participants")}</th>
+                  <th className="px-3 py-2" />
+                </tr>
+              </thead>
+              <tbody>
+                {sessions.map((stored, i) => {
+                  const isCurrent = stored.id === currentId;
+                  return (
+                    <tr key={stored.id} className={i % 2 ? "bg-slate-900/40" : "bg-slate-900/20"}>
+                      <td className="px-3 py-2">
+                        <input
+                          type="checkbox"
+                          checked={selected.includes(stored.id)}
+                          onChange={() => toggle(stored.id)}
+                          aria-label={t("archive.select", { name: stored.name })}
+                        />
+                      </td>
+                      <td className="px-3 py-2 text-slate-300">
+                        {stored.name}
+                        <div className="text-xs text-slate-500">
+                          {t("archive.updated", { date: stored.updatedAt.slice(0, 16).replace("T", " ") })}
+                        </div>
+                      </td>
+                      <td className="px-3 py-2 text-slate-300">{stored.trialCount}</td>
+                      <td className="px-3 py-2 text-slate-300">{stored.participants.length}</td>
+                      <td className="px-3 py-2">
+                        <div className="flex gap-2 justify-end">
+                          {isCurrent ? (
+                            <span className="text-xs text-emerald-300">{t("archive.inUse")}</span>
+                          ) : (
+                            <>
+                              <button
+                                type="button"
+                                onClick={() => open(stored)}
+                                className="px-2 py-1 rounded-lg text-xs bg-sky-500 hover:bg-sky-600"
+                              >
+                                {t("archive.open")}
+                              </button>
+                              <button
+                                type="button"
+                                onClick={() => remove(stored)}
+                                className="px-2 py-1 rounded-lg text-xs bg-slate-700 hover:bg-rose-600"
+                              >
+                                {t("archive.delete")}
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+        <div className="flex justify-between items-center">
+          <span className="text-xs text-slate-400">{t("archive.note")}</span>
+          <button
+            type="button"
+            onClick={merge}
+            disabled={selected.length < 2}
+            className={`px-3 py-2 rounded-lg text-sm shadow ${selected.length >= 2 ? "bg-indigo-500 hover:bg-indigo-600" : "bg-slate-700 text-slate-400 cursor-not-allowed"}`}
+          >
+            {t("archive.merge")}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
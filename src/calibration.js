@@ -0,0 +1,62 @@
+// Screen calibration: CSS px per mm (from a credit card held against the screen) and the
+// viewing distance give px per degree of visual angle, so stimuli and errors can be
+// expressed in deg, deg/s and ms of motion instead of screen-dependent pixels.
+import { round2 } from "./trialEngine.js";
+
+export const CARD_WIDTH_MM = 85.6; // ISO/IEC 7810 ID-1
+export const CARD_HEIGHT_MM = 53.98;
+export const DEFAULT_VIEWING_DISTANCE_CM = 57; // 1 cm on screen ≈ 1 deg
+export const VIEWING_DISTANCE_LIMITS = { min: 20, max: 200 };
+
+export const UNITS_PX = "px";
+export const UNITS_DEG = "deg";
+
+export function createCalibration(overrides = {}) {
+  return {
+    pxPerMm: null, // null until the card has been matched
+    viewingDistanceCm: DEFAULT_VIEWING_DISTANCE_CM,
+    ...overrides,
+  };
+}
+
+export const isCalibrated = (calibration) =>
+  Boolean(calibration && calibration.pxPerMm > 0 && calibration.viewingDistanceCm > 0);
+
+// Card rectangle width (CSS px) -> calibration
+export const calibrationFromCard = (cardWidthPx, viewingDistanceCm) =>
+  createCalibration({ pxPerMm: cardWidthPx / CARD_WIDTH_MM, viewingDistanceCm });
+
+// Size on screen of one degree centred on the line of sight
+export function pixelsPerDegree(calibration) {
+  if (!isCalibrated(calibration)) return null;
+  const mmPerDeg = 2 * calibration.viewingDistanceCm * 10 * Math.tan(Math.PI / 360);
+  return calibration.pxPerMm * mmPerDeg;
+}
+
+// A calibrated stage keeps this visual angle whatever the window size, so the flash position and
+// the run-up before it are the same on every screen (24° ≈ 900 px at 96 dpi and 57 cm)
+export const STAGE_WIDTH_DEG = 24;
+
+// Stage width (CSS px) in a wrapper `available` px wide: the whole wrapper when uncalibrated,
+// STAGE_WIDTH_DEG when calibrated. fits is false when the wrapper is too narrow for it.
+export function stageWidthFor(available, pxPerDeg) {
+  if (!pxPerDeg) return { width: Math.round(available), fits: true };
+  const width = Math.round(STAGE_WIDTH_DEG * pxPerDeg);
+  return width <= available ? { width, fits: true } : { width: Math.floor(available), fits: false };
+}
+
+// How the settings panel shows and reads spatial values. Values stay stored in px;
+// in degree mode they are converted with the current calibration.
+export function displayUnits(units, pxPerDeg) {
+  if (units !== UNITS_DEG || !pxPerDeg) {
+    return { units: UNITS_PX, length: "px", speed: "px/s", fromPx: (px) => px, toPx: (v) => v, step: (pxStep) => pxStep };
+  }
+  return {
+    units: UNITS_DEG,
+    length: "°",
+    speed: "°/s",
+    fromPx: (px) => round2(px / pxPerDeg),
+    toPx: (deg) => Math.round(deg * pxPerDeg),
+    step: (pxStep) => Math.max(0.01, round2(pxStep / pxPerDeg)),
+  };
+}
@@ -0,0 +1,19 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { STAGE_WIDTH_DEG, createCalibration, isCalibrated, pixelsPerDegree, stageWidthFor } from "./calibration.js";
+
+test("1 degree at 57 cm is about 1 cm", () => {
+  assert.ok(Math.abs(pixelsPerDegree(createCalibration({ pxPerMm: 1 })) - 9.95) < 0.01);
+});
+
+test("a fresh calibration is not calibrated", () => {
+  assert.equal(isCalibrated(createCalibration()), false);
+  assert.equal(isCalibrated(createCalibration({ pxPerMm: 4 })), true);
+});
+
+test("a calibrated stage keeps its visual angle in any window wide enough", () => {
+  assert.deepEqual(stageWidthFor(1234.4, null), { width: 1234, fits: true });
+  assert.deepEqual(stageWidthFor(1400, 40), { width: STAGE_WIDTH_DEG * 40, fits: true });
+  assert.deepEqual(stageWidthFor(2000, 40), { width: STAGE_WIDTH_DEG * 40, fits: true });
+  assert.deepEqual(stageWidthFor(700.6, 40), { width: 700, fits: false });
+});
@@ -0,0 +1,90 @@
+// Client of the optional results collector (server/collector.js). Every record goes into an
+// outbox kept in localStorage and is posted from there, oldest first. While the server cannot
+// be reached the records stay queued and go out with the next attempt, so a station can keep
+// running offline. The merged leaderboard arrives as Server-Sent Events.
+import { leaderboardSegments, mergeSegments } from "./session.js";
+import { loadPreference, savePreference } from "./storage.js";
+
+export const COLLECTOR_TRIAL = "trial";
+export const COLLECTOR_SUMMARY = "summary";
+export const COLLECTOR_RETRY_MS = 15000;
+
+const OUTBOX_KEY = "collectorOutbox";
+const MAX_BATCH = 200;
+
+let outbox = null;
+let flushing = null;
+
+const readOutbox = () => {
+  if (!outbox) outbox = loadPreference(OUTBOX_KEY, []);
+  return outbox;
+};
+const writeOutbox = (items) => {
+  outbox = items;
+  savePreference(OUTBOX_KEY, items);
+};
+
+export const queuedCount = () => readOutbox().length;
+
+// "192.168.1.20:8787/" -> "http://192.168.1.20:8787"
+export function normalizeCollectorUrl(text) {
+  const trimmed = text.trim().replace(/\/+$/, "");
+  if (!trimmed) return "";
+  return /^https?:\/\//i.test(trimmed) ? trimmed : `http://${trimmed}`;
+}
+
+// Ids only need to be unique per station; crypto.randomUUID is missing on plain-http LAN addresses
+const itemId = () => `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+
+export function enqueueRecord(station, kind, record) {
+  writeOutbox([...readOutbox(), { id: itemId(), station, kind, record }]);
+}
+
+// Post the oldest queued records. Resolves to { queued, rejected }: the number still queued and
+// the number the server refused as invalid (dropped, since resending cannot fix them). A failed
+// post leaves the outbox as it was. Concurrent calls share the request in flight.
+export function flushOutbox(url) {
+  if (flushing) return flushing;
+  const batch = readOutbox().slice(0, MAX_BATCH);
+  if (!batch.length) return Promise.resolve({ queued: 0, rejected: 0 });
+  flushing = fetch(`${url}/records`, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ items: batch }),
+  })
+    .then((res) => {
+      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      return res.json();
+    })
+    .then(({ accepted = [], rejected = [] }) => {
+      const done = new Set([...accepted, ...rejected]);
+      writeOutbox(readOutbox().filter((item) => !done.has(item.id)));
+      return { queued: queuedCount(), rejected: rejected.length };
+    })
+    .catch(() => ({ queued: queuedCount(), rejected: 0 }))
+    .finally(() => {
+      flushing = null;
+    });
+  return flushing;
+}
+
+// Live merged leaderboard. EventSource reconnects by itself after the server drops; onStatus
+// reports whether the stream is up. Returns a function that closes the subscription.
+export function subscribeLeaderboard(url, { onLeaderboard, onStatus }) {
+  const source = new EventSource(`${url}/events`);
+  source.addEventListener("leaderboard", (e) => onLeaderboard(JSON.parse(e.data)));
+  source.onopen = () => onStatus(true);
+  source.onerror = () => onStatus(false);
+  return () => source.close();
+}
+
+// The server's segments plus this station's finished participants it has not received yet
+// (still queued), ranked together
+export function mergeLeaderboards(serverBoard, localResults, localSummaries, station) {
+  const known = new Set(serverBoard.summaries.filter((s) => s.station === station).map((s) => s.participant));
+  const pending = localSummaries.filter((s) => !known.has(s.participant)).map((s) => ({ ...s, station }));
+  if (!pending.length) return serverBoard.segments;
+  const names = new Set(pending.map((s) => s.participant));
+  const pendingResults = localResults.filter((r) => names.has(r.participant)).map((r) => ({ ...r, station }));
+  return mergeSegments(serverBoard.segments, leaderboardSegments(pendingResults, pending));
+}
@@ -0,0 +1,84 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  COLLECTOR_SUMMARY,
+  COLLECTOR_TRIAL,
+  enqueueRecord,
+  flushOutbox,
+  normalizeCollectorUrl,
+  queuedCount,
+} from "./collector.js";
+
+// The outbox lives in localStorage; a Map stands in for it, and each test answers the posts itself
+const stored = new Map();
+globalThis.localStorage = {
+  getItem: (key) => stored.get(key) ?? null,
+  setItem: (key, value) => stored.set(key, String(value)),
+};
+
+function answerPosts(t, answer) {
+  const posts = [];
+  t.mock.method(globalThis, "fetch", async (url, init) => {
+    const { items } = JSON.parse(init.body);
+    posts.push({ url, items });
+    return answer(items);
+  });
+  return posts;
+}
+
+const reply = (status, body) => new Response(JSON.stringify(body), { status });
+const storedOutbox = () => JSON.parse(stored.get("flashlag-demo:collectorOutbox"));
+
+test("collector addresses are completed with http and lose the trailing slash", () => {
+  assert.equal(normalizeCollectorUrl(" 192.168.1.20:8787/ "), "http://192.168.1.20:8787");
+  assert.equal(normalizeCollectorUrl("https://lab.example/"), "https://lab.example");
+  assert.equal(normalizeCollectorUrl("  "), "");
+});
+
+test("records stay queued while the server cannot be reached", async (t) => {
+  enqueueRecord("A", COLLECTOR_TRIAL, { participant: "Ada", trial: 1 });
+  enqueueRecord("A", COLLECTOR_TRIAL, { participant: "Ada", trial: 2 });
+  assert.equal(storedOutbox().length, 2);
+
+  answerPosts(t, () => Promise.reject(new TypeError("fetch failed")));
+  assert.deepEqual(await flushOutbox("http://collector"), { queued: 2, rejected: 0 });
+  t.mock.restoreAll();
+  const posts = answerPosts(t, () => reply(500, { error: "records could not be saved" }));
+  assert.deepEqual(await flushOutbox("http://collector"), { queued: 2, rejected: 0 });
+  assert.equal(posts[0].url, "http://collector/records");
+  assert.deepEqual(posts[0].items.map((item) => item.record.trial), [1, 2]);
+  assert.equal(storedOutbox().length, 2);
+});
+
+test("a successful post empties the outbox and drops refused records", async (t) => {
+  enqueueRecord("A", COLLECTOR_SUMMARY, { participant: "Ada" });
+  const posts = answerPosts(t, ([refused, ...rest]) =>
+    reply(200, { accepted: rest.map((i) => i.id), rejected: [refused.id] })
+  );
+
+  // Concurrent flushes share the request in flight
+  const [first, second] = await Promise.all([flushOutbox("http://collector"), flushOutbox("http://collector")]);
+  assert.deepEqual(first, { queued: 0, rejected: 1 });
+  assert.equal(second, first);
+  assert.equal(posts.length, 1);
+  assert.equal(posts[0].items.length, 3);
+  assert.equal(queuedCount(), 0);
+  assert.deepEqual(storedOutbox(), []);
+  assert.deepEqual(await flushOutbox("http://collector"), { queued: 0, rejected: 0 });
+  assert.equal(posts.length, 1);
+});
+
+test("records queued during a post wait for the next one", async (t) => {
+  enqueueRecord("A", COLLECTOR_TRIAL, { participant: "Bo", trial: 1 });
+  let release;
+  answerPosts(t, (items) => {
+    const answer = reply(200, { accepted: items.map((i) => i.id) });
+    return new Promise((resolve) => (release = () => resolve(answer)));
+  });
+  const flushing = flushOutbox("http://collector");
+  await new Promise((resolve) => setTimeout(resolve));
+  enqueueRecord("A", COLLECTOR_TRIAL, { participant: "Bo", trial: 2 });
+  release();
+  assert.deepEqual(await flushing, { queued: 1, rejected: 0 });
+  assert.equal(storedOutbox()[0].record.trial, 2);
+});
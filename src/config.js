@@ -0,0 +1,346 @@
+// Shareable experiment configurations: the session definition plus the stimulus style, as a
+// downloadable preset file or a link. Everything read back is checked against the slider
+// ranges of the settings panel (SETTING_LIMITS). The screen calibration belongs to the device
+// and is never part of a configuration.
+import {
+  MODES,
+  MODE_DISAPPEARING,
+  MODE_FLASH_INITIATED,
+  MODE_FLASH_LAG,
+  MODE_FLASH_TERMINATED,
+  RESPONSE_2AFC,
+  RESPONSE_ADJUST,
+  RESPONSE_CLICK,
+  TARGET_DOT,
+  TARGET_PACMAN,
+  modeHasFlash,
+} from "./trialEngine.js";
+import { TRAJECTORIES, TRAJECTORY_CIRCULAR, TRAJECTORY_LEFT_RIGHT, TRAJECTORY_RANDOM } from "./trajectory.js";
+import {
+  DEFAULT_CATCH_FAIL_LIMIT,
+  FEEDBACK_BLOCK,
+  FEEDBACK_FULL,
+  FEEDBACK_NONE,
+  MAX_BLOCKS,
+  SETTING_LIMITS,
+  createBlock,
+  createSession,
+} from "./session.js";
+import { FACTOR_LIMITS, MAX_REPEATS } from "./design.js";
+import { STAIRCASE_QUEST, STAIRCASE_UP_DOWN, STAIRCASE_WEIGHTED, createStaircaseSettings } from "./staircase.js";
+
+export const PRESET_FORMAT = "flashlag-preset";
+export const PRESET_VERSION = 1;
+export const CONFIG_HASH_KEY = "config"; // #config=<base64url JSON>
+
+export const DEFAULT_STYLE = { dotRadius: 10, dotColor: "#fffb00ff", flashColor: "#f97316" };
+
+const SHAPES = [TARGET_PACMAN, TARGET_DOT];
+const RESPONSE_TYPES = [RESPONSE_CLICK, RESPONSE_2AFC, RESPONSE_ADJUST];
+const FEEDBACK_POLICIES = [FEEDBACK_FULL, FEEDBACK_BLOCK, FEEDBACK_NONE];
+const STAIRCASE_METHODS = [STAIRCASE_UP_DOWN, STAIRCASE_WEIGHTED, STAIRCASE_QUEST];
+const COLOR_PATTERN = /^#[0-9a-f]{6}([0-9a-f]{2})?$/i;
+const MAX_FACTOR_LEVELS = 12;
+
+// The shareable part of the app state
+export const configFromState = ({ session, dotRadius, dotColor, flashColor }) => ({
+  session,
+  dotRadius,
+  dotColor,
+  flashColor,
+});
+
+// Checks one configuration value after another and collects every problem. Missing fields
+// take their defaults, so a hand-written preset only needs the values it changes.
+function createChecker() {
+  const problems = [];
+  const fail = (where, text) => problems.push(`${where}: ${text}`);
+  const isObject = (value) => value != null && typeof value === "object" && !Array.isArray(value);
+
+  const field = (source, key, fallback, check, where) =>
+    source[key] === undefined ? fallback : check(source[key], `${where}.${key}`);
+  const number = (limits, { integer = false } = {}) => (value, where) => {
+    if (typeof value !== "number" || !Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+      fail(where, `${JSON.stringify(value)} is not ${integer ? "a whole number" : "a number"}`);
+    } else if (value < limits.min || value > limits.max) {
+      fail(where, `${value} is outside ${limits.min}…${limits.max}`);
+    }
+    return value;
+  };
+  const oneOf = (options) => (value, where) => {
+    if (!options.includes(value)) fail(where, `${JSON.stringify(value)} is not one of ${options.join(", ")}`);
+    return value;
+  };
+  const flag = (value, where) => {
+    if (typeof value !== "boolean") fail(where, `${JSON.stringify(value)} is not true or false`);
+    return value;
+  };
+  const color = (value, where) => {
+    if (typeof value !== "string" || !COLOR_PATTERN.test(value)) fail(where, `${JSON.stringify(value)} is not a #rrggbb colour`);
+    return value;
+  };
+  const levels = (check) => (value, where) => {
+    if (!Array.isArray(value) || !value.length || value.length > MAX_FACTOR_LEVELS) {
+      fail(where, `needs 1–${MAX_FACTOR_LEVELS} levels`);
+      return [];
+    }
+    return value.map((level, i) => check(level, `${where}[${i}]`));
+  };
+  const object = (check) => (value, where) => {
+    if (!isObject(value)) {
+      fail(where, "is not an object");
+      return null;
+    }
+    return check(value, where);
+  };
+  const nullable = (check) => (value, where) => (value === null ? null : check(value, where));
+
+  return { problems, fail, isObject, field, number, oneOf, flag, color, levels, object, nullable };
+}
+
+function checkDesign(c, design, where, defaults) {
+  return {
+    speeds: c.field(design, "speeds", defaults.speeds, c.levels(c.number(FACTOR_LIMITS.speeds)), where),
+    leads: c.field(design, "leads", defaults.leads, c.levels(c.number(FACTOR_LIMITS.leads)), where),
+    shapes: c.field(design, "shapes", defaults.shapes, c.levels(c.oneOf(SHAPES)), where),
+    flashDurations: c.field(
+      design,
+      "flashDurations",
+      defaults.flashDurations,
+      c.levels(c.number(FACTOR_LIMITS.flashDurations)),
+      where
+    ),
+    repeats: c.field(design, "repeats", defaults.repeats, c.number({ min: 1, max: MAX_REPEATS }, { integer: true }), where),
+  };
+}
+
+function checkStaircase(c, staircase, where) {
+  const defaults = createStaircaseSettings();
+  const leads = SETTING_LIMITS.flashLead;
+  const settings = {
+    method: c.field(staircase, "method", defaults.method, c.oneOf(STAIRCASE_METHODS), where),
+    startLead: c.field(staircase, "startLead", defaults.startLead, c.number(leads), where),
+    stepSize: c.field(staircase, "stepSize", defaults.stepSize, c.number(SETTING_LIMITS.staircaseStep), where),
+    minStep: c.field(staircase, "minStep", defaults.minStep, c.number(SETTING_LIMITS.staircaseStep), where),
+    targetP: c.field(staircase, "targetP", defaults.targetP, c.number(SETTING_LIMITS.staircaseTargetP), where),
+    slope: c.field(staircase, "slope", defaults.slope, c.number(SETTING_LIMITS.staircaseSlope), where),
+    minLead: c.field(staircase, "minLead", defaults.minLead, c.number(leads), where),
+    maxLead: c.field(staircase, "maxLead", defaults.maxLead, c.number(leads), where),
+  };
+  if (settings.minLead >= settings.maxLead) c.fail(where, "minLead must be below maxLead");
+  if (settings.startLead < settings.minLead || settings.startLead > settings.maxLead) {
+    c.fail(`${where}.startLead`, "must lie between minLead and maxLead");
+  }
+  if (settings.minStep > settings.stepSize) c.fail(`${where}.minStep`, "must not exceed stepSize");
+  return settings;
+}
+
+function checkBlock(c, block, where) {
+  const defaults = createBlock();
+  const L = SETTING_LIMITS;
+  const mode = c.field(block, "mode", defaults.mode, c.oneOf(MODES), where);
+  const disappearRange = c.field(
+    block,
+    "disappearRange",
+    defaults.disappearRange,
+    c.object((range, at) => ({
+      min: c.field(range, "min", defaults.disappearRange.min, c.number(L.disappearOffset), at),
+      max: c.field(range, "max", defaults.disappearRange.max, c.number(L.disappearOffset), at),
+    })),
+    where
+  );
+  if (disappearRange && disappearRange.min > disappearRange.max) c.fail(`${where}.disappearRange`, "min is above max");
+
+  const checked = {
+    mode,
+    targetShape: c.field(block, "targetShape", defaults.targetShape, c.oneOf(SHAPES), where),
+    trajectory: c.field(block, "trajectory", defaults.trajectory, c.oneOf(TRAJECTORIES), where),
+    trials: c.field(block, "trials", defaults.trials, c.number(L.trials, { integer: true }), where),
+    speed: c.field(block, "speed", defaults.speed, c.number(L.speed), where),
+    flashLead: c.field(block, "flashLead", defaults.flashLead, c.number(L.flashLead), where),
+    disappearRange,
+    flashYOffset: c.field(block, "flashYOffset", defaults.flashYOffset, c.number(L.flashYOffset), where),
+    flashDuration: c.field(block, "flashDuration", defaults.flashDuration, c.number(L.flashDuration), where),
+    responseType: c.field(block, "responseType", defaults.responseType, c.oneOf(RESPONSE_TYPES), where),
+  };
+  // Same defaults as ticking the constant-stimuli box in the panel
+  const designDefaults = {
+    speeds: [checked.speed],
+    leads: [mode === MODE_DISAPPEARING ? 0 : checked.flashLead],
+    shapes: [checked.targetShape],
+    flashDurations: [checked.flashDuration],
+    repeats: Math.min(checked.trials, MAX_REPEATS),
+  };
+  checked.design = c.field(
+    block,
+    "design",
+    null,
+    c.nullable(c.object((design, at) => checkDesign(c, design, at, designDefaults))),
+    where
+  );
+  checked.staircase = c.field(block, "staircase", null, c.nullable(c.object((s, at) => checkStaircase(c, s, at))), where);
+
+  // Combinations the panel never offers
+  if (checked.design && checked.staircase) c.fail(where, "a block cannot have both a design and a staircase");
+  if (checked.staircase && !modeHasFlash(mode)) c.fail(`${where}.staircase`, `needs a flash mode, not ${mode}`);
+  if (checked.responseType === RESPONSE_2AFC && !(checked.design && modeHasFlash(mode)) && !checked.staircase) {
+    c.fail(`${where}.responseType`, "2AFC answers need a constant-stimuli flash block or a staircase");
+  }
+  if (checked.responseType === RESPONSE_ADJUST && checked.staircase) {
+    c.fail(`${where}.responseType`, "staircase blocks always ask the 2AFC question");
+  }
+  return checked;
+}
+
+function checkSession(c, session, where) {
+  const defaults = createSession();
+  const L = SETTING_LIMITS;
+  const blocks = c.field(
+    session,
+    "blocks",
+    defaults.blocks,
+    (value, at) => {
+      if (!Array.isArray(value) || !value.length || value.length > MAX_BLOCKS) {
+        c.fail(at, `needs 1–${MAX_BLOCKS} blocks`);
+        return [];
+      }
+      return value.map((block, i) => c.object((b, blockAt) => checkBlock(c, b, blockAt))(block, `${at}[${i}]`));
+    },
+    where
+  );
+  return createSession(blocks, {
+    counterbalance: c.field(session, "counterbalance", defaults.counterbalance, c.flag, where),
+    askConfidence: c.field(session, "askConfidence", defaults.askConfidence, c.flag, where),
+    // 0 and null both mean "no limit", as on the slider
+    maxResponseMs:
+      c.field(session, "maxResponseMs", defaults.maxResponseMs, c.nullable(c.number(L.maxResponseMs)), where) || null,
+    practiceTrials: c.field(
+      session,
+      "practiceTrials",
+      defaults.practiceTrials,
+      c.number(L.practiceTrials, { integer: true }),
+      where
+    ),
+    catchRate: c.field(session, "catchRate", defaults.catchRate, c.number(L.catchRate), where),
+    catchFailLimit: c.field(
+      session,
+      "catchFailLimit",
+      DEFAULT_CATCH_FAIL_LIMIT,
+      c.number(L.catchFailLimit, { integer: true }),
+      where
+    ),
+    feedback: c.field(session, "feedback", defaults.feedback, c.oneOf(FEEDBACK_POLICIES), where),
+  });
+}
+
+// A full, range-checked configuration from untrusted input; throws with every problem found
+export function validateConfig(raw) {
+  const c = createChecker();
+  if (!c.isObject(raw)) throw new Error("the configuration is not an object");
+  const config = {
+    session: c.field(raw, "session", createSession(), c.object((session, at) => checkSession(c, session, at)), "config"),
+    dotRadius: c.field(raw, "dotRadius", DEFAULT_STYLE.dotRadius, c.number(SETTING_LIMITS.dotRadius), "config"),
+    dotColor: c.field(raw, "dotColor", DEFAULT_STYLE.dotColor, c.color, "config"),
+    flashColor: c.field(raw, "flashColor", DEFAULT_STYLE.flashColor, c.color, "config"),
+  };
+  if (c.problems.length) throw new Error(c.problems.join("; "));
+  return config;
+}
+
+export function buildPreset(config, name = "") {
+  return {
+    format: PRESET_FORMAT,
+    version: PRESET_VERSION,
+    name,
+    savedAt: new Date().toISOString(),
+    config: configFromState(config),
+  };
+}
+
+// Parse and validate a preset file; throws with a readable reason
+export function parsePreset(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error("not a JSON file");
+  }
+  if (!doc || doc.format !== PRESET_FORMAT) throw new Error("not a flash-lag preset");
+  if (typeof doc.version !== "number" || doc.version > PRESET_VERSION) {
+    throw new Error(`unsupported preset version ${doc.version}`);
+  }
+  return { name: typeof doc.name === "string" ? doc.name : "", config: validateConfig(doc.config) };
+}
+
+// Links carry the configuration as URL-safe base64 of its JSON in the hash, which never
+// reaches a server
+function toBase64Url(text) {
+  const bytes = new TextEncoder().encode(text);
+  let binary = "";
+  bytes.forEach((b) => {
+    binary += String.fromCharCode(b);
+  });
+  return btoa(binary).replace(/\+/g, "-").replace(/\//g, "_").replace(/=+$/, "");
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, "+").replace(/_/g, "/"));
+  return new TextDecoder().decode(Uint8Array.from(binary, (ch) => ch.charCodeAt(0)));
+}
+
+export const configHash = (config) => `#${CONFIG_HASH_KEY}=${toBase64Url(JSON.stringify(configFromState(config)))}`;
+
+// The configuration in a location hash: null without one, else { config } or { error }
+export function readConfigHash(hash) {
+  const value = new URLSearchParams(hash.replace(/^#/, "")).get(CONFIG_HASH_KEY);
+  if (value == null) return null;
+  try {
+    return { config: validateConfig(JSON.parse(fromBase64Url(value))) };
+  } catch (err) {
+    return { error: err instanceof SyntaxError || err.name === "InvalidCharacterError" ? "the link is damaged" : err.message };
+  }
+}
+
+// Built-in named presets, written as partial configurations and validated like any other
+const presetEntry = (id, key, config) => ({ id, key, config: validateConfig(config) });
+
+export const BUILT_IN_PRESETS = [
+  // Nijhawan (1994): flash physically aligned with the moving target, 2AFC ahead/behind over a
+  // few leads around alignment, no feedback until the end
+  presetEntry("classic-nijhawan", "preset.classicNijhawan", {
+    session: {
+      blocks: [
+        {
+          mode: MODE_FLASH_LAG,
+          targetShape: TARGET_DOT,
+          trajectory: TRAJECTORY_CIRCULAR,
+          flashLead: 0,
+          flashDuration: 30,
+          responseType: RESPONSE_2AFC,
+          design: { speeds: [280], leads: [-40, -20, 0, 20, 40, 60], shapes: [TARGET_DOT], flashDurations: [30], repeats: 5 },
+        },
+      ],
+      practiceTrials: 2,
+      feedback: FEEDBACK_NONE,
+    },
+  }),
+  // Short, forgiving and colourful: a few clicks with full feedback for visitors
+  presetEntry("museum-demo", "preset.museumDemo", {
+    session: {
+      blocks: [{ mode: MODE_FLASH_LAG, targetShape: TARGET_PACMAN, trajectory: TRAJECTORY_LEFT_RIGHT, trials: 5, speed: 320 }],
+      practiceTrials: 1,
+    },
+    dotRadius: 12,
+  }),
+  // Eagleman & Sejnowski (2000): flash-initiated against flash-terminated, counterbalanced
+  presetEntry("initiated-terminated", "preset.initiatedTerminated", {
+    session: {
+      blocks: [
+        { mode: MODE_FLASH_INITIATED, trajectory: TRAJECTORY_RANDOM, trials: 10, flashLead: 0 },
+        { mode: MODE_FLASH_TERMINATED, trajectory: TRAJECTORY_RANDOM, trials: 10, flashLead: 0 },
+      ],
+      counterbalance: true,
+      practiceTrials: 2,
+    },
+  }),
+];
@@ -0,0 +1,40 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  BUILT_IN_PRESETS,
+  DEFAULT_STYLE,
+  buildPreset,
+  configHash,
+  parsePreset,
+  readConfigHash,
+  validateConfig,
+} from "./config.js";
+
+test("configuration links round-trip", () => {
+  BUILT_IN_PRESETS.forEach(({ id, config }) => {
+    assert.deepEqual(readConfigHash(configHash(config)), { config }, id);
+  });
+  assert.equal(readConfigHash("#other=1"), null);
+  assert.deepEqual(readConfigHash("#config=%%%"), { error: "the link is damaged" });
+});
+
+test("missing fields take their defaults", () => {
+  const config = validateConfig({});
+  assert.equal(config.dotRadius, DEFAULT_STYLE.dotRadius);
+  assert.equal(config.session.blocks.length, 1);
+});
+
+test("out-of-range values are rejected with the field named", () => {
+  assert.throws(() => validateConfig({ session: { blocks: [{ speed: 5000 }] } }), /speed/);
+  assert.throws(() => validateConfig({ dotColor: "red; x" }), /dotColor/);
+  assert.throws(() => validateConfig(null), /not an object/);
+});
+
+test("preset files", () => {
+  const preset = buildPreset(BUILT_IN_PRESETS[0].config, "Demo");
+  const parsed = parsePreset(JSON.stringify(preset));
+  assert.equal(parsed.name, "Demo");
+  assert.deepEqual(parsed.config, BUILT_IN_PRESETS[0].config);
+  assert.throws(() => parsePreset("{"), /not a JSON file/);
+  assert.throws(() => parsePreset(JSON.stringify({ ...preset, version: 99 })), /unsupported preset version/);
+});
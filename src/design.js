@@ -0,0 +1,108 @@
+// Method-of-constant-stimuli designs: factorial condition lists per block, per-participant
+// shuffling and Latin-square counterbalancing of block order.
+import { MODE_DISAPPEARING, clamp } from "./trialEngine.js";
+import { SETTING_LIMITS, isStaircaseBlock } from "./session.js";
+
+// Same limits as the settings sliders
+export const FACTOR_LIMITS = {
+  speeds: SETTING_LIMITS.speed,
+  leads: SETTING_LIMITS.disappearOffset,
+  flashDurations: SETTING_LIMITS.flashDuration,
+};
+export const MAX_REPEATS = 20;
+
+export function createDesign(block) {
+  return {
+    speeds: [block.speed],
+    leads: [block.mode === MODE_DISAPPEARING ? 0 : block.flashLead],
+    shapes: [block.targetShape],
+    flashDurations: [block.flashDuration],
+    repeats: Math.min(block.trials, MAX_REPEATS),
+  };
+}
+
+// "200, 280;360" -> [200, 280, 360], clamped and de-duplicated; null if nothing parses
+export function parseFactorLevels(text, { min, max }) {
+  const levels = String(text)
+    .split(/[\s,;]+/)
+    .filter(Boolean)
+    .map(Number)
+    .filter(Number.isFinite)
+    .map((v) => clamp(v, min, max));
+  const unique = [...new Set(levels)];
+  return unique.length ? unique : null;
+}
+
+const conditionId = ({ speed, lead, targetShape, flashDuration }) =>
+  `v${speed}_o${lead}_${targetShape}_f${flashDuration}`;
+
+// Full factorial crossing speed × lead/offset × shape × flash duration
+export function buildConditions(design) {
+  const conditions = [];
+  design.speeds.forEach((speed) => {
+    design.leads.forEach((lead) => {
+      design.shapes.forEach((targetShape) => {
+        design.flashDurations.forEach((flashDuration) => {
+          const cell = { speed, lead, targetShape, flashDuration };
+          conditions.push({ id: conditionId(cell), ...cell });
+        });
+      });
+    });
+  });
+  return conditions;
+}
+
+export const designTrialCount = (design) => buildConditions(design).length * design.repeats;
+
+export function shuffle(list, random = Math.random) {
+  const out = [...list];
+  for (let i = out.length - 1; i > 0; i -= 1) {
+    const j = Math.floor(random() * (i + 1));
+    [out[i], out[j]] = [out[j], out[i]];
+  }
+  return out;
+}
+
+// Each condition repeated `repeats` times, in random order when `random` is given
+export function buildTrialList(design, random = null) {
+  const conditions = buildConditions(design);
+  const list = [];
+  for (let r = 0; r < design.repeats; r += 1) list.push(...conditions);
+  return random ? shuffle(list, random) : list;
+}
+
+// Row `row` of a balanced (Williams) Latin square over n items.
+// Odd n needs 2n rows to balance first-order carry-over, so rows n..2n-1 are mirrored.
+export function latinSquareRow(n, row) {
+  const base = [0];
+  let lo = 1;
+  let hi = n - 1;
+  while (base.length < n) {
+    base.push(base.length % 2 === 1 ? lo++ : hi--);
+  }
+  const period = n % 2 === 0 ? n : 2 * n;
+  const r = ((row % period) + period) % period;
+  const shifted = base.map((v) => (v + r) % n);
+  return n % 2 === 1 && r >= n ? shifted.reverse() : shifted;
+}
+
+// Per-participant plan: block order plus the condition of every trial.
+// Without `random` conditions keep their declared order; without `row` blocks do too.
+export function planSession(session, { row = null, random = null } = {}) {
+  const n = session.blocks.length;
+  const order =
+    session.counterbalance && row != null && n > 1
+      ? latinSquareRow(n, row)
+      : session.blocks.map((_, i) => i);
+
+  const blocks = [];
+  const conditions = [];
+  order.forEach((blockIndex) => {
+    const block = session.blocks[blockIndex];
+    const trialList = block.design && !isStaircaseBlock(block) ? buildTrialList(block.design, random) : null;
+    blocks.push({ ...block, id: blockIndex + 1, trials: trialList ? trialList.length : block.trials });
+    conditions.push(trialList);
+  });
+
+  return { order, session: { ...session, blocks }, conditions };
+}
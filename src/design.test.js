@@ -0,0 +1,66 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildConditions,
+  buildTrialList,
+  designTrialCount,
+  latinSquareRow,
+  parseFactorLevels,
+  planSession,
+} from "./design.js";
+import { createBlock, createSession } from "./session.js";
+
+const design = { speeds: [200, 400], leads: [0, 40, 80], shapes: ["dot"], flashDurations: [60], repeats: 2 };
+
+// Seeded generator, so the planned order is the same on every run
+function seeded(seed) {
+  let s = seed;
+  return () => {
+    s = (s * 16807) % 2147483647;
+    return s / 2147483647;
+  };
+}
+
+test("a factorial design crosses every level", () => {
+  assert.equal(buildConditions(design).length, 6);
+  assert.equal(designTrialCount(design), 12);
+  assert.equal(buildTrialList(design).length, 12);
+});
+
+test("factor levels are parsed, clamped and de-duplicated", () => {
+  assert.deepEqual(parseFactorLevels("200, 280;360", { min: 80, max: 600 }), [200, 280, 360]);
+  assert.deepEqual(parseFactorLevels("200, 9000, 600", { min: 80, max: 600 }), [200, 600]);
+  assert.equal(parseFactorLevels("fast", { min: 80, max: 600 }), null);
+});
+
+test("shuffled trial lists keep every condition and follow the generator", () => {
+  const ordered = buildTrialList(design);
+  const shuffled = buildTrialList(design, seeded(7));
+  const key = (c) => `${c.speed}/${c.lead}`;
+  assert.deepEqual(shuffled.map(key).sort(), ordered.map(key).sort());
+  assert.deepEqual(buildTrialList(design, seeded(7)), shuffled);
+  assert.notDeepEqual(buildTrialList(design, seeded(8)), shuffled);
+});
+
+test("balanced Latin square rows", () => {
+  assert.deepEqual(latinSquareRow(4, 0), [0, 1, 3, 2]);
+  assert.deepEqual(latinSquareRow(4, 1), [1, 2, 0, 3]);
+  // Odd sizes mirror the second half of the rows
+  assert.deepEqual(latinSquareRow(3, 3), [...latinSquareRow(3, 0)].reverse());
+});
+
+test("across a Williams square every block follows every other block once", () => {
+  const pairs = new Set();
+  for (let row = 0; row < 4; row += 1) {
+    const order = latinSquareRow(4, row);
+    assert.deepEqual([...order].sort(), [0, 1, 2, 3]);
+    for (let i = 1; i < order.length; i += 1) pairs.add(`${order[i - 1]}>${order[i]}`);
+  }
+  assert.equal(pairs.size, 4 * 3);
+});
+
+test("counterbalanced plans reorder the blocks", () => {
+  const session = createSession([createBlock({ trials: 1 }), createBlock({ trials: 2 })], { counterbalance: true });
+  assert.deepEqual(planSession(session, { row: 1 }).session.blocks.map((b) => b.trials), [2, 1]);
+  assert.deepEqual(planSession(session).session.blocks.map((b) => b.trials), [1, 2]);
+});
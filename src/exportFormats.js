@@ -0,0 +1,102 @@
+// File formats for downloads: RFC-4180 CSV (tidy trials, participant summaries) and a
+// versioned JSON document that round-trips a whole session through export/import, and the
+// browser download itself.
+import { buildConditions } from "./design.js";
+
+export const EXPORT_FORMAT = "flashlag-demo";
+export const EXPORT_VERSION = 1;
+
+const SUMMARY_COLUMNS = [
+  "participant",
+  "trials",
+  "excluded_slow_trials",
+  "average_abs_error_px",
+  "average_signed_error_px",
+  "average_abs_error_deg",
+  "average_signed_error_deg",
+  "average_signed_error_ms",
+  "average_response_time_ms",
+  "average_confidence",
+  "pss_px",
+  "pss_se_px",
+  "catch_trials",
+  "catch_failures",
+  "failed_catch_checks",
+];
+
+// Quote fields containing a delimiter, quote or line break; double embedded quotes
+export function csvField(value) {
+  if (value == null) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsv(header, rows) {
+  return [header, ...rows].map((row) => row.map(csvField).join(",")).join("\r\n") + "\r\n";
+}
+
+// Fields holding lists (the frame timestamps) do not fit a cell: the trials CSV has their
+// scalar summaries (frame_count, max_frame_interval_ms, dropped_frames) and the JSON keeps them
+const isScalar = (value) => value == null || typeof value !== "object";
+
+// One row per trial; columns are the union of all scalar record keys (staircase trials add some)
+// The header is the record keys in every language, so scripts read any export alike
+export function trialsCsv(results) {
+  const header = [...new Set(results.flatMap((r) => Object.keys(r).filter((key) => isScalar(r[key]))))];
+  return toCsv(header, results.map((r) => header.map((key) => r[key])));
+}
+
+// One row per participant, most accurate first
+export function summariesCsv(summaries) {
+  const ordered = [...summaries].sort(
+    (a, b) => (a.average_abs_error_px ?? Infinity) - (b.average_abs_error_px ?? Infinity)
+  );
+  return toCsv(SUMMARY_COLUMNS, ordered.map((s) => SUMMARY_COLUMNS.map((key) => s[key])));
+}
+
+export function buildExport({ settings, results, summaries }) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings,
+    // Factorial condition list of each declared block (null for random / staircase blocks)
+    conditions: settings.session.blocks.map((block, i) => ({
+      block: i + 1,
+      conditions: block.design ? buildConditions(block.design) : null,
+    })),
+    trials: results,
+    leaderboard: summaries,
+  };
+}
+
+// Parse and validate an exported document; throws with a readable reason
+export function parseExport(text) {
+  let doc;
+  try {
+    doc = JSON.parse(text);
+  } catch {
+    throw new Error("not a JSON file");
+  }
+  if (!doc || doc.format !== EXPORT_FORMAT) throw new Error("not a flash-lag export");
+  if (typeof doc.version !== "number" || doc.version > EXPORT_VERSION) {
+    throw new Error(`unsupported export version ${doc.version}`);
+  }
+  if (!Array.isArray(doc.trials) || !Array.isArray(doc.leaderboard)) throw new Error("missing trials or leaderboard");
+  const settings = Array.isArray(doc.settings?.session?.blocks) ? doc.settings : null;
+  return { settings, results: doc.trials, summaries: doc.leaderboard };
+}
+
+// Timestamp for file names: 2024-05-01-14-03-22
+export const exportStamp = () => new Date().toISOString().slice(0, 19).replace(/[:T]/g, "-");
+
+export function downloadFile(filename, content, type) {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
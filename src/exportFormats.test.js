@@ -0,0 +1,24 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { csvField, parseExport, trialsCsv } from "./exportFormats.js";
+
+test("CSV fields are quoted only when needed", () => {
+  assert.equal(csvField(null), "");
+  assert.equal(csvField(12.5), "12.5");
+  assert.equal(csvField('a "b", c'), '"a ""b"", c"');
+});
+
+test("the trials CSV leaves list-valued fields to the JSON export", () => {
+  const results = [
+    { trial: 1, frame_count: 3, frame_times_ms: [0, 16.7, 33.3] },
+    { trial: 2, frame_count: 2, frame_times_ms: [0, 16.7], staircase: 1 },
+  ];
+  const [header, ...rows] = trialsCsv(results).trim().split("\r\n");
+  assert.equal(header, "trial,frame_count,staircase");
+  assert.deepEqual(rows, ["1,3,", "2,2,1"]);
+});
+
+test("an export from another tool is refused", () => {
+  assert.throws(() => parseExport("{"), /not a JSON file/);
+  assert.throws(() => parseExport('{"format":"other"}'), /not a flash-lag export/);
+});
@@ -0,0 +1,129 @@
+// Standalone figures for slides and posters: a chart (an <svg> already on the page, or a
+// picture of the stage canvas) with a title, a legend and a caption underneath. Figures are
+// saved as SVG, or as PNG drawn at FIGURE_PNG_SCALE times the on-screen size.
+import { renderTrialFrame } from "./stageRenderer.js";
+
+export const FIGURE_PNG_SCALE = 3;
+
+const FIGURE_BG = "#0f172a";
+const TITLE_COLOR = "#f1f5f9";
+const TEXT_COLOR = "#cbd5e1";
+const CAPTION_COLOR = "#94a3b8";
+const FONT_FAMILY = "ui-sans-serif, system-ui, -apple-system, Segoe UI, Roboto, sans-serif";
+const MIN_WIDTH = 360;
+const PADDING = 16;
+const LINE_HEIGHT = 16;
+const CHAR_WIDTH = 6.2; // average advance of an 11 px sans-serif glyph, for wrapping without a DOM
+
+const escapeXml = (text) =>
+  String(text).replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+
+// Greedy word wrap to lines of at most `width` px
+function wrapText(text, width) {
+  const perLine = Math.max(10, Math.floor(width / CHAR_WIDTH));
+  const lines = [];
+  let line = "";
+  text.split(/\s+/).forEach((word) => {
+    if (line && line.length + 1 + word.length > perLine) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  });
+  if (line) lines.push(line);
+  return lines;
+}
+
+// A chart drawn as <svg> on the page: its markup at its viewBox size, without page classes
+export function svgSource(svg) {
+  const { width, height } = svg.viewBox.baseVal;
+  const clone = svg.cloneNode(true);
+  clone.removeAttribute("class");
+  clone.setAttribute("width", width);
+  clone.setAttribute("height", height);
+  return { markup: new XMLSerializer().serializeToString(clone), width, height };
+}
+
+// The current stage frame, painted again at `scale` device pixels per CSS pixel
+export function stageSource(trial, ts, style, scale = FIGURE_PNG_SCALE) {
+  const canvas = document.createElement("canvas");
+  canvas.width = Math.round(trial.width * scale);
+  canvas.height = Math.round(trial.height * scale);
+  renderTrialFrame(canvas.getContext("2d"), scale, trial, ts, style);
+  const href = canvas.toDataURL("image/png");
+  return {
+    markup: `<image href="${href}" width="${trial.width}" height="${trial.height}"/>`,
+    width: trial.width,
+    height: trial.height,
+  };
+}
+
+// legend: [{ color, label, line? }] (a dot, or a short line when `line` is set)
+// Returns { svg, width, height }: a self-contained SVG document
+export function buildFigure(source, { title = "", legend = [], caption = "" }) {
+  const width = Math.max(MIN_WIDTH, source.width + PADDING * 2);
+  const textWidth = width - PADDING * 2;
+  const parts = [];
+  let y = PADDING;
+
+  if (title) {
+    parts.push(
+      `<text x="${PADDING}" y="${y + 13}" fill="${TITLE_COLOR}" font-size="14" font-weight="600">${escapeXml(title)}</text>`
+    );
+    y += 26;
+  }
+  const chartX = (width - source.width) / 2;
+  parts.push(`<g transform="translate(${chartX} ${y})">${source.markup}</g>`);
+  y += source.height + 12;
+
+  // Legend entries flow left to right and wrap
+  let x = PADDING;
+  legend.forEach(({ color, label, line }) => {
+    const entryWidth = 18 + label.length * CHAR_WIDTH + 16;
+    if (x > PADDING && x + entryWidth > width - PADDING) {
+      x = PADDING;
+      y += LINE_HEIGHT;
+    }
+    parts.push(
+      line
+        ? `<line x1="${x}" y1="${y + 6}" x2="${x + 12}" y2="${y + 6}" stroke="${color}" stroke-width="3"/>`
+        : `<circle cx="${x + 6}" cy="${y + 6}" r="5" fill="${color}"/>`,
+      `<text x="${x + 18}" y="${y + 10}" fill="${TEXT_COLOR}" font-size="11">${escapeXml(label)}</text>`
+    );
+    x += entryWidth;
+  });
+  if (legend.length) y += LINE_HEIGHT + 6;
+
+  wrapText(caption, textWidth).forEach((line) => {
+    parts.push(`<text x="${PADDING}" y="${y + 10}" fill="${CAPTION_COLOR}" font-size="11">${escapeXml(line)}</text>`);
+    y += LINE_HEIGHT;
+  });
+  const height = Math.ceil(y + PADDING - 4);
+
+  const svg = [
+    `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+    `<rect width="${width}" height="${height}" fill="${FIGURE_BG}"/>`,
+    `<g font-family="${FONT_FAMILY}">`,
+    ...parts,
+    "</g>",
+    "</svg>",
+  ].join("\n");
+  return { svg, width, height };
+}
+
+// Rasterise a figure through an <img>; resolves to a PNG blob
+export function figurePng({ svg, width, height }, scale = FIGURE_PNG_SCALE) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => {
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      canvas.getContext("2d").drawImage(img, 0, 0, canvas.width, canvas.height);
+      canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png");
+    };
+    img.onerror = () => reject(new Error("figure could not be drawn"));
+    img.src = `data:image/svg+xml;charset=utf-8,${encodeURIComponent(svg)}`;
+  });
+}
@@ -0,0 +1,50 @@
+// Display frame timing: refresh-rate measurement, frame quantisation of durations and
+// per-trial frame-interval checks. Timestamps are requestAnimationFrame times in ms.
+
+export const DEFAULT_FRAME_MS = 1000 / 60;
+export const LONG_FRAME_FACTOR = 1.5; // an interval this many frames long counts as dropped frames
+
+function medianInterval(timestamps) {
+  const deltas = [];
+  for (let i = 1; i < timestamps.length; i += 1) deltas.push(timestamps[i] - timestamps[i - 1]);
+  if (!deltas.length) return null;
+  deltas.sort((a, b) => a - b);
+  const mid = Math.floor(deltas.length / 2);
+  return deltas.length % 2 ? deltas[mid] : (deltas[mid - 1] + deltas[mid]) / 2;
+}
+
+// Median frame interval over `frames` animation frames (robust to the odd hiccup)
+export function measureRefreshRate({ frames = 90, requestFrame = requestAnimationFrame } = {}) {
+  return new Promise((resolve) => {
+    const timestamps = [];
+    const tick = (ts) => {
+      timestamps.push(ts);
+      if (timestamps.length <= frames) {
+        requestFrame(tick);
+        return;
+      }
+      const frameMs = medianInterval(timestamps) || DEFAULT_FRAME_MS;
+      resolve({ frameMs, hz: 1000 / frameMs });
+    };
+    requestFrame(tick);
+  });
+}
+
+// Whole number of frames closest to a duration (at least one)
+export const quantiseFrames = (durationMs, frameMs) => Math.max(1, Math.round(durationMs / frameMs));
+
+// Dropped frames = frames that should have been drawn inside over-long intervals
+export function analyseFrames(timestamps, frameMs) {
+  let maxIntervalMs = 0;
+  let droppedFrames = 0;
+  let longFrames = 0;
+  for (let i = 1; i < timestamps.length; i += 1) {
+    const interval = timestamps[i] - timestamps[i - 1];
+    maxIntervalMs = Math.max(maxIntervalMs, interval);
+    if (interval > frameMs * LONG_FRAME_FACTOR) {
+      longFrames += 1;
+      droppedFrames += Math.round(interval / frameMs) - 1;
+    }
+  }
+  return { count: timestamps.length, maxIntervalMs, droppedFrames, longFrames };
+}
@@ -0,0 +1,18 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { analyseFrames, quantiseFrames } from "./frameTiming.js";
+
+test("flash durations are rounded to whole frames", () => {
+  assert.equal(quantiseFrames(60, 1000 / 60), 4);
+  assert.equal(quantiseFrames(5, 1000 / 60), 1);
+  assert.equal(quantiseFrames(60, 1000 / 120), 7);
+});
+
+test("over-long frame intervals count as dropped frames", () => {
+  const frame = 1000 / 60;
+  const timing = analyseFrames([0, frame, 2 * frame, 5 * frame, 6 * frame], frame);
+  assert.equal(timing.count, 5);
+  assert.equal(timing.longFrames, 1);
+  assert.equal(timing.droppedFrames, 2);
+  assert.ok(Math.abs(timing.maxIntervalMs - 3 * frame) < 1e-9);
+});
@@ -0,0 +1,35 @@
+// Interface languages. Each locale is a flat bundle of message keys; "{name}" placeholders
+// are filled from the params. A key missing from a bundle falls back to Italian, then to the key.
+import { messages as it } from "./locales/it.js";
+import { messages as en } from "./locales/en.js";
+
+export const LOCALE_IT = "it";
+export const LOCALE_EN = "en";
+export const DEFAULT_LOCALE = LOCALE_IT;
+
+export const LOCALES = [
+  { id: LOCALE_IT, label: "Italiano" },
+  { id: LOCALE_EN, label: "English" },
+];
+
+const BUNDLES = { [LOCALE_IT]: it, [LOCALE_EN]: en };
+
+export const isLocale = (locale) => Object.hasOwn(BUNDLES, locale);
+
+// Raw bundle entry: a string for messages, an array or object for word lists and column labels
+export function localeValue(locale, key) {
+  const bundle = BUNDLES[locale] ?? BUNDLES[DEFAULT_LOCALE];
+  return bundle[key] ?? BUNDLES[DEFAULT_LOCALE][key];
+}
+
+// Placeholders without a matching param are left as they are
+export function interpolate(text, params = {}) {
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] == null ? match : String(params[name])));
+}
+
+export function translate(locale, key, params) {
+  const text = localeValue(locale, key);
+  return typeof text === "string" ? interpolate(text, params) : key;
+}
+
+export const makeTranslator = (locale) => (key, params) => translate(locale, key, params);
@@ -0,0 +1,25 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { LOCALES, interpolate, localeValue, makeTranslator, translate } from "./i18n.js";
+import { messages as it } from "./locales/it.js";
+import { messages as en } from "./locales/en.js";
+
+const placeholders = (text) =>
+  typeof text === "string" ? [...text.matchAll(/\{(\w+)\}/g)].map((m) => m[1]).sort() : [];
+
+test("messages fill their placeholders", () => {
+  assert.equal(makeTranslator("en")("summary.pss", { pss: "4 px" }), "PSS = 4 px");
+  assert.equal(interpolate("{a} and {b}", { a: 1 }), "1 and {b}");
+});
+
+test("unknown locales and keys fall back to Italian, then to the key", () => {
+  assert.equal(translate("fr", "button.close"), it["button.close"]);
+  assert.equal(translate("en", "no.such.key"), "no.such.key");
+  assert.ok(Array.isArray(localeValue("en", "names.animals")));
+});
+
+test("every locale has the same keys and placeholders", () => {
+  assert.deepEqual(LOCALES.map((l) => l.id), ["it", "en"]);
+  assert.deepEqual(Object.keys(en).sort(), Object.keys(it).sort());
+  Object.keys(it).forEach((key) => assert.deepEqual(placeholders(en[key]), placeholders(it[key]), key));
+});
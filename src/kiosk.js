@@ -0,0 +1,29 @@
+// Operator PIN of kiosk mode. Where the browser offers crypto.subtle the device keeps only a salted
+// SHA-256 of the PIN; on plain-http LAN addresses, where it is missing, the PIN is kept as typed.
+
+export const MIN_PIN_LENGTH = 4;
+
+export const isValidPin = (pin) => /^\d+$/.test(pin) && pin.length >= MIN_PIN_LENGTH;
+
+const canHash = () => Boolean(globalThis.crypto?.subtle);
+
+const toHex = (bytes) => Array.from(new Uint8Array(bytes), (b) => b.toString(16).padStart(2, "0")).join("");
+
+const digest = async (salt, pin) =>
+  toHex(await crypto.subtle.digest("SHA-256", new TextEncoder().encode(`${salt}:${pin}`)));
+
+// The kiosk preference for a new PIN: { salt, pinHash }, or { pin } without crypto.subtle
+export async function lockWithPin(pin) {
+  if (!canHash()) return { pin };
+  const salt = toHex(crypto.getRandomValues(new Uint8Array(16)));
+  return { salt, pinHash: await digest(salt, pin) };
+}
+
+export async function pinMatches(kiosk, entry) {
+  if ("pin" in kiosk) return entry === kiosk.pin;
+  return canHash() && (await digest(kiosk.salt, entry)) === kiosk.pinHash;
+}
+
+// A PIN kept as typed (older versions, or an earlier visit over plain http) is hashed once the browser can
+export const upgradeKioskPreference = async (stored) =>
+  stored && "pin" in stored && canHash() ? lockWithPin(stored.pin) : stored;
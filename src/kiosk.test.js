@@ -0,0 +1,28 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { isValidPin, lockWithPin, pinMatches, upgradeKioskPreference } from "./kiosk.js";
+
+test("only PINs of at least four digits are accepted", () => {
+  assert.ok(isValidPin("0123"));
+  assert.ok(!isValidPin("123"));
+  assert.ok(!isValidPin("12a4"));
+  assert.ok(!isValidPin("12 34"));
+});
+
+test("the stored kiosk preference checks the PIN without keeping it", async () => {
+  const kiosk = await lockWithPin("4321");
+  assert.ok(!JSON.stringify(kiosk).includes("4321"));
+  assert.ok(await pinMatches(kiosk, "4321"));
+  assert.ok(!(await pinMatches(kiosk, "1234")));
+  assert.notEqual((await lockWithPin("4321")).pinHash, kiosk.pinHash); // salted per device
+});
+
+test("a plain-text PIN saved by an older version is hashed on load", async () => {
+  assert.ok(await pinMatches({ pin: "9876" }, "9876"));
+  const upgraded = await upgradeKioskPreference({ pin: "9876" });
+  assert.equal(upgraded.pin, undefined);
+  assert.ok(await pinMatches(upgraded, "9876"));
+  assert.equal(await upgradeKioskPreference(null), null);
+  const current = await lockWithPin("0000");
+  assert.equal(await upgradeKioskPreference(current), current);
+});
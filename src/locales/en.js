@@ -0,0 +1,542 @@
+// English bundle; keys mirror ./it.js
+export const messages = {
+  // Page
+  "app.title": "Is your brain fooling you?",
+  "app.language": "Language",
+  "app.canvasLabel": "Flash-lag illusion canvas",
+
+  // Modes: settings label and rest-screen name
+  "mode.flashLag.label": "Flash-lag (flash)",
+  "mode.flashLag.name": "Flash-lag",
+  "mode.flashInitiated.label": "Flash-initiated",
+  "mode.flashInitiated.name": "Flash-initiated",
+  "mode.flashTerminated.label": "Flash-terminated",
+  "mode.flashTerminated.name": "Flash-terminated",
+  "mode.disappearing.label": "Disappearing",
+  "mode.disappearing.name": "Disappearing",
+
+  // Trajectories: settings label and intro-copy phrase
+  "trajectory.leftRight.label": "Left → right",
+  "trajectory.leftRight.motion": "from left to right",
+  "trajectory.rightLeft.label": "Right → left",
+  "trajectory.rightLeft.motion": "from right to left",
+  "trajectory.topBottom.label": "Top → bottom",
+  "trajectory.topBottom.motion": "from top to bottom",
+  "trajectory.circular.label": "Circular",
+  "trajectory.circular.motion": "in a circle around the centre",
+  "trajectory.random.label": "Random",
+  "trajectory.random.motion": "in a different direction on every trial",
+
+  // Intro copy
+  "target.pacman": "Pac-Man",
+  "target.dot": "the dot",
+  "subject.pacman": "Pac-Man",
+  "subject.dot": "the dot",
+  "flashPlace.centre": "at the centre",
+  "flashPlace.circle": "at the top of the circle",
+  "intro.flashLag":
+    "Flash-lag mode: {target} moves {motion} while a second dot flashes briefly {flashPlace}. When the motion ends, click where you think {subject} was at the moment of the flash.",
+  "intro.flashInitiated":
+    "Flash-initiated mode: a dot flashes {flashPlace} and at the same instant {target} appears and starts moving {motion}. When the motion ends, click where you think {subject} was at the moment of the flash.",
+  "intro.flashTerminated":
+    "Flash-terminated mode: {target} moves {motion} and vanishes when a dot flashes {flashPlace}. Click where you think {subject} was at the moment of the flash.",
+  "intro.disappearing":
+    "Disappearing mode: {target} moves {motion} and at some point vanishes. Click where you think {subject} disappeared.",
+
+  // Prompts shown when a trial starts and when the response window opens
+  "prompt.start.flashLag": "Watch the moving target. Answer after the target has disappeared.",
+  "prompt.start.flashInitiated":
+    "Look at the screen: the target will appear together with the flash and start moving. Answer when the motion ends.",
+  "prompt.start.flashTerminated": "Watch the moving target. It will vanish when the flash appears: answer right after.",
+  "prompt.start.disappearing": "Watch the moving target. Answer after it has disappeared.",
+  "prompt.respond.flashLag": "Click where the moving target was when the flash appeared.",
+  "prompt.respond.flashInitiated": "Click where the target started when the flash appeared.",
+  "prompt.respond.flashTerminated": "Click where the target was when it stopped with the flash.",
+  "prompt.respond.disappearing": "Click where the target disappeared.",
+  "prompt.respond.2afc":
+    "At the moment of the flash, was the target ahead of or behind the flash? Answer with the buttons or the arrow keys: the arrow pointing the way the target moves means ahead.",
+  "prompt.respond.adjust":
+    "Move the marker to where the target was {moment}: arrow keys to move it (Shift for fine steps), Enter or Space to confirm.",
+  "prompt.moment.flash": "at the moment of the flash",
+  "prompt.moment.disappeared": "when it disappeared",
+
+  // Status messages
+  "message.enterName": "Enter your name to begin.",
+  "message.enterNewName": "Enter a new participant name.",
+  "message.nameTaken": "Name already used. Set to {name}.",
+  "message.ready": "Ready for trial 1.",
+  "message.autoName": "Name assigned automatically: {name}. {prompt}",
+  "message.practiceTrial": "Practice trial {n} of {total}: it does not count for the leaderboard. {prompt}",
+  "message.practiceLeftOne": "Practice: 1 more trial.",
+  "message.practiceLeft": "Practice: {n} more trials.",
+  "message.practiceOver": "Practice over: from the next trial on it counts.",
+  "message.confidence": "How sure are you of your answer? From 1 (not at all) to 4 (completely): buttons or keys 1–4.",
+  "message.recorded": 'Answer recorded. Click "Next trial" when you are ready.',
+  "message.blockDone": "Block {block} complete. Take a break before continuing.",
+  "message.blockStart": "Block {block} of {count}. {prompt}",
+  "message.sessionDone": "All trials complete for {participant}. {summary}. Enter another name to continue.",
+  "message.restored": "Session restored: {participant} resumes at trial {trial}.",
+  "message.opened": 'Session "{name}" opened ({count} trials). Enter a name to continue.',
+  "message.importFailed": "Import failed ({file}): {error}.",
+  "message.importedName": "Imported from {file}",
+  "message.saveFailed": "Could not save to the browser ({error}): the session carries on, export the data before closing the page.",
+  "message.restoreFailed": "The last session could not be restored ({error}).",
+
+  // Summaries
+  "summary.error": "Mean error = {error} px{deg}",
+  "summary.shift": "Mean shift = {ms} ms",
+  "summary.pss": "PSS = {pss}",
+  "summary.responseTime": "Mean response time = {ms} ms",
+  "summary.slowExcluded": "{n} slow trials excluded",
+  "summary.flashFrames": " ({frames} frames = {ms} ms)",
+
+  // Stage and trial controls
+  "participant.placeholder": "Participant name",
+  "button.startTrial": "Start trial",
+  "button.nextTrial": "Next trial",
+  "button.finished": "Finished",
+  "button.newParticipant": "New participant",
+  "button.settings": "Settings",
+  "button.continue": "Continue",
+  "button.close": "Close",
+  "button.cancel": "Cancel",
+  "status.pss": "PSS:",
+  "status.lastError": "Last error:",
+  "status.done": "Trials done:",
+  "status.remaining": "Remaining:",
+  "status.block": "Block {block}/{count} • ",
+  "status.mode": "Mode: {mode}",
+  "status.session": "Session: {done}/{total} trials",
+  "stage.error": "error: {error} px",
+  "stage.tooNarrow":
+    "The window is narrower than the calibrated {deg}° stage, so the motion is shorter than on other screens. Widen the window.",
+  "judge.behind": "Behind the flash",
+  "judge.ahead": "Ahead of the flash",
+  "adjust.confirm": "Confirm position (Enter)",
+  "confidence.label": "Confidence:",
+
+  // Settings panel
+  "settings.title": "Controls",
+  "settings.units": "Units",
+  "settings.pixels": "Pixels",
+  "settings.degrees": "Visual degrees",
+  "settings.calibrate": "Calibrate screen",
+  "settings.recalibrate": "Recalibrate screen",
+  "settings.calibrated": "1° = {pxPerDeg} px at {distance} cm. Errors are also reported in degrees and in ms.",
+  "settings.uncalibrated": "Screen not calibrated: parameters are in CSS pixels and errors also in ms.",
+  "settings.refresh": " Measured refresh rate: {hz} Hz.",
+  "settings.blockCount": "Number of blocks: {count}",
+  "settings.blockTab": "Block {block} • {mode} • {trials}",
+  "settings.counterbalance": "Counterbalance the block order (Latin square)",
+  "settings.askConfidence": "Ask for answer confidence (1–4) after every trial",
+  "settings.feedback": "Participant feedback",
+  "feedback.full": "After every trial",
+  "feedback.block": "Block summary only",
+  "feedback.none": "None until the end",
+  "settings.maxResponse": "Exclude answers slower than: {limit}",
+  "settings.noLimit": "no limit",
+  "settings.practiceTrials": "Practice trials per participant: {n}",
+  "settings.catchRate": "Catch trials: {percent}% after counted trials",
+  "settings.catchFailLimit": "Flag participants failing more than {n} catch trials",
+  "settings.constantStimuli": "Constant stimuli (factorial design)",
+  "settings.response2afc": "2AFC answer (ahead / behind) instead of a click",
+  "settings.responseAdjust": "Keyboard answer (move a marker with the arrow keys)",
+  "settings.blockTrials": "Trials in the block: {trials}",
+  "settings.blockTrialsOf": "Trials in block {block}: {trials}",
+  "settings.blockParams": "The parameters below apply to block {block}.",
+  "settings.mode": "Mode",
+  "settings.trajectory": "Trajectory",
+  "settings.staircase": "Adaptive 2AFC staircase (ahead of / behind the flash)",
+  "settings.target": "Target",
+  "shape.pacman": "Pac-Man",
+  "shape.dot": "Dot",
+  "settings.speed": "Speed",
+  "settings.disappearMin": "Minimum disappearance offset",
+  "settings.disappearMax": "Maximum disappearance offset",
+  "settings.disappearHelp":
+    "The offset is measured along the trajectory from the middle of the path (positive = the target vanishes before the middle). Each trial draws a random value from this range.",
+  "settings.flashLead": "Flash lead",
+  "settings.flashYOffset": "Flash offset from the path",
+  "settings.flashDuration": "Flash duration: {ms} ms{frames}",
+  "settings.dotRadius": "Target radius",
+  "settings.colorTarget": "Target",
+  "settings.colorFlash": "Flash",
+  "settings.showCloud": "Show error cloud",
+  "settings.hideCloud": "Hide error cloud",
+  "settings.showAnalysis": "Show analysis",
+  "settings.hideAnalysis": "Hide analysis",
+  "settings.showGroup": "Show group dashboard",
+  "settings.hideGroup": "Hide group dashboard",
+  "settings.trialsCsv": "Trials CSV",
+  "settings.summaryCsv": "Leaderboard CSV",
+  "settings.exportJson": "Export JSON",
+  "settings.importJson": "Import JSON",
+  "settings.archive": "Session archive",
+  "settings.reset": "Reset everything",
+
+  // Factorial design and staircase editors
+  "design.lead": "Lead / offset",
+  "design.flashDuration": "Flash duration",
+  "design.repeats": "Repeats per condition: {n}",
+  "design.count": "{conditions} conditions × {repeats} repeats = {trials} trials, in random order for each participant.",
+  "staircase.upDown": "1-up/1-down",
+  "staircase.weighted": "Weighted",
+  "staircase.quest": "QUEST",
+  "staircase.startLead": "Starting lead",
+  "staircase.slope": "Expected slope",
+  "staircase.step": "Starting step",
+  "staircase.target": 'Target "ahead": {percent}%',
+  "staircase.help":
+    "The adaptive procedure picks the flash lead of every trial; at the end it reports the PSS (the lead perceived as simultaneous) with its uncertainty.",
+
+  // Export file names (without the timestamp and extension)
+  "export.trialsFile": "flashlag_trials",
+  "export.summaryFile": "flashlag_leaderboard",
+  "export.sessionFile": "flashlag_session",
+  "export.presetFile": "flashlag_preset",
+  "export.figureFile": "flashlag_figure",
+
+  // Error cloud
+  "cloud.title": "Error cloud",
+  "cloud.samples": "{n} samples",
+  "cloud.empty": "No data yet. Run a few trials to fill the cloud.",
+  "cloud.point": "{participant} • Trial {trial}\nAlong the motion: {along} px • Across: {across} px",
+  "cloud.motion": "motion →",
+  "cloud.truth": "True position of {target} (centre); right = ahead along the motion",
+  "cloud.current": "Current participant",
+  "cloud.ahead": "Ahead",
+  "cloud.behind": "Behind",
+  "group.title": "Group dashboard",
+  "group.empty": "No click or adjustment answers in the group yet.",
+  "group.splitBy": "Compare by",
+  "group.byMode": "Mode",
+  "group.byShape": "Target",
+  "group.bySpeed": "Speed",
+  "group.violin": "Violin",
+  "group.histogram": "Histogram",
+  "group.distribution": "Signed error of every trial",
+  "group.participantMeans": "Mean effect per participant ({n})",
+  "group.paired": "Within-participant comparison",
+  "group.trials": "{n} trials",
+  "group.participants": "{n} participants",
+  "group.bin": "{from} to {to} px: {n} trials",
+  "group.participantPoint": "{participant}: {mean} px over {n} trials",
+  "group.pairPoint": "{participant}: {difference} px",
+  "group.comparison": "Difference",
+  "group.difference": "{b} − {a}, per participant",
+  "group.pairs": "Participants with both",
+  "group.meanDifference": "Mean ± SD",
+  "group.needPairs": "At least 2 participants must have answered in both conditions.",
+  "group.sameCondition": "Choose two different conditions.",
+  "figure.saveSvg": "Save as SVG (vector, for editing and posters)",
+  "figure.savePng": "Save as high-resolution PNG (for slides)",
+  "figure.pngFailed": "PNG export failed ({error}); the SVG still works.",
+  "figure.stageFrame": "Current stage frame",
+  "figure.stageName": "stage",
+  "figure.cloudName": "error-cloud",
+  "figure.signedErrorName": "signed-error",
+  "figure.psychometricName": "psychometric",
+  "figure.distributionName": "group-distribution",
+  "figure.participantMeansName": "group-means",
+  "figure.differenceName": "group-difference",
+  "figure.target": "Moving target ({target})",
+  "figure.flashDot": "Flash",
+  "figure.answer": "Participant's answer",
+  "figure.trialPoints": "Single trials",
+  "figure.participantPoints": "Single participants",
+  "figure.mean": "Mean",
+  "figure.meanCi": "Mean and 95% CI",
+  "figure.groupMeanCi": "Mean of the participants and 95% CI",
+  "figure.median": "Median",
+  "figure.zero": "No error",
+  "figure.levels": 'Proportion "ahead" per lead (area ∝ answers)',
+  "figure.pss": "PSS = {pss} px",
+  "figure.group": "All participants.",
+  "figure.participant": "Participant {participant}.",
+  "figure.input": "Answers by {input}.",
+  "figure.trials": "{n} counted trials.",
+  "figure.participants": "{n} participants.",
+  "figure.paired": "{n} participants; mean difference {mean} px, 95% CI {low} to {high} px.",
+  "figure.block": "block {block}: {text}",
+  "figure.speed": "{speed} px/s",
+  "figure.flash": "flash {duration} ms",
+  "figure.calibrated": "Screen: 1° = {pxPerDeg} px at {distance} cm.",
+  "figure.uncalibrated": "Screen not calibrated.",
+  "results.hidden": "Results hidden until the end of the session (feedback off).",
+
+  // Analysis panel
+  "analysis.title": "Analysis",
+  "analysis.participant": "Participant",
+  "analysis.group": "Group",
+  "analysis.allInputs": "All devices",
+  "input.mouse": "Mouse",
+  "input.touch": "Touch",
+  "input.pen": "Pen",
+  "input.keyboard": "Keyboard",
+  "analysis.empty": "No data for this selection.",
+  "analysis.signedError": "Signed error (click)",
+  "analysis.trials": "N trials",
+  "analysis.meanSd": "Mean ± SD",
+  "analysis.meanCi": "95% CI of the mean",
+  "analysis.median": "Median",
+  "analysis.medianCi": "95% CI of the median",
+  "analysis.meanPoint": "Mean {value} px",
+  "analysis.medianPoint": "Median {value} px",
+  "analysis.behindAxis": "-{extent} px (behind)",
+  "analysis.aheadAxis": "+{extent} px (ahead)",
+  "analysis.psychometric": "Psychometric function (2AFC)",
+  "analysis.gaussian": "Gaussian",
+  "analysis.logistic": "Logistic",
+  "analysis.responses": "N answers",
+  "analysis.fewLevels": "A fit needs answers at two or more leads in this condition.",
+  "analysis.flashOffset": "flash {offset} px off the path",
+  "analysis.level": 'Lead {lead} px • {ahead}/{n} "ahead"',
+  "analysis.leadAxis": "Flash lead (px) → P(ahead)",
+
+  // Results table and leaderboard
+  "results.noParticipant": "No participant selected.",
+  "results.empty": "No trials yet for this participant.",
+  "results.title": "Results",
+  "results.participant": "Participant",
+  "results.error": "Error",
+  "results.time": "Time (ms)",
+  "results.confidence": "Confidence",
+  "results.practice": "practice",
+  "results.catch": "catch",
+  "results.ahead": "Ahead",
+  "results.behind": "Behind",
+  "results.answerLead": "{answer} (lead {lead})",
+  "results.timing": "Irregular timing: {dropped} frames dropped, flash drawn for {drawn}/{frames} frames",
+  "results.slow": "slow",
+  "results.slowTitle": "Answer too slow: left out of the averages and analyses",
+  "results.replay": "Replay",
+  "results.replayTitle": "Replay this trial",
+  "replay.title": "Replay of trial {trial}",
+  "replay.canvas": "Replay of the trial",
+  "replay.time": "{time} ms from the start of the motion",
+  "replay.answerAt": "answer at {time} ms",
+  "replay.answered": "answered",
+  "replay.play": "Play",
+  "replay.pause": "Pause",
+  "replay.restart": "Restart",
+  "replay.speed": "Playback speed",
+  "replay.overlay": "Show true position and answer",
+  "replay.note": "Rebuilt from the recorded parameters and frame times; the pause before the answer is the recorded response time.",
+  "leaderboard.title": "Leaderboard",
+  "leaderboard.liveTitle": "Leaderboard (all stations)",
+  "leaderboard.station": "Station",
+  "leaderboard.rank": "Rank",
+  "leaderboard.errorPx": "Mean error (px)",
+  "leaderboard.errorDeg": "Mean error (°)",
+  "leaderboard.trials": "Trials",
+  "leaderboard.best": "Best (px)",
+  "leaderboard.worst": "Worst (px)",
+  "leaderboard.trialValue": "{value} (trial {trial})",
+  "leaderboard.adjust": "adjustment",
+  "leaderboard.rule": "Only trials with the same mode, target, speed and answer type are compared; a rank needs at least {n} valid trials.",
+  "leaderboard.catchFailures": "Catch trials failed: {failures} of {trials}",
+  "leaderboard.attention": "⚠ attention",
+
+  // Rest, debrief and explanation screens
+  "rest.title": "Block {block} of {count} complete",
+  "rest.error": "Mean error in the block: {error} (mean shift {shift} px over {trials} trials).",
+  "rest.pss": "Estimated PSS in the block: {pss} over {trials} trials.",
+  "rest.next": "Rest your eyes for a few seconds. The next block is in {mode} mode.",
+  "debrief.title": "Session complete: here are your results",
+  "debrief.note":
+    "During the trials the errors were hidden so as not to influence your answers. Below are the error cloud and the list of trials.",
+  "explanation.title": "Why does the dot seem to vanish further ahead?",
+  "explanation.delay":
+    "Our brain does not process images in real time: there is always a small delay between what reaches the eyes and what is perceived. To make up for it, the brain relies on prediction: it anticipates the path of moving objects and compares its predictions with the incoming visual signals.",
+  "explanation.momentum":
+    "When an object moves normally, the brain projects it slightly forward. This helps us act in time (for example to catch a ball), but it makes the object appear a little ahead of its true position. This effect is called {term}.",
+  "explanation.term": "representational momentum",
+  "explanation.disappearance":
+    "When the dot vanishes suddenly, the disappearance sends an abrupt signal that cancels the forward projection. Yet because the brain was already predicting the future motion, we tend to point to a position slightly further along than the real one.",
+  "explanation.principle":
+    "This shows a basic principle of perception: the brain is not a passive camera but a predictive system that constantly tries to stay one step ahead of the world.",
+  "explanation.close": "Got it",
+
+  // Session archive
+  "archive.title": "Session archive",
+  "archive.readError": "Could not read the local archive.",
+  "archive.openError": 'Could not open "{name}" ({error}).',
+  "archive.deleteError": 'Could not delete "{name}" ({error}).',
+  "archive.mergeError": "Could not merge the selected sessions ({error}).",
+  "archive.confirmDelete": 'Delete "{name}" and its {count} trials?',
+  "archive.empty": "No saved sessions.",
+  "archive.session": "Session",
+  "archive.trials": "Trials",
+  "archive.participants": "Participants",
+  "archive.select": "Select {name}",
+  "archive.updated": "Updated {date}",
+  "archive.inUse": "in use",
+  "archive.open": "Open",
+  "archive.delete": "Delete",
+  "archive.note": "Every trial is saved in the browser as soon as it is recorded.",
+  "archive.merge": "Merge selected",
+  "archive.sessionName": "Session of {date}",
+  "archive.mergedName": "Merge of {names}",
+
+  // Screen calibration
+  "calibration.title": "Screen calibration",
+  "calibration.help":
+    "Hold a credit card (or another standard-size card) against the screen and adjust the rectangle until the edges match. Then enter the distance between your eyes and the screen.",
+  "calibration.cardWidth": "Card width: {px} px",
+  "calibration.distance": "Viewing distance (cm)",
+  "calibration.result": "{pxPerMm} px/mm • 1° = {pxPerDeg} px at {distance} cm",
+  "calibration.save": "Save calibration",
+
+  // Shareable configurations
+  "config.title": "Shareable configuration",
+  "config.copyLink": "Copy link",
+  "config.savePreset": "Save preset",
+  "config.loadPreset": "Load preset",
+  "config.applied": "Configuration “{name}” applied.",
+  "config.linkCopied": "Configuration link copied to the clipboard.",
+  "config.linkReady": "Configuration link: {url}",
+  "config.linkLoaded": "Configuration loaded from the link.",
+  "config.linkFailed": "The link does not hold a valid configuration ({error}); the default settings stay.",
+  "config.loadFailed": "Preset not loaded ({file}): {error}.",
+  "preset.classicNijhawan": "Classic Nijhawan",
+  "preset.museumDemo": "Museum demo",
+  "preset.initiatedTerminated": "Flash-initiated vs terminated",
+
+  // Results server
+  "collector.title": "Results server (several stations)",
+  "collector.url": "Server address",
+  "collector.urlPlaceholder": "e.g. 192.168.1.20:8787",
+  "collector.station": "Station name",
+  "collector.connect": "Connect",
+  "collector.disconnect": "Disconnect",
+  "collector.online": "Connected to {url} as “{station}”: the leaderboard merges all stations.",
+  "collector.offline": "Server {url} unreachable: trials stay queued and are sent as soon as it is back.",
+  "collector.queued": " {n} records queued.",
+  "collector.pending": "{n} records waiting for a server.",
+  "collector.rejected": "{n} records were refused by the server as invalid and have not been saved there.",
+
+  // Kiosk mode
+  "kiosk.title": "Kiosk mode",
+  "kiosk.pin": "Operator PIN",
+  "kiosk.start": "Turn on",
+  "kiosk.stop": "Turn off kiosk mode",
+  "kiosk.attract": "Back to the start screen",
+  "kiosk.help":
+    "For public events: a demo animation between visitors, an automatic name and a return to the start screen when the session ends or after {idle} seconds without a touch. Settings and reset require the PIN (at least {digits} digits).",
+  "kiosk.touchToStart": "Touch the screen to start",
+  "kiosk.welcome": 'Hi {name}! Press "Start trial" when you are ready.',
+  "kiosk.returning": "In {seconds} seconds the start screen comes back for the next visitor.",
+  "kiosk.pinTitle": "Operator area",
+  "kiosk.pinPrompt": "Enter the PIN to open the settings.",
+  "kiosk.pinWrong": "Wrong PIN.",
+  "kiosk.pinDigits": "The PIN can only contain digits.",
+  "kiosk.unlock": "Unlock",
+
+  // Auto-generated participant names: "{adjective}-{animal}", then numbered names
+  "names.pattern": "{adjective}-{animal}",
+  "names.fallback": "Participant-{n}",
+  "names.animals": [
+    "Lion",
+    "Tiger",
+    "Panther",
+    "Cheetah",
+    "Jaguar",
+    "Wolf",
+    "Fox",
+    "Bear",
+    "Deer",
+    "Moose",
+    "Boar",
+    "Squirrel",
+    "Hedgehog",
+    "Badger",
+    "Otter",
+    "Seal",
+    "Dolphin",
+    "Whale",
+    "Shark",
+    "Octopus",
+    "Squid",
+    "Penguin",
+    "Seagull",
+    "Falcon",
+    "Eagle",
+    "Owl",
+    "Raven",
+    "Peacock",
+    "Swan",
+    "Heron",
+    "Flamingo",
+    "Hyena",
+    "Zebra",
+    "Giraffe",
+    "Hippo",
+    "Rhino",
+    "Elephant",
+    "Camel",
+    "Horse",
+    "Bull",
+    "Bison",
+    "Kangaroo",
+    "Koala",
+    "Panda",
+    "Lemur",
+    "Monkey",
+    "Gorilla",
+    "Orangutan",
+    "Armadillo",
+    "Crocodile",
+  ],
+  "names.adjectives": [
+    "Brave",
+    "Fearful",
+    "Swift",
+    "Slow",
+    "Gentle",
+    "Sly",
+    "Curious",
+    "Bold",
+    "Calm",
+    "Lively",
+    "Silent",
+    "Noisy",
+    "Cheerful",
+    "Gloomy",
+    "Wise",
+    "Cunning",
+    "Proud",
+    "Nimble",
+    "Sturdy",
+    "Light",
+    "Tenacious",
+    "Brilliant",
+    "Moody",
+    "Serene",
+    "Nervous",
+    "Precise",
+    "Dreamy",
+    "Patient",
+    "Impatient",
+    "Sweet",
+    "Stern",
+    "Loyal",
+    "Wild",
+    "Elegant",
+    "Clumsy",
+    "Generous",
+    "Shy",
+    "Determined",
+    "Grumpy",
+    "Thoughtful",
+    "Creative",
+    "Energetic",
+    "Tireless",
+    "Methodical",
+    "Cocky",
+    "Careful",
+    "Eager",
+    "Chilly",
+    "Sunny",
+    "Nocturnal",
+  ],
+};
@@ -0,0 +1,542 @@
+// Italian bundle: the reference locale, every key used by the interface is defined here
+export const messages = {
+  // Page
+  "app.title": "Il tuo cervello ti inganna?",
+  "app.language": "Lingua",
+  "app.canvasLabel": "Canvas dell'illusione flash-lag",
+
+  // Modes: settings label and rest-screen name
+  "mode.flashLag.label": "Flash-lag (flash)",
+  "mode.flashLag.name": "Flash-lag",
+  "mode.flashInitiated.label": "Partenza al flash",
+  "mode.flashInitiated.name": "Partenza al flash",
+  "mode.flashTerminated.label": "Arresto al flash",
+  "mode.flashTerminated.name": "Arresto al flash",
+  "mode.disappearing.label": "Scomparsa",
+  "mode.disappearing.name": "Scomparsa",
+
+  // Trajectories: settings label and intro-copy phrase
+  "trajectory.leftRight.label": "Sinistra → destra",
+  "trajectory.leftRight.motion": "da sinistra a destra",
+  "trajectory.rightLeft.label": "Destra → sinistra",
+  "trajectory.rightLeft.motion": "da destra a sinistra",
+  "trajectory.topBottom.label": "Alto → basso",
+  "trajectory.topBottom.motion": "dall'alto verso il basso",
+  "trajectory.circular.label": "Circolare",
+  "trajectory.circular.motion": "in cerchio attorno al centro",
+  "trajectory.random.label": "Casuale",
+  "trajectory.random.motion": "in una direzione diversa a ogni prova",
+
+  // Intro copy
+  "target.pacman": "Pac-Man",
+  "target.dot": "punto",
+  "subject.pacman": "Pac-Man",
+  "subject.dot": "il punto",
+  "flashPlace.centre": "al centro",
+  "flashPlace.circle": "in cima al cerchio",
+  "intro.flashLag":
+    "Modalità flash-lag: {target} si muove {motion} mentre un secondo punto lampeggia brevemente {flashPlace}. Quando termina il movimento, fai clic dove pensi che {subject} fosse al momento del flash.",
+  "intro.flashInitiated":
+    "Modalità partenza al flash: un punto lampeggia {flashPlace} e nello stesso istante {target} compare e parte {motion}. Quando termina il movimento, fai clic dove pensi che {subject} fosse al momento del flash.",
+  "intro.flashTerminated":
+    "Modalità arresto al flash: {target} si muove {motion} e scompare quando un punto lampeggia {flashPlace}. Fai clic dove pensi che {subject} fosse al momento del flash.",
+  "intro.disappearing":
+    "Modalità scomparsa: {target} si muove {motion} e ad un certo punto scompare. Fai clic sul punto dove pensi che {subject} sia scomparso.",
+
+  // Prompts shown when a trial starts and when the response window opens
+  "prompt.start.flashLag": "Osserva il bersaglio in movimento. Rispondi dopo che il bersaglio è scomparso.",
+  "prompt.start.flashInitiated":
+    "Fissa lo schermo: il bersaglio comparirà insieme al flash e partirà. Rispondi al termine del movimento.",
+  "prompt.start.flashTerminated": "Osserva il bersaglio in movimento. Sparirà quando compare il flash: rispondi subito dopo.",
+  "prompt.start.disappearing": "Osserva il bersaglio in movimento. Rispondi dopo che è scomparso.",
+  "prompt.respond.flashLag": "Fai clic dove si trovava il bersaglio in movimento quando è apparso il flash.",
+  "prompt.respond.flashInitiated": "Fai clic dove è partito il bersaglio quando è apparso il flash.",
+  "prompt.respond.flashTerminated": "Fai clic dove si trovava il bersaglio quando si è fermato con il flash.",
+  "prompt.respond.disappearing": "Fai clic dove il bersaglio è scomparso.",
+  "prompt.respond.2afc":
+    "Al momento del flash il bersaglio era davanti o dietro al flash? Rispondi con i pulsanti o con le frecce: la freccia che punta nel verso del moto vuol dire davanti.",
+  "prompt.respond.adjust":
+    "Porta il marcatore dove si trovava il bersaglio {moment}: frecce per spostarlo (Maiusc per passi fini), Invio o Spazio per confermare.",
+  "prompt.moment.flash": "al momento del flash",
+  "prompt.moment.disappeared": "quando è scomparso",
+
+  // Status messages
+  "message.enterName": "Inserisci il tuo nome per iniziare.",
+  "message.enterNewName": "Inserisci un nuovo nome partecipante.",
+  "message.nameTaken": "Nome già usato. Impostato su {name}.",
+  "message.ready": "Pronto per la prova 1.",
+  "message.autoName": "Nome assegnato automaticamente: {name}. {prompt}",
+  "message.practiceTrial": "Prova di pratica {n} di {total}: non conta per la classifica. {prompt}",
+  "message.practiceLeftOne": "Pratica: ancora 1 prova.",
+  "message.practiceLeft": "Pratica: ancora {n} prove.",
+  "message.practiceOver": "Pratica finita: dalla prossima prova si fa sul serio.",
+  "message.confidence": "Quanto sei sicuro della risposta? Da 1 (per niente) a 4 (del tutto): pulsanti o tasti 1–4.",
+  "message.recorded": 'Risposta registrata. Clicca su "Prossima prova" quando sei pronto.',
+  "message.blockDone": "Blocco {block} completato. Fai una pausa prima di continuare.",
+  "message.blockStart": "Blocco {block} di {count}. {prompt}",
+  "message.sessionDone": "Tutte le prove completate per {participant}. {summary}. Inserisci un altro nome per continuare.",
+  "message.restored": "Sessione ripristinata: {participant} riprende dalla prova {trial}.",
+  "message.opened": 'Sessione "{name}" aperta ({count} prove). Inserisci un nome per continuare.',
+  "message.importFailed": "Importazione non riuscita ({file}): {error}.",
+  "message.importedName": "Importata da {file}",
+  "message.saveFailed": "Salvataggio nel browser non riuscito ({error}): la sessione continua, esporta i dati prima di chiudere la pagina.",
+  "message.restoreFailed": "Impossibile ripristinare l'ultima sessione ({error}).",
+
+  // Summaries
+  "summary.error": "Errore medio = {error} px{deg}",
+  "summary.shift": "Spostamento medio = {ms} ms",
+  "summary.pss": "PSS = {pss}",
+  "summary.responseTime": "Tempo medio di risposta = {ms} ms",
+  "summary.slowExcluded": "{n} prove lente escluse",
+  "summary.flashFrames": " ({frames} fotogrammi = {ms} ms)",
+
+  // Stage and trial controls
+  "participant.placeholder": "Nome partecipante",
+  "button.startTrial": "Avvia prova",
+  "button.nextTrial": "Prossima prova",
+  "button.finished": "Concluso",
+  "button.newParticipant": "Nuovo partecipante",
+  "button.settings": "Impostazioni",
+  "button.continue": "Continua",
+  "button.close": "Chiudi",
+  "button.cancel": "Annulla",
+  "status.pss": "PSS:",
+  "status.lastError": "Ultimo errore:",
+  "status.done": "Prove svolte:",
+  "status.remaining": "Restanti:",
+  "status.block": "Blocco {block}/{count} • ",
+  "status.mode": "Modalità: {mode}",
+  "status.session": "Sessione: {done}/{total} prove",
+  "stage.error": "errore: {error} px",
+  "stage.tooNarrow":
+    "La finestra è più stretta della scena calibrata di {deg}°, quindi il movimento è più corto che su altri schermi. Allarga la finestra.",
+  "judge.behind": "Dietro al flash",
+  "judge.ahead": "Davanti al flash",
+  "adjust.confirm": "Conferma posizione (Invio)",
+  "confidence.label": "Sicurezza:",
+
+  // Settings panel
+  "settings.title": "Controlli",
+  "settings.units": "Unità",
+  "settings.pixels": "Pixel",
+  "settings.degrees": "Gradi visivi",
+  "settings.calibrate": "Calibra schermo",
+  "settings.recalibrate": "Ricalibra schermo",
+  "settings.calibrated": "1° = {pxPerDeg} px a {distance} cm. Gli errori sono riportati anche in gradi e in ms.",
+  "settings.uncalibrated": "Schermo non calibrato: i parametri sono in pixel CSS e gli errori anche in ms.",
+  "settings.refresh": " Frequenza di aggiornamento misurata: {hz} Hz.",
+  "settings.blockCount": "Numero di blocchi: {count}",
+  "settings.blockTab": "Blocco {block} • {mode} • {trials}",
+  "settings.counterbalance": "Controbilancia l'ordine dei blocchi (quadrato latino)",
+  "settings.askConfidence": "Chiedi la sicurezza della risposta (1–4) dopo ogni prova",
+  "settings.feedback": "Feedback al partecipante",
+  "feedback.full": "Dopo ogni prova",
+  "feedback.block": "Solo riepilogo a fine blocco",
+  "feedback.none": "Nessuno fino alla fine",
+  "settings.maxResponse": "Escludi le risposte più lente di: {limit}",
+  "settings.noLimit": "nessun limite",
+  "settings.practiceTrials": "Prove di pratica per partecipante: {n}",
+  "settings.catchRate": "Prove di controllo: {percent}% dopo le prove valide",
+  "settings.catchFailLimit": "Segnala chi sbaglia più di {n} prove di controllo",
+  "settings.constantStimuli": "Stimoli costanti (disegno fattoriale)",
+  "settings.response2afc": "Risposta 2AFC (davanti / dietro) invece del clic",
+  "settings.responseAdjust": "Risposta da tastiera (regola un marcatore con le frecce)",
+  "settings.blockTrials": "Prove nel blocco: {trials}",
+  "settings.blockTrialsOf": "Prove nel blocco {block}: {trials}",
+  "settings.blockParams": "I parametri qui sotto valgono per il blocco {block}.",
+  "settings.mode": "Modalità",
+  "settings.trajectory": "Traiettoria",
+  "settings.staircase": "Scala adattiva 2AFC (davanti / dietro al flash)",
+  "settings.target": "Bersaglio",
+  "shape.pacman": "Pac-Man",
+  "shape.dot": "Punto",
+  "settings.speed": "Velocità",
+  "settings.disappearMin": "Offset minimo di scomparsa",
+  "settings.disappearMax": "Offset massimo di scomparsa",
+  "settings.disappearHelp":
+    "L'offset è misurato lungo la traiettoria dal centro del percorso (positivo = il bersaglio scompare prima del centro). A ogni prova viene estratto un valore casuale da questo intervallo.",
+  "settings.flashLead": "Lead del flash",
+  "settings.flashYOffset": "Offset del flash rispetto al percorso",
+  "settings.flashDuration": "Durata del flash: {ms} ms{frames}",
+  "settings.dotRadius": "Raggio del bersaglio",
+  "settings.colorTarget": "Bersaglio",
+  "settings.colorFlash": "Flash",
+  "settings.showCloud": "Mostra nuvola errori",
+  "settings.hideCloud": "Nascondi nuvola errori",
+  "settings.showAnalysis": "Mostra analisi",
+  "settings.hideAnalysis": "Nascondi analisi",
+  "settings.showGroup": "Mostra quadro del gruppo",
+  "settings.hideGroup": "Nascondi quadro del gruppo",
+  "settings.trialsCsv": "CSV prove",
+  "settings.summaryCsv": "CSV classifica",
+  "settings.exportJson": "Esporta JSON",
+  "settings.importJson": "Importa JSON",
+  "settings.archive": "Archivio sessioni",
+  "settings.reset": "Reimposta tutto",
+
+  // Factorial design and staircase editors
+  "design.lead": "Lead / offset",
+  "design.flashDuration": "Durata del flash",
+  "design.repeats": "Ripetizioni per condizione: {n}",
+  "design.count": "{conditions} condizioni × {repeats} ripetizioni = {trials} prove, in ordine casuale per ogni partecipante.",
+  "staircase.upDown": "1-su/1-giù",
+  "staircase.weighted": "Pesata",
+  "staircase.quest": "QUEST",
+  "staircase.startLead": "Lead iniziale",
+  "staircase.slope": "Pendenza attesa",
+  "staircase.step": "Passo iniziale",
+  "staircase.target": 'Obiettivo "davanti": {percent}%',
+  "staircase.help":
+    "Il lead del flash di ogni prova è scelto dalla procedura adattiva; al termine viene riportato il PSS (lead percepito come simultaneo) con la sua incertezza.",
+
+  // Export file names (without the timestamp and extension)
+  "export.trialsFile": "flashlag_prove",
+  "export.summaryFile": "flashlag_classifica",
+  "export.sessionFile": "flashlag_sessione",
+  "export.presetFile": "flashlag_preset",
+  "export.figureFile": "flashlag_figura",
+
+  // Error cloud
+  "cloud.title": "Nuvola degli errori",
+  "cloud.samples": "{n} campioni",
+  "cloud.empty": "Nessun dato disponibile. Esegui alcune prove per popolare la nuvola.",
+  "cloud.point": "{participant} • Prova {trial}\nLungo il moto: {along} px • Trasversale: {across} px",
+  "cloud.motion": "moto →",
+  "cloud.truth": "Posizione reale del {target} (centro); a destra = avanti lungo il moto",
+  "cloud.current": "Partecipante corrente",
+  "cloud.ahead": "Davanti",
+  "cloud.behind": "Dietro",
+  "group.title": "Quadro del gruppo",
+  "group.empty": "Nel gruppo non ci sono ancora risposte con clic o regolazione.",
+  "group.splitBy": "Confronta per",
+  "group.byMode": "Modalità",
+  "group.byShape": "Forma",
+  "group.bySpeed": "Velocità",
+  "group.violin": "Violino",
+  "group.histogram": "Istogramma",
+  "group.distribution": "Errore con segno di ogni prova",
+  "group.participantMeans": "Effetto medio per partecipante ({n})",
+  "group.paired": "Confronto entro i partecipanti",
+  "group.trials": "{n} prove",
+  "group.participants": "{n} partecipanti",
+  "group.bin": "da {from} a {to} px: {n} prove",
+  "group.participantPoint": "{participant}: {mean} px su {n} prove",
+  "group.pairPoint": "{participant}: {difference} px",
+  "group.comparison": "Differenza",
+  "group.difference": "{b} − {a}, per partecipante",
+  "group.pairs": "Partecipanti con entrambe",
+  "group.meanDifference": "Media ± DS",
+  "group.needPairs": "Servono almeno 2 partecipanti che abbiano risposto in entrambe le condizioni.",
+  "group.sameCondition": "Scegli due condizioni diverse.",
+  "figure.saveSvg": "Salva come SVG (vettoriale, da modificare o per poster)",
+  "figure.savePng": "Salva come PNG ad alta risoluzione (per le slide)",
+  "figure.pngFailed": "Esportazione PNG non riuscita ({error}); l'SVG funziona comunque.",
+  "figure.stageFrame": "Fotogramma attuale della scena",
+  "figure.stageName": "scena",
+  "figure.cloudName": "nuvola-errori",
+  "figure.signedErrorName": "errore-con-segno",
+  "figure.psychometricName": "psicometrica",
+  "figure.distributionName": "gruppo-distribuzione",
+  "figure.participantMeansName": "gruppo-medie",
+  "figure.differenceName": "gruppo-differenza",
+  "figure.target": "Bersaglio in movimento ({target})",
+  "figure.flashDot": "Flash",
+  "figure.answer": "Risposta del partecipante",
+  "figure.trialPoints": "Singole prove",
+  "figure.participantPoints": "Singoli partecipanti",
+  "figure.mean": "Media",
+  "figure.meanCi": "Media e IC 95%",
+  "figure.groupMeanCi": "Media dei partecipanti e IC 95%",
+  "figure.median": "Mediana",
+  "figure.zero": "Errore nullo",
+  "figure.levels": 'Proporzione "davanti" per lead (area ∝ risposte)',
+  "figure.pss": "PSS = {pss} px",
+  "figure.group": "Tutti i partecipanti.",
+  "figure.participant": "Partecipante {participant}.",
+  "figure.input": "Risposte con {input}.",
+  "figure.trials": "{n} prove valide.",
+  "figure.participants": "{n} partecipanti.",
+  "figure.paired": "{n} partecipanti; differenza media {mean} px, IC 95% da {low} a {high} px.",
+  "figure.block": "blocco {block}: {text}",
+  "figure.speed": "{speed} px/s",
+  "figure.flash": "flash {duration} ms",
+  "figure.calibrated": "Schermo: 1° = {pxPerDeg} px a {distance} cm.",
+  "figure.uncalibrated": "Schermo non calibrato.",
+  "results.hidden": "Risultati nascosti fino al termine della sessione (feedback disattivato).",
+
+  // Analysis panel
+  "analysis.title": "Analisi",
+  "analysis.participant": "Partecipante",
+  "analysis.group": "Gruppo",
+  "analysis.allInputs": "Tutti i dispositivi",
+  "input.mouse": "Mouse",
+  "input.touch": "Tocco",
+  "input.pen": "Penna",
+  "input.keyboard": "Tastiera",
+  "analysis.empty": "Nessun dato disponibile per questa selezione.",
+  "analysis.signedError": "Errore con segno (clic)",
+  "analysis.trials": "N prove",
+  "analysis.meanSd": "Media ± DS",
+  "analysis.meanCi": "IC 95% media",
+  "analysis.median": "Mediana",
+  "analysis.medianCi": "IC 95% mediana",
+  "analysis.meanPoint": "Media {value} px",
+  "analysis.medianPoint": "Mediana {value} px",
+  "analysis.behindAxis": "-{extent} px (dietro)",
+  "analysis.aheadAxis": "+{extent} px (davanti)",
+  "analysis.psychometric": "Funzione psicometrica (2AFC)",
+  "analysis.gaussian": "Gaussiana",
+  "analysis.logistic": "Logistica",
+  "analysis.fewLevels": "Per il fit servono risposte ad almeno due lead in questa condizione.",
+  "analysis.flashOffset": "flash con offset di {offset} px dal percorso",
+  "analysis.responses": "N risposte",
+  "analysis.level": 'Lead {lead} px • {ahead}/{n} "davanti"',
+  "analysis.leadAxis": "Lead del flash (px) → P(davanti)",
+
+  // Results table and leaderboard
+  "results.noParticipant": "Nessun partecipante selezionato.",
+  "results.empty": "Ancora nessuna prova per questo partecipante.",
+  "results.title": "Risultati",
+  "results.participant": "Partecipante",
+  "results.error": "Errore",
+  "results.time": "Tempo (ms)",
+  "results.confidence": "Sicurezza",
+  "results.practice": "pratica",
+  "results.catch": "controllo",
+  "results.ahead": "Davanti",
+  "results.behind": "Dietro",
+  "results.answerLead": "{answer} (lead {lead})",
+  "results.timing": "Temporizzazione irregolare: {dropped} fotogrammi persi, flash disegnato per {drawn}/{frames} fotogrammi",
+  "results.slow": "lenta",
+  "results.slowTitle": "Risposta troppo lenta: esclusa dalle medie e dalle analisi",
+  "results.replay": "Rivedi",
+  "results.replayTitle": "Rivedi questa prova",
+  "replay.title": "Replay della prova {trial}",
+  "replay.canvas": "Replay della prova",
+  "replay.time": "{time} ms dall'inizio del movimento",
+  "replay.answerAt": "risposta a {time} ms",
+  "replay.answered": "risposta data",
+  "replay.play": "Riproduci",
+  "replay.pause": "Pausa",
+  "replay.restart": "Da capo",
+  "replay.speed": "Velocità di riproduzione",
+  "replay.overlay": "Mostra posizione reale e risposta",
+  "replay.note": "Ricostruita dai parametri e dai tempi dei fotogrammi registrati; l'attesa prima della risposta è il tempo di risposta registrato.",
+  "leaderboard.title": "Classifica",
+  "leaderboard.liveTitle": "Classifica (tutte le postazioni)",
+  "leaderboard.station": "Postazione",
+  "leaderboard.rank": "Posizione",
+  "leaderboard.errorPx": "Errore medio (px)",
+  "leaderboard.errorDeg": "Errore medio (°)",
+  "leaderboard.trials": "Prove",
+  "leaderboard.best": "Migliore (px)",
+  "leaderboard.worst": "Peggiore (px)",
+  "leaderboard.trialValue": "{value} (prova {trial})",
+  "leaderboard.adjust": "regolazione",
+  "leaderboard.rule": "Si confrontano solo prove con la stessa modalità, forma, velocità e tipo di risposta; servono almeno {n} prove valide per entrare in classifica.",
+  "leaderboard.catchFailures": "Prove di controllo sbagliate: {failures} su {trials}",
+  "leaderboard.attention": "⚠ attenzione",
+
+  // Rest, debrief and explanation screens
+  "rest.title": "Blocco {block} di {count} completato",
+  "rest.error": "Errore medio nel blocco: {error} (spostamento medio {shift} px su {trials} prove).",
+  "rest.pss": "PSS stimato nel blocco: {pss} su {trials} prove.",
+  "rest.next": "Riposa gli occhi qualche secondo. Il prossimo blocco è in modalità {mode}.",
+  "debrief.title": "Sessione completata: ecco i tuoi risultati",
+  "debrief.note":
+    "Durante le prove non hai visto gli errori per non influenzare le risposte. Qui sotto trovi la nuvola degli errori e l'elenco delle prove.",
+  "explanation.title": "Perché il punto sembra sparire più avanti?",
+  "explanation.delay":
+    "Il nostro cervello non elabora le immagini in tempo reale: c’è sempre un piccolo ritardo tra ciò che arriva agli occhi e ciò che viene percepito. Per compensare, il cervello usa meccanismi predittivi: anticipa la traiettoria degli oggetti in movimento e confronta le previsioni con i segnali visivi in arrivo.",
+  "explanation.momentum":
+    "Quando un oggetto si muove normalmente, il cervello lo proietta leggermente in avanti. Questo ci aiuta ad agire in tempo (ad esempio per afferrare una palla), ma fa sì che l’oggetto appaia un po’ più avanti della sua reale posizione. Questo fenomeno è chiamato {term} (representational momentum).",
+  "explanation.term": "slancio rappresentazionale",
+  "explanation.disappearance":
+    "Quando il punto scompare di colpo, la sparizione genera un segnale improvviso che annulla la proiezione in avanti. Tuttavia, poiché il cervello stava già predicendo il movimento futuro, tendiamo a indicare una posizione leggermente più avanzata di quella reale.",
+  "explanation.principle":
+    "Questo dimostra un principio di base della percezione: il cervello non è una macchina fotografica passiva, ma un sistema predittivo che cerca costantemente di stare un passo avanti rispetto al mondo.",
+  "explanation.close": "Capito",
+
+  // Session archive
+  "archive.title": "Archivio sessioni",
+  "archive.readError": "Impossibile leggere l'archivio locale.",
+  "archive.openError": 'Impossibile aprire "{name}" ({error}).',
+  "archive.deleteError": 'Impossibile eliminare "{name}" ({error}).',
+  "archive.mergeError": "Impossibile unire le sessioni selezionate ({error}).",
+  "archive.confirmDelete": 'Eliminare "{name}" e le sue {count} prove?',
+  "archive.empty": "Nessuna sessione salvata.",
+  "archive.session": "Sessione",
+  "archive.trials": "Prove",
+  "archive.participants": "Partecipanti",
+  "archive.select": "Seleziona {name}",
+  "archive.updated": "Aggiornata {date}",
+  "archive.inUse": "in uso",
+  "archive.open": "Apri",
+  "archive.delete": "Elimina",
+  "archive.note": "Ogni prova viene salvata nel browser appena registrata.",
+  "archive.merge": "Unisci selezionate",
+  "archive.sessionName": "Sessione del {date}",
+  "archive.mergedName": "Unione di {names}",
+
+  // Screen calibration
+  "calibration.title": "Calibrazione dello schermo",
+  "calibration.help":
+    "Appoggia una carta di credito (o un'altra tessera di formato standard) sullo schermo e regola il rettangolo finché i bordi coincidono. Poi indica la distanza tra gli occhi e lo schermo.",
+  "calibration.cardWidth": "Larghezza della carta: {px} px",
+  "calibration.distance": "Distanza di osservazione (cm)",
+  "calibration.result": "{pxPerMm} px/mm • 1° = {pxPerDeg} px a {distance} cm",
+  "calibration.save": "Salva calibrazione",
+
+  // Shareable configurations
+  "config.title": "Configurazione condivisibile",
+  "config.copyLink": "Copia link",
+  "config.savePreset": "Salva preset",
+  "config.loadPreset": "Carica preset",
+  "config.applied": "Configurazione «{name}» applicata.",
+  "config.linkCopied": "Link della configurazione copiato negli appunti.",
+  "config.linkReady": "Link della configurazione: {url}",
+  "config.linkLoaded": "Configurazione caricata dal link.",
+  "config.linkFailed": "Il link non contiene una configurazione valida ({error}); restano le impostazioni predefinite.",
+  "config.loadFailed": "Preset non caricato ({file}): {error}.",
+  "preset.classicNijhawan": "Nijhawan classico",
+  "preset.museumDemo": "Demo per musei",
+  "preset.initiatedTerminated": "Iniziato vs terminato dal flash",
+
+  // Results server
+  "collector.title": "Server dei risultati (più postazioni)",
+  "collector.url": "Indirizzo del server",
+  "collector.urlPlaceholder": "es. 192.168.1.20:8787",
+  "collector.station": "Nome della postazione",
+  "collector.connect": "Connetti",
+  "collector.disconnect": "Disconnetti",
+  "collector.online": "Connesso a {url} come «{station}»: la classifica riunisce tutte le postazioni.",
+  "collector.offline": "Server {url} non raggiungibile: le prove restano in coda e vengono inviate appena torna disponibile.",
+  "collector.queued": " {n} record in coda.",
+  "collector.pending": "{n} record in attesa di un server.",
+  "collector.rejected": "{n} record sono stati rifiutati dal server perché non validi e non vi sono stati salvati.",
+
+  // Kiosk mode
+  "kiosk.title": "Modalità kiosk",
+  "kiosk.pin": "PIN operatore",
+  "kiosk.start": "Attiva",
+  "kiosk.stop": "Disattiva modalità kiosk",
+  "kiosk.attract": "Torna alla schermata iniziale",
+  "kiosk.help":
+    "Per eventi pubblici: animazione dimostrativa tra un visitatore e l'altro, nome automatico e ritorno alla schermata iniziale a fine sessione o dopo {idle} secondi senza tocchi. Impostazioni e reimpostazione richiedono il PIN (almeno {digits} cifre).",
+  "kiosk.touchToStart": "Tocca lo schermo per iniziare",
+  "kiosk.welcome": 'Ciao {name}! Premi "Avvia prova" quando sei pronto.',
+  "kiosk.returning": "Tra {seconds} secondi si torna alla schermata iniziale per il prossimo visitatore.",
+  "kiosk.pinTitle": "Area operatore",
+  "kiosk.pinPrompt": "Inserisci il PIN per aprire le impostazioni.",
+  "kiosk.pinWrong": "PIN errato.",
+  "kiosk.pinDigits": "Il PIN può contenere solo cifre.",
+  "kiosk.unlock": "Sblocca",
+
+  // Auto-generated participant names: "{animal}-{adjective}", then numbered names
+  "names.pattern": "{animal}-{adjective}",
+  "names.fallback": "Partecipante-{n}",
+  "names.animals": [
+    "Leone",
+    "Tigre",
+    "Pantera",
+    "Ghepardo",
+    "Giaguaro",
+    "Lupo",
+    "Volpe",
+    "Orso",
+    "Cervo",
+    "Alce",
+    "Cinghiale",
+    "Scoiattolo",
+    "Riccio",
+    "Tasso",
+    "Lontra",
+    "Foca",
+    "Delfino",
+    "Balena",
+    "Squalo",
+    "Polpo",
+    "Calamaro",
+    "Pinguino",
+    "Gabbiano",
+    "Falco",
+    "Aquila",
+    "Gufo",
+    "Corvo",
+    "Pavone",
+    "Cigno",
+    "Airone",
+    "Fenicottero",
+    "Iena",
+    "Zebra",
+    "Giraffa",
+    "Ippopotamo",
+    "Rinoceronte",
+    "Elefante",
+    "Cammello",
+    "Cavallo",
+    "Toro",
+    "Bisonte",
+    "Canguro",
+    "Koala",
+    "Panda",
+    "Lemure",
+    "Scimmia",
+    "Gorilla",
+    "Orangotango",
+    "Armadillo",
+    "Coccodrillo",
+  ],
+  "names.adjectives": [
+    "Coraggioso",
+    "Pauroso",
+    "Rapido",
+    "Lento",
+    "Gentile",
+    "Furbo",
+    "Curioso",
+    "Audace",
+    "Calmo",
+    "Vivace",
+    "Silenzioso",
+    "Rumoroso",
+    "Allegro",
+    "Triste",
+    "Saggio",
+    "Astuto",
+    "Fiero",
+    "Agile",
+    "Robusto",
+    "Leggero",
+    "Tenace",
+    "Brillante",
+    "Ombroso",
+    "Sereno",
+    "Nervoso",
+    "Preciso",
+    "Distratto",
+    "Paziente",
+    "Impaziente",
+    "Dolce",
+    "Severo",
+    "Leale",
+    "Selvaggio",
+    "Elegante",
+    "Goffo",
+    "Generoso",
+    "Timido",
+    "Determinato",
+    "Irascibile",
+    "Riflessivo",
+    "Creativo",
+    "Energico",
+    "Instancabile",
+    "Metodico",
+    "Spavaldo",
+    "Prudente",
+    "Entusiasta",
+    "Freddoloso",
+    "Solare",
+    "Notturno",
+  ],
+};
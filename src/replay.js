@@ -0,0 +1,84 @@
+// Replays of recorded trials. The trial engine is deterministic, so running it again with a
+// record's parameters and frame times rebuilds every frame the participant saw. Records from
+// before the stage size was stored cannot be replayed.
+import {
+  PHASE_FEEDBACK,
+  STAGE_PADDING,
+  advanceTrial,
+  beginTrial,
+  createTrial,
+  isMoving,
+} from "./trialEngine.js";
+
+const TIME_BASE = 1000; // the engine reads a frame time of 0 as "no previous frame"
+const MAX_EXTRA_FRAMES = 2000; // frames simulated past the recorded ones
+export const REPLAY_HOLD_MS = 1500; // the answered state stays up this long at the end
+
+export const canReplay = (record) =>
+  record.stage_width_px != null && record.stage_height_px != null && Array.isArray(record.frame_times_ms);
+
+// Frame-by-frame states from the first frame to the answer:
+// { frames: [{ t, trial }], answerAt, duration, answered } with times in ms from the first frame
+export function buildReplay(record) {
+  if (!canReplay(record)) return null;
+  const frameMs = record.refresh_hz ? 1000 / record.refresh_hz : 1000 / 60;
+  const trial = createTrial({
+    mode: record.mode,
+    targetShape: record.target_shape,
+    responseType: record.response_type,
+    trajectory: record.trajectory,
+    width: record.stage_width_px,
+    height: record.stage_height_px,
+    padding: STAGE_PADDING,
+    speed: record.speed_px_s,
+    lead: record.lead_px,
+    flashYOffset: record.flash_yoffset_px,
+    flashDuration: record.flash_duration_ms,
+    frameMs,
+    catchType: record.catch_type,
+    showFeedback: true,
+  });
+  // Same number of flash frames as recorded, even if the measured refresh rate was rounded
+  let state = beginTrial(record.flash_frames != null ? { ...trial, flashFrames: record.flash_frames } : trial);
+
+  const frames = [];
+  const step = (t) => {
+    state = advanceTrial(state, TIME_BASE + t);
+    frames.push({ t, trial: state });
+  };
+  for (const t of record.frame_times_ms) {
+    if (!isMoving(state)) break;
+    step(t);
+  }
+  // Imports may have lost frame times: carry on at the refresh interval
+  for (let i = 0; i < MAX_EXTRA_FRAMES && isMoving(state); i += 1) {
+    step((frames.length ? frames[frames.length - 1].t : 0) + frameMs);
+  }
+
+  const responseOpen = frames.length ? frames[frames.length - 1].t : 0;
+  const answerAt = responseOpen + (record.response_time_ms ?? 0);
+  const click = record.click_x_px != null ? { x: record.click_x_px, y: record.click_y_px } : null;
+  return {
+    frames,
+    answerAt,
+    duration: answerAt + REPLAY_HOLD_MS,
+    click,
+    answered: { ...state, phase: PHASE_FEEDBACK, click },
+  };
+}
+
+// Trial state on screen `t` ms after the first frame
+export function replayStateAt(replay, t) {
+  if (t >= replay.answerAt) return replay.answered;
+  const { frames } = replay;
+  let lo = 0;
+  let hi = frames.length - 1;
+  while (lo < hi) {
+    const mid = Math.ceil((lo + hi) / 2);
+    if (frames[mid].t <= t) lo = mid;
+    else hi = mid - 1;
+  }
+  return frames[lo].trial;
+}
+
+export const replayTimestamp = (t) => TIME_BASE + t;
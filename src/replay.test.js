@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { MODES, PHASE_FEEDBACK, simulateTrial, truthPoint } from "./trialEngine.js";
+import { buildReplay, canReplay, replayStateAt } from "./replay.js";
+
+test("a replay rebuilds every recorded frame and reaches the recorded event", () => {
+  MODES.forEach((mode) => {
+    const { record, trial } = simulateTrial({ mode, lead: 40, width: 900, height: 280 }, { clickOffsetPx: 12 });
+    const replay = buildReplay({ ...record, response_time_ms: 400 });
+    assert.equal(replay.frames.length, record.frame_count, mode);
+    assert.ok(Math.abs(replay.answered.eventPos - trial.eventPos) < 0.01, mode);
+    const truth = truthPoint(replay.answered);
+    assert.ok(Math.abs(truth.x - record.truth_x_px) < 0.02 && Math.abs(truth.y - record.truth_y_px) < 0.02, mode);
+    assert.equal(replay.answerAt, replay.frames[replay.frames.length - 1].t + 400);
+  });
+});
+
+test("the scrubber shows the moving target before the answer and the feedback after", () => {
+  const { record } = simulateTrial({ lead: 40, width: 900 }, { clickOffsetPx: 12 });
+  const replay = buildReplay({ ...record, response_time_ms: 400 });
+  assert.equal(replayStateAt(replay, 0), replay.frames[0].trial);
+  assert.equal(replayStateAt(replay, replay.answerAt).phase, PHASE_FEEDBACK);
+  assert.deepEqual(replayStateAt(replay, replay.duration).click, { x: record.click_x_px, y: record.click_y_px });
+});
+
+test("records without the stage size cannot be replayed", () => {
+  const { record } = simulateTrial({ width: 900 });
+  const { stage_width_px: _width, ...old } = record;
+  assert.equal(canReplay(old), false);
+  assert.equal(buildReplay(old), null);
+});
@@ -0,0 +1,329 @@
+// Session definition: an ordered list of blocks, each with its own mode, trial count and
+// stimulus parameters. Pure helpers to locate a trial in the session and summarise results.
+import {
+  MODES,
+  MODE_DISAPPEARING,
+  RESPONSE_2AFC,
+  RESPONSE_ADJUST,
+  RESPONSE_CLICK,
+  TARGET_PACMAN,
+  modeHasFlash,
+  round2,
+} from "./trialEngine.js";
+import { TRAJECTORY_LEFT_RIGHT } from "./trajectory.js";
+
+export const DEFAULT_TRIALS_PER_BLOCK = 3;
+export const MAX_BLOCKS = 6;
+export const MAX_TRIALS_PER_BLOCK = 40;
+
+export function createBlock(overrides = {}) {
+  return {
+    mode: MODE_DISAPPEARING,
+    targetShape: TARGET_PACMAN,
+    trajectory: TRAJECTORY_LEFT_RIGHT, // see ./trajectory.js; "random" draws a direction per trial
+    trials: DEFAULT_TRIALS_PER_BLOCK,
+    speed: 280, // px/s
+    flashLead: 80, // px ahead of moving dot AT FLASH MOMENT (centerX − lead is trigger X)
+    disappearRange: { min: -80, max: 80 },
+    flashYOffset: 0, // px offset of the flash across the path (positive = lower / right / outwards)
+    flashDuration: 60, // ms (only for in-motion visibility)
+    design: null, // constant-stimuli factorial design (see ./design.js); overrides the fields above
+    staircase: null, // adaptive 2AFC settings (see ./staircase.js); flash-lag blocks only
+    responseType: RESPONSE_CLICK, // or keyboard adjustment; constant-stimuli flash blocks may ask the 2AFC question instead
+    ...overrides,
+  };
+}
+
+export const MAX_PRACTICE_TRIALS = 10;
+export const MAX_CATCH_RATE = 0.5;
+export const DEFAULT_CATCH_FAIL_LIMIT = 1;
+
+// Ranges of the settings sliders (px, px/s, ms). Presets and shared links are checked
+// against the same table, so a configuration can never hold a value the panel cannot show.
+export const SETTING_LIMITS = {
+  trials: { min: 1, max: MAX_TRIALS_PER_BLOCK },
+  speed: { min: 80, max: 600 },
+  flashLead: { min: -60, max: 200 },
+  disappearOffset: { min: -200, max: 200 },
+  flashYOffset: { min: -100, max: 100 },
+  flashDuration: { min: 20, max: 200 },
+  dotRadius: { min: 4, max: 16 },
+  maxResponseMs: { min: 0, max: 10000 }, // 0 = no limit
+  practiceTrials: { min: 0, max: MAX_PRACTICE_TRIALS },
+  catchRate: { min: 0, max: MAX_CATCH_RATE },
+  catchFailLimit: { min: 0, max: 5 },
+  staircaseStep: { min: 5, max: 40 },
+  staircaseSlope: { min: 5, max: 60 },
+  staircaseTargetP: { min: 0.2, max: 0.8 },
+};
+
+// Feedback policy: the true position and error after every trial, only block averages at each
+// rest screen, or nothing until the debrief at the end of the session
+export const FEEDBACK_FULL = "full";
+export const FEEDBACK_BLOCK = "block";
+export const FEEDBACK_NONE = "none";
+
+// feedback: FEEDBACK_* policy; askConfidence: 1–4 rating after every answer; maxResponseMs: slower answers are kept in the
+// data but flagged and left out of the summaries (null = no limit).
+// practiceTrials run before the first block; after each counted trial a catch trial follows
+// with probability catchRate, and more than catchFailLimit failed catch trials flag the participant.
+export function createSession(
+  blocks = [createBlock()],
+  {
+    counterbalance = false,
+    askConfidence = false,
+    maxResponseMs = null,
+    practiceTrials = 0,
+    catchRate = 0,
+    catchFailLimit = DEFAULT_CATCH_FAIL_LIMIT,
+    feedback = FEEDBACK_FULL,
+  } = {}
+) {
+  return {
+    blocks: blocks.map((block) => createBlock(block)),
+    counterbalance,
+    feedback,
+    askConfidence,
+    maxResponseMs,
+    practiceTrials,
+    catchRate,
+    catchFailLimit,
+  };
+}
+
+// Sessions stored before the policy existed gave full feedback
+export const isBlindSession = (session) => (session.feedback ?? FEEDBACK_FULL) !== FEEDBACK_FULL;
+
+// Practice and catch trials are stored with the rest but never count towards the session
+export const isCountedTrial = (record) => !record.practice && !record.catch_type;
+
+export const isTooSlow = (responseTimeMs, maxResponseMs) =>
+  maxResponseMs != null && responseTimeMs != null && responseTimeMs > maxResponseMs;
+
+// Grow (cloning the last block) or shrink the block list to `count`
+export function setBlockCount(session, count) {
+  const target = Math.max(1, Math.min(MAX_BLOCKS, count));
+  const blocks = session.blocks.slice(0, target);
+  while (blocks.length < target) {
+    blocks.push(createBlock(blocks[blocks.length - 1]));
+  }
+  return { ...session, blocks };
+}
+
+export function updateBlock(session, blockIndex, patch) {
+  return {
+    ...session,
+    blocks: session.blocks.map((block, i) => (i === blockIndex ? { ...block, ...patch } : block)),
+  };
+}
+
+export const isStaircaseBlock = (block) => Boolean(block.staircase) && modeHasFlash(block.mode);
+
+export function blockResponseType(block) {
+  if (isStaircaseBlock(block)) return RESPONSE_2AFC;
+  const twoAfcDesign = modeHasFlash(block.mode) && block.design && block.responseType === RESPONSE_2AFC;
+  if (twoAfcDesign) return RESPONSE_2AFC;
+  return block.responseType === RESPONSE_ADJUST ? RESPONSE_ADJUST : RESPONSE_CLICK;
+}
+
+export const sessionTrialCount = (session) =>
+  session.blocks.reduce((total, block) => total + block.trials, 0);
+
+// Block and in-block number (both 0-based) for the trial at `trialIndex`
+export function locateTrial(session, trialIndex) {
+  let before = 0;
+  for (let i = 0; i < session.blocks.length; i += 1) {
+    if (trialIndex < before + session.blocks[i].trials) {
+      return { blockIndex: i, trialInBlock: trialIndex - before };
+    }
+    before += session.blocks[i].trials;
+  }
+  return null;
+}
+
+// Where the session stands after `completed` trials (block = the one holding the next trial)
+export function sessionProgress(session, completed) {
+  const totalTrials = sessionTrialCount(session);
+  const next = locateTrial(session, completed);
+  const blockIndex = next ? next.blockIndex : session.blocks.length - 1;
+  const trialsInBlock = session.blocks[blockIndex].trials;
+  const completedInBlock = next ? next.trialInBlock : trialsInBlock;
+  return {
+    blockIndex,
+    blockCount: session.blocks.length,
+    trialsInBlock,
+    completedInBlock,
+    remainingInBlock: trialsInBlock - completedInBlock,
+    completedTotal: completed,
+    totalTrials,
+    isSessionComplete: completed >= totalTrials,
+  };
+}
+
+// True when the `completed`-th trial was the last one of its block
+export function isBlockEnd(session, completed) {
+  if (completed <= 0) return false;
+  const last = locateTrial(session, completed - 1);
+  return Boolean(last) && last.trialInBlock === session.blocks[last.blockIndex].trials - 1;
+}
+
+const mean = (values) => values.reduce((a, v) => a + v, 0) / values.length;
+
+// Click trials give errors; staircase trials carry a running PSS estimate (last one wins)
+const averageOf = (rows, key) => {
+  const values = rows.map((r) => r[key]).filter((v) => v != null);
+  return values.length ? round2(mean(values)) : null;
+};
+
+function summarizeRows(allRows) {
+  const rows = allRows.filter((r) => !r.slow_excluded);
+  const clicks = rows.filter((r) => r.abs_error_px != null);
+  const estimates = rows.filter((r) => r.pss_estimate_px != null);
+  const last = estimates[estimates.length - 1];
+  return {
+    trials: allRows.length,
+    excluded_slow_trials: allRows.length - rows.length,
+    average_abs_error_px: clicks.length ? round2(mean(clicks.map((r) => r.abs_error_px))) : null,
+    average_signed_error_px: clicks.length ? round2(mean(clicks.map((r) => r.signed_error_px ?? 0))) : null,
+    average_abs_error_deg: averageOf(clicks, "abs_error_deg"),
+    average_signed_error_deg: averageOf(clicks, "signed_error_deg"),
+    average_signed_error_ms: averageOf(clicks, "signed_error_ms"),
+    average_response_time_ms: averageOf(rows, "response_time_ms"),
+    average_confidence: averageOf(rows, "confidence"),
+    pss_px: last ? last.pss_estimate_px : null,
+    pss_se_px: last ? last.pss_se_px : null,
+  };
+}
+
+// Inverse-variance weighted PSS across staircase blocks (plain mean when an SE is missing)
+function combinePss(blocks) {
+  const estimates = blocks.filter((b) => b.pss_px != null);
+  if (!estimates.length) return { pss_px: null, pss_se_px: null };
+  if (estimates.length === 1) return { pss_px: estimates[0].pss_px, pss_se_px: estimates[0].pss_se_px };
+  if (estimates.some((b) => !b.pss_se_px)) {
+    return { pss_px: round2(mean(estimates.map((b) => b.pss_px))), pss_se_px: null };
+  }
+  const weights = estimates.map((b) => 1 / b.pss_se_px ** 2);
+  const total = weights.reduce((a, w) => a + w, 0);
+  const pss = estimates.reduce((a, b, i) => a + b.pss_px * weights[i], 0) / total;
+  return { pss_px: round2(pss), pss_se_px: round2(Math.sqrt(1 / total)) };
+}
+
+export function summarizeBlocks(results, participant) {
+  const rows = results.filter((r) => r.participant === participant && isCountedTrial(r));
+  const byBlock = new Map();
+  rows.forEach((r) => {
+    const block = r.block ?? 1;
+    if (!byBlock.has(block)) byBlock.set(block, []);
+    byBlock.get(block).push(r);
+  });
+  return [...byBlock.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([block, blockRows]) => ({ block, mode: blockRows[0].mode, ...summarizeRows(blockRows) }));
+}
+
+export function summarizeSession(results, participant, { catchFailLimit = DEFAULT_CATCH_FAIL_LIMIT } = {}) {
+  const all = results.filter((r) => r.participant === participant);
+  const rows = all.filter(isCountedTrial);
+  if (!rows.length) return null;
+  const blocks = summarizeBlocks(rows, participant);
+  const catches = all.filter((r) => r.catch_type);
+  const catchFailures = catches.filter((r) => !r.catch_passed).length;
+  return {
+    participant,
+    ...summarizeRows(rows),
+    ...combinePss(blocks),
+    catch_trials: catches.length,
+    catch_failures: catchFailures,
+    failed_catch_checks: catchFailures > catchFailLimit,
+    blocks,
+  };
+}
+
+// Leaderboard segments: a ranking only compares trials run in the same mode, with the same
+// target shape, speed and response type. Counted, in-time answers of finished participants
+// (those with a summary) are scored; rows are keyed by station too when the trials come from
+// the results server. Fewer than MIN_RANKED_TRIALS trials in a segment are listed without a rank.
+export const MIN_RANKED_TRIALS = 3;
+
+const standingKey = (r) => `${r.station ?? ""}\u0000${r.participant}`;
+const segmentKey = (r) => `${r.mode}|${r.target_shape}|${r.speed_px_s}|${r.response_type}`;
+
+function standing(rows, summary) {
+  const byError = [...rows].sort((a, b) => a.abs_error_px - b.abs_error_px);
+  const best = byError[0];
+  const worst = byError[byError.length - 1];
+  return {
+    participant: summary.participant,
+    station: summary.station ?? null,
+    trials: rows.length,
+    average_abs_error_px: round2(mean(rows.map((r) => r.abs_error_px))),
+    average_abs_error_deg: rows.every((r) => r.abs_error_deg != null) ? averageOf(rows, "abs_error_deg") : null,
+    best_abs_error_px: best.abs_error_px,
+    best_trial: best.trial,
+    worst_abs_error_px: worst.abs_error_px,
+    worst_trial: worst.trial,
+    failed_catch_checks: Boolean(summary.failed_catch_checks),
+    catch_failures: summary.catch_failures ?? 0,
+    catch_trials: summary.catch_trials ?? 0,
+  };
+}
+
+// Ranked rows (enough trials) by mean error, more trials first on a tie; then the unranked ones
+function rankStandings(standings) {
+  const ranked = standings.filter((s) => s.trials >= MIN_RANKED_TRIALS);
+  const unranked = standings.filter((s) => s.trials < MIN_RANKED_TRIALS);
+  const order = (a, b) => a.average_abs_error_px - b.average_abs_error_px || b.trials - a.trials;
+  return [
+    ...ranked.sort(order).map((s, i) => ({ ...s, rank: i + 1 })),
+    ...unranked.sort(order).map((s) => ({ ...s, rank: null })),
+  ];
+}
+
+// Segments in mode order, then by shape, speed and response type
+const compareSegments = (a, b) =>
+  MODES.indexOf(a.mode) - MODES.indexOf(b.mode) ||
+  String(a.targetShape).localeCompare(String(b.targetShape)) ||
+  a.speed - b.speed ||
+  String(a.responseType).localeCompare(String(b.responseType));
+
+export function leaderboardSegments(results, summaries) {
+  const finished = new Map(summaries.map((s) => [standingKey(s), s]));
+  const segments = new Map();
+  results.forEach((r) => {
+    if (!isCountedTrial(r) || r.slow_excluded || typeof r.abs_error_px !== "number") return;
+    if (!finished.has(standingKey(r))) return;
+    const key = segmentKey(r);
+    if (!segments.has(key)) {
+      segments.set(key, {
+        key,
+        mode: r.mode,
+        targetShape: r.target_shape,
+        speed: r.speed_px_s,
+        responseType: r.response_type,
+        byParticipant: new Map(),
+      });
+    }
+    const { byParticipant } = segments.get(key);
+    if (!byParticipant.has(standingKey(r))) byParticipant.set(standingKey(r), []);
+    byParticipant.get(standingKey(r)).push(r);
+  });
+  return [...segments.values()]
+    .map(({ byParticipant, ...segment }) => ({
+      ...segment,
+      rows: rankStandings([...byParticipant.entries()].map(([key, rows]) => standing(rows, finished.get(key)))),
+    }))
+    .sort(compareSegments);
+}
+
+// Two sets of segments as one (e.g. the server's and a station's not yet sent), re-ranked
+export function mergeSegments(first, second) {
+  const merged = new Map(first.map((segment) => [segment.key, segment]));
+  second.forEach((segment) => {
+    const existing = merged.get(segment.key);
+    merged.set(segment.key, existing ? { ...existing, rows: [...existing.rows, ...segment.rows] } : segment);
+  });
+  return [...merged.values()]
+    .map((segment) => ({ ...segment, rows: rankStandings(segment.rows) }))
+    .sort(compareSegments);
+}
@@ -0,0 +1,104 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createBlock,
+  createSession,
+  isBlockEnd,
+  isCountedTrial,
+  isTooSlow,
+  leaderboardSegments,
+  locateTrial,
+  sessionProgress,
+  summarizeSession,
+} from "./session.js";
+import { planSession } from "./design.js";
+import { MODE_DISAPPEARING, MODE_FLASH_LAG, TARGET_DOT, simulateTrial } from "./trialEngine.js";
+
+test("progress moves to the next block after the last trial of a block", () => {
+  const session = createSession([{ trials: 2 }, { trials: 3 }]);
+  assert.equal(sessionProgress(session, 2).blockIndex, 1);
+  assert.equal(sessionProgress(session, 5).isSessionComplete, true);
+  assert.deepEqual(locateTrial(session, 3), { blockIndex: 1, trialInBlock: 1 });
+  assert.equal(isBlockEnd(session, 2), true);
+  assert.equal(isBlockEnd(session, 3), false);
+});
+
+test("practice and catch trials are not counted; slow answers need a limit", () => {
+  assert.equal(isCountedTrial({ practice: true }), false);
+  assert.equal(isCountedTrial({ practice: false, catch_type: "visible-stop" }), false);
+  assert.equal(isTooSlow(2500, 2000), true);
+  assert.equal(isTooSlow(2500, null), false);
+});
+
+// Seeded generator, so the planned order is the same on every run
+function seeded(seed) {
+  let s = seed;
+  return () => {
+    s = (s * 16807) % 2147483647;
+    return s / 2147483647;
+  };
+}
+
+// Runs every planned trial of a participant the way the game does, answering `offset` px
+// ahead of the truth
+function runSession(session, participant, offset, row) {
+  const plan = planSession(session, { row, random: seeded(row + 1) });
+  const records = [];
+  for (let i = 0; i < plan.conditions.flat().length; i += 1) {
+    const { blockIndex, completedInBlock } = sessionProgress(plan.session, i);
+    const block = plan.session.blocks[blockIndex];
+    const condition = plan.conditions[blockIndex][completedInBlock];
+    const { record } = simulateTrial(
+      {
+        participant,
+        trialNumber: i + 1,
+        block: blockIndex + 1,
+        trialInBlock: completedInBlock + 1,
+        mode: block.mode,
+        targetShape: condition.targetShape,
+        width: 900,
+        height: 280,
+        speed: condition.speed,
+        lead: condition.lead,
+        disappearRange: { min: condition.lead, max: condition.lead },
+        flashDuration: condition.flashDuration,
+      },
+      { clickOffsetPx: offset }
+    );
+    records.push(record);
+  }
+  return records;
+}
+
+const designOf = (levels) => ({ shapes: [TARGET_DOT], flashDurations: [60], repeats: 2, ...levels });
+
+test("a full simulated session is summarised and ranked", () => {
+  const session = createSession(
+    [
+      createBlock({ mode: MODE_FLASH_LAG, design: designOf({ speeds: [200, 400], leads: [0, 40] }) }),
+      createBlock({ mode: MODE_DISAPPEARING, design: designOf({ speeds: [200], leads: [-20, 20] }) }),
+    ],
+    { counterbalance: true }
+  );
+  const results = [...runSession(session, "A", 10, 0), ...runSession(session, "B", -4, 1)];
+  assert.equal(results.length, 24);
+  // The second participant runs the blocks in the other order
+  const modesOfB = [...new Set(results.filter((r) => r.participant === "B").map((r) => r.mode))];
+  assert.deepEqual(modesOfB, [MODE_DISAPPEARING, MODE_FLASH_LAG]);
+
+  const a = summarizeSession(results, "A");
+  const b = summarizeSession(results, "B");
+  assert.equal(a.trials, 12);
+  assert.equal(a.average_abs_error_px, 10);
+  assert.equal(a.average_signed_error_px, 10);
+  assert.equal(b.average_signed_error_px, -4);
+  assert.equal(a.blocks.length, 2);
+
+  // Two speeds in the flash-lag block, one in the disappearing block
+  const segments = leaderboardSegments(results, [a, b]);
+  assert.equal(segments.length, 3);
+  segments.forEach((segment) => {
+    assert.deepEqual(segment.rows.map((row) => row.participant), ["B", "A"]);
+    assert.deepEqual(segment.rows.map((row) => row.rank), [1, 2]);
+  });
+});
@@ -0,0 +1,231 @@
+// Canvas drawing for the stage. Stateless: everything needed to paint a frame
+// comes from the trial-engine state plus the current visual style.
+import {
+  PHASE_FEEDBACK,
+  TARGET_PACMAN,
+  clickError,
+  flashPosition,
+  isAdjusting,
+  isFlashVisible,
+  isTargetVisible,
+  motionDirection,
+  probePoint,
+  targetPoint,
+  truthPoint,
+} from "./trialEngine.js";
+
+export const PACMAN_IDLE_MOUTH = 0.28; // radians, per-side opening when static
+const PACMAN_MIN_MOUTH = 0.12;
+const PACMAN_MAX_MOUTH = 0.5;
+const STAGE_BORDER_COLOR = "#1f2937";
+export const CLICK_MARKER_COLOR = "#10b981";
+const ERROR_BAR_COLOR = "#e5e7eb";
+const PROBE_COLOR = "#38bdf8";
+const AIM_COLOR = "#fbbf24";
+
+export function roundRect(ctx, x, y, w, h, r) {
+  const rr = Math.min(r, w / 2, h / 2);
+  ctx.beginPath();
+  ctx.moveTo(x + rr, y);
+  ctx.arcTo(x + w, y, x + w, y + h, rr);
+  ctx.arcTo(x + w, y + h, x, y + h, rr);
+  ctx.arcTo(x, y + h, x, y, rr);
+  ctx.arcTo(x, y, x + w, y, rr);
+  ctx.closePath();
+}
+
+export function clearStage(ctx, bg) {
+  ctx.fillStyle = bg;
+  ctx.fillRect(0, 0, ctx.canvas.width, ctx.canvas.height);
+}
+
+export function drawStage(ctx, dpr, width, height) {
+  // Border only (guideline removed)
+  const r = 16 * dpr;
+  ctx.save();
+  ctx.strokeStyle = STAGE_BORDER_COLOR;
+  ctx.lineWidth = 2 * dpr;
+  roundRect(ctx, 4 * dpr, 4 * dpr, (width - 8) * dpr, (height - 8) * dpr, r);
+  ctx.stroke();
+  ctx.restore();
+}
+
+export const getPacManMouth = (timeMs) => {
+  const oscillation = (Math.sin(timeMs * 0.05) + 1) / 2; // 0..1
+  return PACMAN_MIN_MOUTH + oscillation * (PACMAN_MAX_MOUTH - PACMAN_MIN_MOUTH);
+};
+
+// angle: heading in radians (0 = facing right)
+export function drawPacMan(ctx, xCss, yCss, radiusCss, dpr, color, mouth = PACMAN_IDLE_MOUTH, angle = 0) {
+  ctx.save();
+  ctx.translate(xCss * dpr, yCss * dpr);
+  // Mirror instead of turning upside down when heading left
+  if (Math.cos(angle) < -1e-6) {
+    ctx.scale(-1, 1);
+    ctx.rotate(Math.PI - angle);
+  } else {
+    ctx.rotate(angle);
+  }
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.moveTo(0, 0);
+  ctx.arc(0, 0, radiusCss * dpr, mouth, Math.PI * 2 - mouth, false);
+  ctx.closePath();
+  ctx.fill();
+
+  // Eye (fixed position so Pac-Man looks alive)
+  ctx.beginPath();
+  ctx.fillStyle = "#0f172a";
+  ctx.arc(radiusCss * dpr * 0.25, -radiusCss * dpr * 0.45, radiusCss * dpr * 0.18, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.restore();
+}
+
+export function drawDot(ctx, xCss, yCss, radiusCss, dpr, color) {
+  ctx.save();
+  ctx.fillStyle = color;
+  ctx.beginPath();
+  ctx.arc(xCss * dpr, yCss * dpr, radiusCss * dpr, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.restore();
+}
+
+function drawTarget(ctx, shape, { x, y }, radius, dpr, color, mouth, direction) {
+  if (shape === TARGET_PACMAN) {
+    drawPacMan(ctx, x, y, radius, dpr, color, mouth, Math.atan2(direction.y, direction.x));
+  } else {
+    drawDot(ctx, x, y, radius, dpr, color);
+  }
+}
+
+// Truth position, click ring and an error bar parallel to the motion
+function drawFeedback(ctx, dpr, trial, style) {
+  const truth = truthPoint(trial);
+  const { click } = trial;
+  const direction = motionDirection(trial, trial.eventPos);
+  const error = clickError(trial, click);
+
+  // True moving-target position at event time
+  drawTarget(ctx, trial.targetShape, truth, style.dotRadius, dpr, style.dotColor, PACMAN_IDLE_MOUTH, direction);
+
+  // Click marker
+  ctx.save();
+  ctx.strokeStyle = CLICK_MARKER_COLOR;
+  ctx.lineWidth = 2 * dpr;
+  ctx.beginPath();
+  ctx.arc(click.x * dpr, click.y * dpr, (style.dotRadius + 6) * dpr, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.restore();
+
+  // 2D error vector from the truth to the click
+  ctx.save();
+  ctx.strokeStyle = CLICK_MARKER_COLOR;
+  ctx.lineWidth = dpr;
+  ctx.beginPath();
+  ctx.moveTo(truth.x * dpr, truth.y * dpr);
+  ctx.lineTo(click.x * dpr, click.y * dpr);
+  ctx.stroke();
+  ctx.restore();
+
+  // Error bar from the truth to the click's position along the path, drawn above
+  // horizontal motion and left of vertical motion
+  const side = Math.abs(direction.x) >= Math.abs(direction.y) ? { x: 0, y: -1 } : { x: -1, y: 0 };
+  const at = (point, distance) => ({ x: point.x + side.x * distance, y: point.y + side.y * distance });
+  const reached = { x: truth.x + direction.x * error, y: truth.y + direction.y * error };
+  const line = (a, b) => {
+    ctx.moveTo(a.x * dpr, a.y * dpr);
+    ctx.lineTo(b.x * dpr, b.y * dpr);
+  };
+
+  ctx.save();
+  ctx.strokeStyle = ERROR_BAR_COLOR;
+  ctx.setLineDash([6 * dpr, 6 * dpr]);
+  ctx.beginPath();
+  line(at(truth, 36), at(reached, 36));
+  ctx.stroke();
+
+  ctx.setLineDash([]);
+  ctx.beginPath();
+  line(at(truth, 30), at(truth, 42));
+  line(at(reached, 30), at(reached, 42));
+  ctx.stroke();
+
+  ctx.fillStyle = ERROR_BAR_COLOR;
+  ctx.font = `${14 * dpr}px ui-sans-serif, system-ui, -apple-system`;
+  const label = at({ x: (truth.x + reached.x) / 2, y: (truth.y + reached.y) / 2 }, 50);
+  ctx.textAlign = side.x ? "right" : "center";
+  const text = style.errorLabel ? style.errorLabel(error.toFixed(1)) : `error: ${error.toFixed(1)} px`;
+  ctx.fillText(text, label.x * dpr, label.y * dpr);
+  ctx.restore();
+}
+
+// Replay overlay while the recorded motion plays: a ghost of the target where it really was
+// at the event (once the event has happened) and a dashed ring at the participant's answer
+export function drawReplayMarks(ctx, dpr, trial, click, style) {
+  if (trial.eventPos != null) {
+    ctx.save();
+    ctx.globalAlpha = 0.45;
+    const direction = motionDirection(trial, trial.eventPos);
+    drawTarget(ctx, trial.targetShape, truthPoint(trial), style.dotRadius, dpr, style.dotColor, PACMAN_IDLE_MOUTH, direction);
+    ctx.restore();
+  }
+  if (click) {
+    ctx.save();
+    ctx.strokeStyle = CLICK_MARKER_COLOR;
+    ctx.lineWidth = 2 * dpr;
+    ctx.setLineDash([4 * dpr, 4 * dpr]);
+    ctx.beginPath();
+    ctx.arc(click.x * dpr, click.y * dpr, (style.dotRadius + 6) * dpr, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  }
+}
+
+// Paint one frame of a trial. style: { bg, dotColor, flashColor, dotRadius, errorLabel? }
+// errorLabel formats the feedback error in the interface language
+export function renderTrialFrame(ctx, dpr, trial, ts, style) {
+  clearStage(ctx, style.bg);
+  drawStage(ctx, dpr, trial.width, trial.height);
+
+  // Moving target (hidden after disappearance)
+  if (isTargetVisible(trial)) {
+    const mouth = getPacManMouth(ts);
+    drawTarget(ctx, trial.targetShape, targetPoint(trial), style.dotRadius, dpr, style.dotColor, mouth, motionDirection(trial));
+  }
+  // Flash dot (middle of the path) — briefly during motion, then persistent until feedback
+  if (isFlashVisible(trial)) {
+    const flash = flashPosition(trial);
+    drawDot(ctx, flash.x, flash.y, style.dotRadius + 2, dpr, style.flashColor);
+  }
+  // Adjustment probe: the participant's current answer, moved with the arrow keys
+  if (isAdjusting(trial)) {
+    const probe = probePoint(trial);
+    drawTarget(ctx, trial.targetShape, probe, style.dotRadius, dpr, style.dotColor, PACMAN_IDLE_MOUTH, motionDirection(trial, trial.probePos));
+    ctx.save();
+    ctx.strokeStyle = PROBE_COLOR;
+    ctx.lineWidth = 2 * dpr;
+    ctx.beginPath();
+    ctx.arc(probe.x * dpr, probe.y * dpr, (style.dotRadius + 6) * dpr, 0, Math.PI * 2);
+    ctx.stroke();
+    ctx.restore();
+  }
+  // Touch reticle: the answer lands at its centre when the finger lifts
+  if (trial.aim) {
+    const { x, y } = trial.aim;
+    const r = style.dotRadius + 10;
+    ctx.save();
+    ctx.strokeStyle = AIM_COLOR;
+    ctx.lineWidth = 2 * dpr;
+    ctx.beginPath();
+    ctx.arc(x * dpr, y * dpr, r * dpr, 0, Math.PI * 2);
+    ctx.moveTo((x - r - 6) * dpr, y * dpr);
+    ctx.lineTo((x + r + 6) * dpr, y * dpr);
+    ctx.moveTo(x * dpr, (y - r - 6) * dpr);
+    ctx.lineTo(x * dpr, (y + r + 6) * dpr);
+    ctx.stroke();
+    ctx.restore();
+  }
+  if (trial.phase === PHASE_FEEDBACK && trial.click && trial.showFeedback) {
+    drawFeedback(ctx, dpr, trial, style);
+  }
+}
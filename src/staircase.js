@@ -0,0 +1,114 @@
+// Adaptive procedures for the 2AFC flash-lag task ("was the target ahead of or behind the flash?").
+// All of them place the next flash lead so that the track converges on the lead at which the
+// participant answers "ahead" half of the time: the point of subjective simultaneity (PSS).
+import { clamp, round2 } from "./trialEngine.js";
+
+export const STAIRCASE_UP_DOWN = "1up1down";
+export const STAIRCASE_WEIGHTED = "weighted";
+export const STAIRCASE_QUEST = "quest";
+
+export const RESPONSE_AHEAD = "ahead";
+export const RESPONSE_BEHIND = "behind";
+
+const REVERSALS_DISCARDED = 2; // early reversals excluded from the PSS estimate
+const QUEST_GRID_STEP = 1; // px
+const QUEST_PRIOR_SD = 60; // px
+const QUEST_LAPSE = 0.02;
+
+export function createStaircaseSettings(overrides = {}) {
+  return {
+    method: STAIRCASE_UP_DOWN,
+    startLead: 80, // px
+    stepSize: 20, // px, halved at each reversal down to minStep (up/down methods)
+    minStep: 5, // px
+    targetP: 0.5, // weighted up/down: proportion of "ahead" answers to converge on
+    slope: 20, // px, spread of the logistic assumed by QUEST
+    minLead: -60,
+    maxLead: 200,
+    ...overrides,
+  };
+}
+
+// P("ahead") for a given lead: larger leads put the target further behind the flash
+const pAhead = (lead, pss, slope) =>
+  QUEST_LAPSE / 2 + (1 - QUEST_LAPSE) / (1 + Math.exp((lead - pss) / slope));
+
+function questGrid(settings) {
+  const grid = [];
+  for (let v = settings.minLead; v <= settings.maxLead; v += QUEST_GRID_STEP) {
+    const z = (v - settings.startLead) / QUEST_PRIOR_SD;
+    grid.push({ pss: v, logP: -0.5 * z * z });
+  }
+  return grid;
+}
+
+function questPosterior(grid) {
+  const maxLog = Math.max(...grid.map((g) => g.logP));
+  const weights = grid.map((g) => Math.exp(g.logP - maxLog));
+  const total = weights.reduce((a, w) => a + w, 0);
+  const mean = grid.reduce((a, g, i) => a + g.pss * weights[i], 0) / total;
+  const variance = grid.reduce((a, g, i) => a + (g.pss - mean) ** 2 * weights[i], 0) / total;
+  return { mean, sd: Math.sqrt(variance) };
+}
+
+export function createStaircase(settings = createStaircaseSettings()) {
+  return {
+    settings,
+    lead: settings.startLead,
+    step: settings.stepSize,
+    track: [], // { lead, response, reversal }
+    grid: settings.method === STAIRCASE_QUEST ? questGrid(settings) : null,
+  };
+}
+
+export function nextLead(staircase) {
+  return staircase.lead;
+}
+
+// Record the answer given at `lead` and place the next trial
+export function updateStaircase(staircase, lead, response) {
+  const { settings } = staircase;
+  const ahead = response === RESPONSE_AHEAD;
+  const previous = staircase.track[staircase.track.length - 1];
+  const reversal = Boolean(previous) && previous.response !== response;
+  const track = [...staircase.track, { lead, response, reversal }];
+
+  if (settings.method === STAIRCASE_QUEST) {
+    const grid = staircase.grid.map((g) => {
+      const p = pAhead(lead, g.pss, settings.slope);
+      return { pss: g.pss, logP: g.logP + Math.log(ahead ? p : 1 - p) };
+    });
+    const { mean } = questPosterior(grid);
+    return { ...staircase, grid, track, lead: clamp(Math.round(mean), settings.minLead, settings.maxLead) };
+  }
+
+  const step = reversal ? Math.max(settings.minStep, staircase.step / 2) : staircase.step;
+  // "ahead" -> move the target further behind (bigger lead); "behind" -> smaller lead.
+  // Weighted up/down (Kaernbach, 1991): step sizes in the ratio (1 - p) : p converge on p.
+  const weight = settings.method === STAIRCASE_WEIGHTED ? settings.targetP : 0.5;
+  const delta = ahead ? (step * (1 - weight)) / 0.5 : -(step * weight) / 0.5;
+  const next = clamp(round2(lead + delta), settings.minLead, settings.maxLead);
+  return { ...staircase, step, track, lead: next };
+}
+
+// PSS and its uncertainty: posterior mean/SD for QUEST, mean of the later reversals otherwise
+export function estimatePss(staircase) {
+  if (!staircase.track.length) return null;
+  if (staircase.settings.method === STAIRCASE_QUEST) {
+    const { mean, sd } = questPosterior(staircase.grid);
+    return { pss: round2(mean), se: round2(sd), n: staircase.track.length };
+  }
+  const reversals = staircase.track.filter((t) => t.reversal).map((t) => t.lead);
+  const used = reversals.length > REVERSALS_DISCARDED ? reversals.slice(REVERSALS_DISCARDED) : reversals;
+  const values = used.length ? used : staircase.track.map((t) => t.lead);
+  const mean = values.reduce((a, v) => a + v, 0) / values.length;
+  const sd =
+    values.length > 1
+      ? Math.sqrt(values.reduce((a, v) => a + (v - mean) ** 2, 0) / (values.length - 1))
+      : null;
+  return {
+    pss: round2(mean),
+    se: sd == null ? null : round2(sd / Math.sqrt(values.length)),
+    n: values.length,
+  };
+}
@@ -0,0 +1,57 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  RESPONSE_AHEAD,
+  RESPONSE_BEHIND,
+  STAIRCASE_QUEST,
+  STAIRCASE_UP_DOWN,
+  STAIRCASE_WEIGHTED,
+  createStaircase,
+  createStaircaseSettings,
+  estimatePss,
+  nextLead,
+  updateStaircase,
+} from "./staircase.js";
+
+test("an ahead answer raises the lead, a behind answer lowers it", () => {
+  const start = createStaircase(createStaircaseSettings({ startLead: 40 }));
+  assert.equal(nextLead(updateStaircase(start, 40, RESPONSE_AHEAD)), 60);
+  assert.equal(nextLead(updateStaircase(start, 40, RESPONSE_BEHIND)), 20);
+});
+
+test("the step halves at each reversal, down to the minimum", () => {
+  let staircase = createStaircase(createStaircaseSettings({ startLead: 40, stepSize: 20, minStep: 5 }));
+  [RESPONSE_AHEAD, RESPONSE_BEHIND, RESPONSE_AHEAD, RESPONSE_BEHIND].forEach((response) => {
+    staircase = updateStaircase(staircase, nextLead(staircase), response);
+  });
+  // 40 -> 60, reversal: 60 - 10 = 50, reversal: 50 + 5 = 55, reversal: 55 - 5 = 50
+  assert.equal(nextLead(staircase), 50);
+  assert.deepEqual(staircase.track.map((t) => t.reversal), [false, true, true, true]);
+});
+
+test("weighted up/down steps converge on the target proportion", () => {
+  const settings = createStaircaseSettings({ method: STAIRCASE_WEIGHTED, startLead: 40, stepSize: 20, targetP: 0.75 });
+  const start = createStaircase(settings);
+  // Steps in the ratio (1 - p) : p, so three "ahead" answers balance one "behind"
+  assert.equal(nextLead(updateStaircase(start, 40, RESPONSE_AHEAD)), 50);
+  assert.equal(nextLead(updateStaircase(start, 40, RESPONSE_BEHIND)), 10);
+});
+
+// A noiseless observer who sees the target ahead whenever the lead is below the PSS
+function converge(method, pss, trials = 40) {
+  let staircase = createStaircase(createStaircaseSettings({ method, startLead: 120 }));
+  for (let i = 0; i < trials; i += 1) {
+    const lead = nextLead(staircase);
+    staircase = updateStaircase(staircase, lead, lead < pss ? RESPONSE_AHEAD : RESPONSE_BEHIND);
+  }
+  return estimatePss(staircase);
+}
+
+test("the staircases converge on the observer's PSS", () => {
+  assert.ok(Math.abs(converge(STAIRCASE_UP_DOWN, 42).pss - 42) < 6);
+  assert.ok(Math.abs(converge(STAIRCASE_QUEST, 42).pss - 42) < 6);
+});
+
+test("no answers, no estimate", () => {
+  assert.equal(estimatePss(createStaircase()), null);
+});
@@ -0,0 +1,259 @@
+// Descriptive statistics for click errors and maximum-likelihood psychometric fits for 2AFC data.
+import { round2 } from "./trialEngine.js";
+import { RESPONSE_AHEAD } from "./staircase.js";
+
+export const FIT_GAUSSIAN = "gaussian";
+export const FIT_LOGISTIC = "logistic";
+
+const LAPSE = 0.01; // fixed guess/lapse rate on each side of the curve
+const Z_75 = 0.6744897501960817; // standard-normal quantile of 0.75
+
+// Two-sided 95% t critical values by degrees of freedom (normal beyond 30)
+const T_95 = [
+  NaN, 12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228, 2.201, 2.179, 2.16, 2.145,
+  2.131, 2.12, 2.11, 2.101, 2.093, 2.086, 2.08, 2.074, 2.069, 2.064, 2.06, 2.056, 2.052, 2.048, 2.045, 2.042,
+];
+export const tCritical95 = (df) => (df >= T_95.length ? 1.96 : T_95[df]);
+
+export const mean = (values) => values.reduce((a, v) => a + v, 0) / values.length;
+
+export function sd(values) {
+  if (values.length < 2) return null;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((a, v) => a + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+export function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+function binomialCdf(k, n) {
+  let total = 0;
+  let term = 0.5 ** n; // C(n, 0) / 2^n
+  for (let i = 0; i <= k; i += 1) {
+    total += term;
+    term = (term * (n - i)) / (i + 1);
+  }
+  return total;
+}
+
+// Distribution-free CI for the median from order statistics (null when n is too small)
+export function medianCi(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const n = sorted.length;
+  let k = -1;
+  while (k + 1 < n / 2 && binomialCdf(k + 1, n) <= 0.025) k += 1;
+  if (k < 0) return null;
+  return [sorted[k], sorted[n - 1 - k]];
+}
+
+// Mean, SD, median and 95% CIs of the signed click errors (the flash-lag effect)
+export function describeErrors(values) {
+  if (!values.length) return null;
+  const m = mean(values);
+  const s = sd(values);
+  const half = s == null ? null : (tCritical95(values.length - 1) * s) / Math.sqrt(values.length);
+  const medCi = medianCi(values);
+  return {
+    n: values.length,
+    mean: round2(m),
+    sd: s == null ? null : round2(s),
+    meanCi: half == null ? null : [round2(m - half), round2(m + half)],
+    median: round2(median(values)),
+    medianCi: medCi ? medCi.map(round2) : null,
+  };
+}
+
+// Standard normal CDF (Abramowitz & Stegun 7.1.26 on erf)
+export function normalCdf(z) {
+  const t = 1 / (1 + 0.3275911 * (Math.abs(z) / Math.SQRT2));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const erf = 1 - poly * Math.exp(-(z * z) / 2);
+  return z >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+// P("ahead") at a given lead: decreasing in lead, 50% at the PSS
+export function psychometric(model, lead, pss, spread) {
+  const z = (lead - pss) / spread;
+  const core = model === FIT_LOGISTIC ? 1 / (1 + Math.exp(z)) : 1 - normalCdf(z);
+  return LAPSE + (1 - 2 * LAPSE) * core;
+}
+
+// Minimal Nelder–Mead simplex minimiser
+function nelderMead(fn, start, { step = 1, iterations = 400, tolerance = 1e-7 } = {}) {
+  const n = start.length;
+  let simplex = [start];
+  for (let i = 0; i < n; i += 1) {
+    const point = [...start];
+    point[i] += Array.isArray(step) ? step[i] : step;
+    simplex.push(point);
+  }
+  let values = simplex.map(fn);
+  const combine = (a, b, t) => a.map((v, i) => v + t * (b[i] - v));
+
+  for (let it = 0; it < iterations; it += 1) {
+    const order = values.map((v, i) => i).sort((a, b) => values[a] - values[b]);
+    simplex = order.map((i) => simplex[i]);
+    values = order.map((i) => values[i]);
+    if (Math.abs(values[n] - values[0]) < tolerance) break;
+
+    const centroid = simplex.slice(0, n).reduce((acc, p) => acc.map((v, i) => v + p[i] / n), new Array(n).fill(0));
+    const reflected = combine(centroid, simplex[n], -1);
+    const fr = fn(reflected);
+    if (fr < values[0]) {
+      const expanded = combine(centroid, simplex[n], -2);
+      const fe = fn(expanded);
+      [simplex[n], values[n]] = fe < fr ? [expanded, fe] : [reflected, fr];
+    } else if (fr < values[n - 1]) {
+      [simplex[n], values[n]] = [reflected, fr];
+    } else {
+      const contracted = combine(centroid, simplex[n], 0.5);
+      const fc = fn(contracted);
+      if (fc < values[n]) {
+        [simplex[n], values[n]] = [contracted, fc];
+      } else {
+        simplex = simplex.map((p) => combine(simplex[0], p, 0.5));
+        values = simplex.map(fn);
+      }
+    }
+  }
+  return { point: simplex[0], value: values[0] };
+}
+
+// Proportion of "ahead" answers per lead level
+export function groupByLead(rows) {
+  const levels = new Map();
+  rows.forEach((r) => {
+    const entry = levels.get(r.lead_px) ?? { lead: r.lead_px, n: 0, ahead: 0 };
+    entry.n += 1;
+    if (r.response === RESPONSE_AHEAD) entry.ahead += 1;
+    levels.set(r.lead_px, entry);
+  });
+  return [...levels.values()]
+    .sort((a, b) => a.lead - b.lead)
+    .map((l) => ({ ...l, p: l.ahead / l.n }));
+}
+
+// A PSS is only meaningful over the leads of one stimulus: 2AFC rows are split by every
+// record field that changes the motion or the flash, and each part gets its own fit
+export const PSYCHOMETRIC_CONDITION = [
+  "mode",
+  "trajectory",
+  "target_shape",
+  "speed_px_s",
+  "flash_duration_ms",
+  "flash_yoffset_px",
+];
+
+// [{ key, condition, rows }] in order of first appearance; condition holds the fields above
+export function splitByCondition(rows) {
+  const groups = new Map();
+  rows.forEach((r) => {
+    const key = PSYCHOMETRIC_CONDITION.map((field) => r[field]).join("|");
+    if (!groups.has(key)) {
+      const condition = Object.fromEntries(PSYCHOMETRIC_CONDITION.map((field) => [field, r[field]]));
+      groups.set(key, { key, condition, rows: [] });
+    }
+    groups.get(key).rows.push(r);
+  });
+  return [...groups.values()];
+}
+
+// Maximum-likelihood fit of PSS and spread to 2AFC rows ({ lead_px, response }) of one condition.
+// JND = distance from the 50% to the 75% point; SEs from the numerical Hessian.
+export function fitPsychometric(rows, model = FIT_GAUSSIAN) {
+  const levels = groupByLead(rows);
+  if (levels.length < 2) return null;
+
+  const nll = ([pss, logSpread]) => {
+    const spread = Math.exp(logSpread);
+    return -levels.reduce((a, l) => {
+      const p = psychometric(model, l.lead, pss, spread);
+      return a + l.ahead * Math.log(p) + (l.n - l.ahead) * Math.log(1 - p);
+    }, 0);
+  };
+
+  const leads = levels.map((l) => l.lead);
+  const range = Math.max(...leads) - Math.min(...leads);
+  const start = [mean(leads), Math.log(Math.max(range / 4, 1))];
+  const { point, value } = nelderMead(nll, start, { step: [Math.max(range / 4, 1), 0.5] });
+  const [pss, logSpread] = point;
+  const spread = Math.exp(logSpread);
+
+  // Numerical Hessian in (pss, spread) for approximate standard errors
+  const f = ([a, b]) => nll([a, Math.log(Math.max(b, 1e-6))]);
+  const h = [Math.max(Math.abs(pss) * 1e-3, 1e-2), Math.max(spread * 1e-3, 1e-3)];
+  const x = [pss, spread];
+  const at = (di, dj) => f([x[0] + di * h[0], x[1] + dj * h[1]]);
+  const haa = (at(1, 0) - 2 * value + at(-1, 0)) / h[0] ** 2;
+  const hbb = (at(0, 1) - 2 * value + at(0, -1)) / h[1] ** 2;
+  const hab = (at(1, 1) - at(1, -1) - at(-1, 1) + at(-1, -1)) / (4 * h[0] * h[1]);
+  const det = haa * hbb - hab * hab;
+  const pssVar = det > 0 ? hbb / det : null;
+  const spreadVar = det > 0 ? haa / det : null;
+
+  const jndFactor = model === FIT_LOGISTIC ? Math.log(3) : Z_75;
+  return {
+    model,
+    n: rows.length,
+    levels,
+    pss: round2(pss),
+    pssSe: pssVar != null && pssVar > 0 ? round2(Math.sqrt(pssVar)) : null,
+    spread,
+    jnd: round2(spread * jndFactor),
+    jndSe: spreadVar != null && spreadVar > 0 ? round2(Math.sqrt(spreadVar) * jndFactor) : null,
+    logLikelihood: round2(-value),
+  };
+}
+
+// Equal-width bins over [lo, hi]: [{ x0, x1, n }]; values outside the range are left out
+export function histogram(values, lo, hi, binCount) {
+  const width = (hi - lo) / binCount;
+  const bins = Array.from({ length: binCount }, (_, i) => ({ x0: lo + i * width, x1: lo + (i + 1) * width, n: 0 }));
+  values.forEach((v) => {
+    if (v < lo || v > hi) return;
+    bins[Math.min(Math.floor((v - lo) / width), binCount - 1)].n += 1;
+  });
+  return bins;
+}
+
+// Gaussian kernel density at each of `points`, with Silverman's rule-of-thumb bandwidth
+export function kernelDensity(values, points) {
+  const s = sd(values);
+  const bandwidth = Math.max(1.06 * (s || 1) * values.length ** -0.2, 1);
+  const norm = 1 / (values.length * bandwidth * Math.sqrt(2 * Math.PI));
+  return points.map((x) => norm * values.reduce((a, v) => a + Math.exp(-(((x - v) / bandwidth) ** 2) / 2), 0));
+}
+
+// Mean signed error of each participant in each condition:
+// [{ participant, means: Map(condition -> { n, mean }) }] in order of first appearance
+export function participantMeans(rows, conditionOf) {
+  const sums = new Map();
+  rows.forEach((r) => {
+    if (!sums.has(r.participant)) sums.set(r.participant, new Map());
+    const byCondition = sums.get(r.participant);
+    const condition = conditionOf(r);
+    const entry = byCondition.get(condition) ?? { n: 0, total: 0 };
+    entry.n += 1;
+    entry.total += r.signed_error_px;
+    byCondition.set(condition, entry);
+  });
+  return [...sums].map(([participant, byCondition]) => ({
+    participant,
+    means: new Map([...byCondition].map(([c, e]) => [c, { n: e.n, mean: round2(e.total / e.n) }])),
+  }));
+}
+
+// Within-participant comparison of conditions a and b: per-participant differences (b − a) of
+// those who have both, their mean with its 95% CI, and the standardised effect dz
+export function pairedDifference(perParticipant, a, b) {
+  const pairs = perParticipant
+    .filter((p) => p.means.has(a) && p.means.has(b))
+    .map((p) => ({ participant: p.participant, a: p.means.get(a).mean, b: p.means.get(b).mean }))
+    .map((p) => ({ ...p, difference: round2(p.b - p.a) }));
+  const stats = describeErrors(pairs.map((p) => p.difference));
+  if (!stats) return null;
+  return { ...stats, pairs, dz: stats.sd ? round2(stats.mean / stats.sd) : null };
+}
@@ -0,0 +1,79 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  FIT_GAUSSIAN,
+  FIT_LOGISTIC,
+  describeErrors,
+  fitPsychometric,
+  histogram,
+  kernelDensity,
+  median,
+  pairedDifference,
+  participantMeans,
+  splitByCondition,
+} from "./stats.js";
+import { RESPONSE_AHEAD, RESPONSE_BEHIND } from "./staircase.js";
+
+test("descriptive statistics of signed errors", () => {
+  const stats = describeErrors([2, 4, 6, 8]);
+  assert.equal(stats.n, 4);
+  assert.equal(stats.mean, 5);
+  assert.equal(stats.sd, 2.58);
+  assert.deepEqual(stats.meanCi, [0.89, 9.11]);
+  assert.equal(median([3, 1, 2]), 2);
+  assert.equal(describeErrors([]), null);
+});
+
+test("the psychometric fit finds the PSS of symmetric data", () => {
+  const rows = [];
+  [[-40, 9], [0, 8], [20, 5], [40, 2], [80, 1]].forEach(([lead, ahead]) => {
+    for (let i = 0; i < 10; i += 1) {
+      rows.push({ lead_px: lead, response: i < ahead ? RESPONSE_AHEAD : RESPONSE_BEHIND });
+    }
+  });
+  [FIT_GAUSSIAN, FIT_LOGISTIC].forEach((model) => {
+    const fit = fitPsychometric(rows, model);
+    assert.ok(Math.abs(fit.pss - 20) < 5, `${model} PSS ${fit.pss}`);
+    assert.ok(fit.jnd > 0);
+  });
+  assert.equal(fitPsychometric([{ lead_px: 0, response: RESPONSE_AHEAD }]), null);
+});
+
+test("2AFC answers are fitted per stimulus condition, not pooled", () => {
+  // The same leads at two speeds, with the 50% point at +20 px for one and -20 px for the other
+  const aheadOfTen = { 200: [9, 8, 2], 400: [8, 2, 1] }; // at leads -40, 0 and 40 px
+  const rows = [];
+  Object.entries(aheadOfTen).forEach(([speed, counts]) => {
+    [-40, 0, 40].forEach((lead, level) => {
+      for (let i = 0; i < 10; i += 1) {
+        const response = i < counts[level] ? RESPONSE_AHEAD : RESPONSE_BEHIND;
+        rows.push({ mode: "flash-lag", trajectory: "left-right", speed_px_s: Number(speed), lead_px: lead, response });
+      }
+    });
+  });
+  const conditions = splitByCondition(rows);
+  assert.deepEqual(conditions.map((c) => [c.condition.speed_px_s, c.rows.length]), [[200, 30], [400, 30]]);
+  const [slow, fast] = conditions.map((c) => fitPsychometric(c.rows).pss);
+  assert.ok(slow > 10 && fast < -10, `PSS ${slow} and ${fast}`);
+});
+
+test("histogram bins and kernel density", () => {
+  assert.deepEqual(histogram([-5, 0, 1, 9.99, 10, 11], -10, 10, 4).map((bin) => bin.n), [0, 1, 2, 2]);
+  const [far, near] = kernelDensity([0, 1, 2, 3], [-50, 1.5]);
+  assert.equal(far, 0);
+  assert.ok(near > 0.2);
+});
+
+test("paired difference of participant means", () => {
+  const rows = [10, -2, 12, 4, 30].map((e, i) => ({
+    participant: ["P", "P", "Q", "Q", "R"][i],
+    mode: i % 2,
+    signed_error_px: e,
+  }));
+  const means = participantMeans(rows, (r) => r.mode);
+  assert.equal(means.length, 3);
+  const paired = pairedDifference(means, 0, 1);
+  assert.equal(paired.n, 2); // R has no answer in condition 1
+  assert.equal(paired.mean, -10);
+  assert.deepEqual(paired.pairs.map((p) => p.difference), [-12, -8]);
+});
@@ -0,0 +1,191 @@
+// IndexedDB persistence. A stored session is one sitting of the demo (any number of
+// participants): its settings, leaderboard and in-progress participant live in "sessions",
+// every trial record is appended to "trials" the moment it is recorded.
+import { summarizeSession } from "./session.js";
+
+const DB_NAME = "flashlag-demo";
+const DB_VERSION = 1;
+const SESSIONS = "sessions";
+const TRIALS = "trials";
+
+let dbPromise = null;
+
+export const isStorageAvailable = () => typeof indexedDB !== "undefined";
+
+function requestDone(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+function openDatabase() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        db.createObjectStore(SESSIONS, { keyPath: "id" });
+        const trials = db.createObjectStore(TRIALS, { keyPath: "key", autoIncrement: true });
+        trials.createIndex("sessionId", "sessionId");
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+    });
+  }
+  return dbPromise;
+}
+
+const newSessionId = () => `s-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 7)}`;
+
+export async function createStoredSession(fields = {}) {
+  const db = await openDatabase();
+  const now = new Date().toISOString();
+  const stored = {
+    id: newSessionId(),
+    name: now.slice(0, 16).replace("T", " "), // callers pass a translated name
+    createdAt: now,
+    updatedAt: now,
+    trialCount: 0,
+    participants: [],
+    summaries: [],
+    settings: null,
+    active: null, // participant in progress: { participant, trialIdx, plan, staircases }
+    closed: false,
+    ...fields,
+  };
+  const tx = db.transaction(SESSIONS, "readwrite");
+  tx.objectStore(SESSIONS).put(stored);
+  await transactionDone(tx);
+  return stored;
+}
+
+async function readSession(store, id) {
+  const stored = await requestDone(store.get(id));
+  if (!stored) throw new Error(`Stored session ${id} not found`);
+  return stored;
+}
+
+export async function updateStoredSession(id, patch) {
+  const db = await openDatabase();
+  const tx = db.transaction(SESSIONS, "readwrite");
+  const store = tx.objectStore(SESSIONS);
+  const stored = await readSession(store, id);
+  store.put({ ...stored, ...patch, updatedAt: new Date().toISOString() });
+  await transactionDone(tx);
+}
+
+// Append one trial and refresh the session snapshot in a single transaction
+export async function saveTrial(id, record, patch = {}) {
+  const db = await openDatabase();
+  const tx = db.transaction([SESSIONS, TRIALS], "readwrite");
+  const sessions = tx.objectStore(SESSIONS);
+  const stored = await readSession(sessions, id);
+  tx.objectStore(TRIALS).add({ ...record, sessionId: id });
+  const participants = stored.participants.includes(record.participant)
+    ? stored.participants
+    : [...stored.participants, record.participant];
+  sessions.put({
+    ...stored,
+    ...patch,
+    participants,
+    trialCount: stored.trialCount + 1,
+    updatedAt: new Date().toISOString(),
+  });
+  await transactionDone(tx);
+}
+
+export async function listStoredSessions() {
+  const db = await openDatabase();
+  const all = await requestDone(db.transaction(SESSIONS).objectStore(SESSIONS).getAll());
+  return all.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+function stripStorageKeys(row) {
+  const record = { ...row };
+  delete record.key;
+  delete record.sessionId;
+  return record;
+}
+
+export async function loadStoredSession(id) {
+  const db = await openDatabase();
+  const tx = db.transaction([SESSIONS, TRIALS]);
+  const stored = await readSession(tx.objectStore(SESSIONS), id);
+  const trials = await requestDone(tx.objectStore(TRIALS).index("sessionId").getAll(id));
+  return { stored, results: trials.sort((a, b) => a.key - b.key).map(stripStorageKeys) };
+}
+
+// Most recent session that was not closed properly (page reload, crash)
+export async function findUnfinishedSession() {
+  const sessions = await listStoredSessions();
+  return sessions.find((s) => !s.closed && s.trialCount > 0) ?? null;
+}
+
+export async function deleteStoredSession(id) {
+  const db = await openDatabase();
+  const tx = db.transaction([SESSIONS, TRIALS], "readwrite");
+  tx.objectStore(SESSIONS).delete(id);
+  const trials = tx.objectStore(TRIALS);
+  const keys = await requestDone(trials.index("sessionId").getAllKeys(id));
+  keys.forEach((key) => trials.delete(key));
+  await transactionDone(tx);
+}
+
+// New session holding the trials of `ids` (the originals are kept). Participants who finished in
+// any of them are summarised again from all their merged trials, so a name used in two sessions
+// gets one summary of both.
+export async function mergeStoredSessions(ids, fields = {}) {
+  const loaded = [];
+  for (const id of ids) loaded.push(await loadStoredSession(id));
+  const settings = loaded[0]?.stored.settings ?? null;
+  const results = loaded.flatMap(({ results }) => results);
+  const finished = new Set(loaded.flatMap(({ stored }) => stored.summaries.map((s) => s.participant)));
+  const options = { catchFailLimit: settings?.session?.catchFailLimit };
+
+  return storeSession(
+    {
+      name: loaded.map(({ stored }) => stored.name).join(" + "),
+      settings,
+      summaries: [...finished].map((participant) => summarizeSession(results, participant, options)).filter(Boolean),
+      closed: true,
+      ...fields,
+    },
+    results
+  );
+}
+
+// New session pre-filled with finished trials (merges, imported files)
+export async function storeSession(fields, records) {
+  const created = await createStoredSession(fields);
+  for (const record of records) await saveTrial(created.id, record);
+  return loadStoredSession(created.id);
+}
+
+// Small per-device preferences (screen calibration, display units) live in localStorage
+const PREFERENCE_PREFIX = "flashlag-demo:";
+
+export function loadPreference(key, fallback) {
+  try {
+    const raw = localStorage.getItem(PREFERENCE_PREFIX + key);
+    return raw == null ? fallback : JSON.parse(raw);
+  } catch {
+    return fallback;
+  }
+}
+
+export function savePreference(key, value) {
+  try {
+    localStorage.setItem(PREFERENCE_PREFIX + key, JSON.stringify(value));
+  } catch {
+    // private browsing or quota: the preference simply does not survive a reload
+  }
+}
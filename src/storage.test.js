@@ -0,0 +1,88 @@
+import "fake-indexeddb/auto";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  createStoredSession,
+  deleteStoredSession,
+  findUnfinishedSession,
+  listStoredSessions,
+  loadStoredSession,
+  mergeStoredSessions,
+  saveTrial,
+  updateStoredSession,
+} from "./storage.js";
+import { summarizeSession } from "./session.js";
+import { MODE_DISAPPEARING, simulateTrial } from "./trialEngine.js";
+
+// Disappearing-target trials of one participant, answered `offset` px from the truth
+function trials(participant, offsets) {
+  return offsets.map(
+    (offset, i) =>
+      simulateTrial({ participant, trialNumber: i + 1, mode: MODE_DISAPPEARING, width: 900 }, { clickOffsetPx: offset })
+        .record
+  );
+}
+
+async function sessionWith(name, records) {
+  const created = await createStoredSession({ name });
+  for (const record of records) await saveTrial(created.id, record);
+  const participants = [...new Set(records.map((r) => r.participant))];
+  await updateStoredSession(created.id, {
+    summaries: participants.map((p) => summarizeSession(records, p)),
+    closed: true,
+  });
+  return created.id;
+}
+
+test("saved trials come back in order with the session snapshot", async () => {
+  const { id } = await createStoredSession({ name: "saved" });
+  const records = trials("Ada", [4, -2, 6]);
+  for (const record of records) await saveTrial(id, record, { active: { participant: "Ada" } });
+
+  const { stored, results } = await loadStoredSession(id);
+  assert.equal(stored.trialCount, 3);
+  assert.deepEqual(stored.participants, ["Ada"]);
+  assert.deepEqual(stored.active, { participant: "Ada" });
+  assert.deepEqual(results, records);
+  await assert.rejects(saveTrial("s-missing", records[0]), /not found/);
+});
+
+test("only a session left open with trials is offered for resuming", async () => {
+  const empty = await createStoredSession({ name: "empty" });
+  const closedId = await sessionWith("closed", trials("Bea", [1]));
+  assert.notEqual((await findUnfinishedSession())?.id, closedId);
+  assert.notEqual((await findUnfinishedSession())?.id, empty.id);
+
+  const open = await createStoredSession({ name: "open" });
+  await saveTrial(open.id, trials("Cy", [3])[0]);
+  assert.equal((await findUnfinishedSession()).id, open.id);
+  await updateStoredSession(open.id, { closed: true });
+  assert.notEqual((await findUnfinishedSession())?.id, open.id);
+});
+
+test("a merge keeps the originals and summarises a shared name over both sessions", async () => {
+  const first = await sessionWith("morning", [...trials("Dan", [2, 2]), ...trials("Eve", [8])]);
+  const second = await sessionWith("afternoon", trials("Dan", [10, 10]));
+
+  const { stored, results } = await mergeStoredSessions([first, second]);
+  assert.equal(stored.name, "morning + afternoon");
+  assert.equal(stored.closed, true);
+  assert.equal(results.length, 5);
+  const dan = stored.summaries.find((s) => s.participant === "Dan");
+  assert.equal(stored.summaries.length, 2);
+  assert.equal(dan.average_abs_error_px, 6);
+  assert.equal(dan.trials, 4);
+
+  const ids = (await listStoredSessions()).map((s) => s.id);
+  assert.ok(ids.includes(first) && ids.includes(second) && ids.includes(stored.id));
+});
+
+test("deleting a session removes its trials too", async () => {
+  const kept = await sessionWith("kept", trials("Fay", [1, 2]));
+  const gone = await sessionWith("gone", trials("Gus", [3]));
+  await deleteStoredSession(gone);
+
+  assert.ok(!(await listStoredSessions()).some((s) => s.id === gone));
+  await assert.rejects(loadStoredSession(gone), /not found/);
+  assert.equal((await loadStoredSession(kept)).results.length, 2);
+});
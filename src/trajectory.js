@@ -0,0 +1,111 @@
+// Motion paths across the stage. A trial's position is the distance travelled along its
+// path (CSS px); these helpers turn it into stage coordinates and measure errors along it.
+// stage = { width, height, padding }
+
+export const TRAJECTORY_LEFT_RIGHT = "left-right";
+export const TRAJECTORY_RIGHT_LEFT = "right-left";
+export const TRAJECTORY_TOP_BOTTOM = "top-bottom";
+export const TRAJECTORY_CIRCULAR = "circular";
+export const TRAJECTORY_RANDOM = "random"; // one of RANDOM_TRAJECTORIES, drawn per trial
+
+export const TRAJECTORIES = [
+  TRAJECTORY_LEFT_RIGHT,
+  TRAJECTORY_RIGHT_LEFT,
+  TRAJECTORY_TOP_BOTTOM,
+  TRAJECTORY_CIRCULAR,
+  TRAJECTORY_RANDOM,
+];
+export const RANDOM_TRAJECTORIES = [TRAJECTORY_LEFT_RIGHT, TRAJECTORY_RIGHT_LEFT, TRAJECTORY_TOP_BOTTOM];
+
+export function pickTrajectory(trajectory, random = Math.random) {
+  if (trajectory !== TRAJECTORY_RANDOM) return trajectory;
+  return RANDOM_TRAJECTORIES[Math.floor(random() * RANDOM_TRAJECTORIES.length)];
+}
+
+// Circular motion: one clockwise turn around the stage centre, starting at the bottom,
+// so the middle of the path (where the flash is aligned) is the top of the circle.
+const circleRadius = ({ height, padding }) => Math.max(20, height / 2 - padding * 2);
+const circleAngle = (stage, s) => Math.PI / 2 + s / circleRadius(stage);
+
+// Straight paths: [start, end] points
+function segment(trajectory, { width, height, padding }) {
+  const cx = width / 2;
+  const cy = Math.floor(height / 2);
+  if (trajectory === TRAJECTORY_RIGHT_LEFT) return [{ x: width - padding, y: cy }, { x: padding, y: cy }];
+  if (trajectory === TRAJECTORY_TOP_BOTTOM) return [{ x: cx, y: padding }, { x: cx, y: height - padding }];
+  return [{ x: padding, y: cy }, { x: width - padding, y: cy }];
+}
+
+export function pathLength(trajectory, stage) {
+  if (trajectory === TRAJECTORY_CIRCULAR) return 2 * Math.PI * circleRadius(stage);
+  const [a, b] = segment(trajectory, stage);
+  return Math.hypot(b.x - a.x, b.y - a.y);
+}
+
+// Unit vector in the direction of motion at distance s
+export function tangentAt(trajectory, stage, s) {
+  if (trajectory === TRAJECTORY_CIRCULAR) {
+    const angle = circleAngle(stage, s);
+    return { x: -Math.sin(angle), y: Math.cos(angle) };
+  }
+  const [a, b] = segment(trajectory, stage);
+  const length = Math.hypot(b.x - a.x, b.y - a.y) || 1;
+  return { x: (b.x - a.x) / length, y: (b.y - a.y) / length };
+}
+
+// Stage point at distance s along the path (clamped to the path)
+export function pointAt(trajectory, stage, s) {
+  const length = pathLength(trajectory, stage);
+  const d = Math.max(0, Math.min(length, s));
+  if (trajectory === TRAJECTORY_CIRCULAR) {
+    const r = circleRadius(stage);
+    const angle = circleAngle(stage, d);
+    return { x: stage.width / 2 + r * Math.cos(angle), y: Math.floor(stage.height / 2) + r * Math.sin(angle) };
+  }
+  const [a] = segment(trajectory, stage);
+  const t = tangentAt(trajectory, stage, d);
+  return { x: a.x + t.x * d, y: a.y + t.y * d };
+}
+
+// Unit vector across the path: down for horizontal paths, right for vertical ones,
+// outwards on the circle. Flash offsets and across-path errors are positive along it.
+export function pathNormal(trajectory, stage, s) {
+  if (trajectory === TRAJECTORY_CIRCULAR) {
+    const angle = circleAngle(stage, s);
+    return { x: Math.cos(angle), y: Math.sin(angle) };
+  }
+  return trajectory === TRAJECTORY_TOP_BOTTOM ? { x: 1, y: 0 } : { x: 0, y: 1 };
+}
+
+// Where the flash is drawn: the middle of the path, moved by `offset` px across it
+export function flashPoint(trajectory, stage, offset) {
+  const middle = pathLength(trajectory, stage) / 2;
+  const mid = pointAt(trajectory, stage, middle);
+  const normal = pathNormal(trajectory, stage, middle);
+  return { x: mid.x + normal.x * offset, y: mid.y + normal.y * offset };
+}
+
+// Signed distance of `point` from the path position s, measured along the direction of
+// motion (positive = ahead). On the circle this is the arc between the two angles.
+export function alongPathOffset(trajectory, stage, s, point) {
+  if (trajectory === TRAJECTORY_CIRCULAR) {
+    const r = circleRadius(stage);
+    const angle = Math.atan2(point.y - Math.floor(stage.height / 2), point.x - stage.width / 2);
+    let diff = angle - circleAngle(stage, s);
+    diff = Math.atan2(Math.sin(diff), Math.cos(diff)); // wrap to (-π, π]
+    return diff * r;
+  }
+  const origin = pointAt(trajectory, stage, s);
+  const t = tangentAt(trajectory, stage, s);
+  return (point.x - origin.x) * t.x + (point.y - origin.y) * t.y;
+}
+
+// Signed distance of `point` from the path at s, across the direction of motion
+export function acrossPathOffset(trajectory, stage, s, point) {
+  if (trajectory === TRAJECTORY_CIRCULAR) {
+    return Math.hypot(point.x - stage.width / 2, point.y - Math.floor(stage.height / 2)) - circleRadius(stage);
+  }
+  const origin = pointAt(trajectory, stage, s);
+  const normal = pathNormal(trajectory, stage, s);
+  return (point.x - origin.x) * normal.x + (point.y - origin.y) * normal.y;
+}
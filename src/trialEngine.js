@@ -0,0 +1,539 @@
+// Headless trial engine for the flash-lag / disappearing-dot tasks.
+// No DOM, no React: every function takes a plain state object and returns a new one,
+// so a whole session can be simulated in Node by feeding timestamps and clicks.
+import { DEFAULT_FRAME_MS, analyseFrames, quantiseFrames } from "./frameTiming.js";
+import {
+  TRAJECTORY_LEFT_RIGHT,
+  acrossPathOffset,
+  alongPathOffset,
+  flashPoint,
+  pathLength,
+  pointAt,
+  tangentAt,
+} from "./trajectory.js";
+
+export const MODE_FLASH_LAG = "flash-lag";
+export const MODE_DISAPPEARING = "disappearing";
+export const MODE_FLASH_INITIATED = "flash-initiated"; // target appears and starts moving at the flash
+export const MODE_FLASH_TERMINATED = "flash-terminated"; // target vanishes at the flash
+export const MODES = [MODE_FLASH_LAG, MODE_FLASH_INITIATED, MODE_FLASH_TERMINATED, MODE_DISAPPEARING];
+export const TARGET_PACMAN = "pacman";
+export const TARGET_DOT = "dot";
+
+export const STAGE_PADDING = 24;
+export const FOREPERIOD_MS = 500; // blank stage before the flash in flash-initiated trials
+
+// Catch (attention-check) trials have an unambiguous answer: the flash is drawn on the target
+// itself, or the target stops in plain view before it vanishes
+export const CATCH_FLASH_ON_TARGET = "flash-on-target";
+export const CATCH_VISIBLE_STOP = "visible-stop";
+export const CATCH_STOP_MS = 600; // how long the target stays still before vanishing
+export const CATCH_TOLERANCE_PX = 30; // a catch trial is passed when the answer lands this close
+
+// Every mode except disappearing shows a flash as the position reference
+export const modeHasFlash = (mode) => mode !== MODE_DISAPPEARING;
+
+// How the participant answers: click on the stage, or a two-alternative forced choice
+export const RESPONSE_CLICK = "click";
+export const RESPONSE_2AFC = "2afc";
+export const RESPONSE_ADJUST = "adjust"; // method of adjustment: move a probe with the keyboard, then confirm
+
+// Device that gave the answer: PointerEvent.pointerType, or the keyboard
+export const INPUT_MOUSE = "mouse";
+export const INPUT_TOUCH = "touch";
+export const INPUT_PEN = "pen";
+export const INPUT_KEYBOARD = "keyboard";
+export const INPUT_MODALITIES = [INPUT_MOUSE, INPUT_TOUCH, INPUT_PEN, INPUT_KEYBOARD];
+export const TOUCH_AIM_OFFSET_PX = 64; // touch reticle sits this far above the finger
+
+// Trial phases
+export const PHASE_IDLE = "idle";
+export const PHASE_RUNNING = "running";
+export const PHASE_EVENT_FIRED = "event-fired"; // flash shown, target still moving
+export const PHASE_AWAITING_RESPONSE = "awaiting-response";
+export const PHASE_FEEDBACK = "feedback";
+
+export const clamp = (v, a, b) => Math.max(a, Math.min(b, v));
+export const round2 = (v) => Math.round(v * 100) / 100;
+
+export function computeTargetX(w, lead) {
+  return w / 2 - lead;
+}
+
+export function canStartTrialLogic(trialIndex, isRun, awaiting, totalTrials) {
+  if (isRun) return false;
+  if (trialIndex >= totalTrials) return false;
+  return trialIndex === 0 ? !awaiting : awaiting;
+}
+
+export function pickRandomOffset(min, max, random = Math.random) {
+  const lo = Math.min(min, max);
+  const hi = Math.max(min, max);
+  if (hi === lo) return lo;
+  const raw = random() * (hi - lo) + lo;
+  const stepped = Math.round(raw / 5) * 5;
+  return clamp(stepped, lo, hi);
+}
+
+// Lead used for the next trial: random draw in disappearing mode, fixed lead otherwise
+export function pickTrialLead({ mode, flashLead, disappearRange }, random = Math.random) {
+  return mode === MODE_DISAPPEARING
+    ? pickRandomOffset(disappearRange.min, disappearRange.max, random)
+    : flashLead;
+}
+
+export function createTrial({
+  participant = "",
+  trialNumber = 1,
+  block = 1,
+  blockId = block,
+  trialInBlock = trialNumber,
+  conditionId = null,
+  mode = MODE_DISAPPEARING,
+  targetShape = TARGET_PACMAN,
+  responseType = RESPONSE_CLICK,
+  trajectory = TRAJECTORY_LEFT_RIGHT, // resolved path (never "random")
+  width = 900,
+  height = 280,
+  padding = STAGE_PADDING,
+  speed = 280,
+  lead = 0,
+  disappearRange = { min: -80, max: 80 },
+  flashYOffset = 0,
+  flashDuration = 60,
+  pxPerDeg = null, // from the screen calibration; null = uncalibrated
+  frameMs = DEFAULT_FRAME_MS, // measured refresh interval of the display
+  probeOffset = 0, // adjustment probe start, px along the path from its middle
+  practice = false, // practice trials are recorded but left out of the summaries
+  catchType = null, // CATCH_* for attention-check trials
+  showFeedback = true, // draw the truth, click ring and error once answered
+} = {}) {
+  return {
+    phase: PHASE_IDLE,
+    participant,
+    trialNumber,
+    block,
+    blockId,
+    trialInBlock,
+    conditionId,
+    mode,
+    targetShape,
+    responseType,
+    trajectory,
+    width,
+    height,
+    padding,
+    speed,
+    lead,
+    disappearRange: { ...disappearRange },
+    flashYOffset,
+    flashDuration,
+    pxPerDeg,
+    frameMs,
+    flashFrames: quantiseFrames(flashDuration, frameMs), // flash shown for whole frames only
+    pos: 0, // distance travelled along the trajectory (CSS px)
+    lastTs: 0,
+    eventPos: null, // distance travelled when the flash/disappearance happens
+    click: null, // { x, y } stage point of the response click
+    frames: [], // timestamp of every animation frame of the trial
+    flashOn: false, // flash drawn in the current frame
+    flashFramesDrawn: 0,
+    flashOnsetTs: null, // first frame with the flash
+    flashOffsetTs: null, // first frame without it again
+    probeOffset,
+    practice,
+    catchType,
+    showFeedback,
+    eventTs: null, // frame of the flash/disappearance
+    probePos: null, // adjustment probe, distance along the trajectory
+    keystrokes: 0, // probe nudges so far
+    firstKeystrokeTs: null, // first probe nudge, start of the adjustment time
+    aim: null, // { x, y } touch reticle while the finger is down
+    responseOpenTs: null, // frame that opened the response window
+  };
+}
+
+export function beginTrial(trial) {
+  return {
+    ...trial,
+    phase: PHASE_RUNNING,
+    pos: 0,
+    lastTs: 0,
+    eventPos: null,
+    eventTs: null,
+    click: null,
+    frames: [],
+    flashOn: false,
+    flashFramesDrawn: 0,
+    flashOnsetTs: null,
+    flashOffsetTs: null,
+    probePos: null,
+    keystrokes: 0,
+    firstKeystrokeTs: null,
+    responseOpenTs: null,
+  };
+}
+
+export const isMovingPhase = (phase) => phase === PHASE_RUNNING || phase === PHASE_EVENT_FIRED;
+export const isMoving = (trial) => isMovingPhase(trial.phase);
+
+export const hasEventFired = (trial) => trial.eventPos != null;
+
+// Flash dot is drawn while moving for flashFrames frames, then kept during the response window
+export function isFlashVisible(trial) {
+  if (!modeHasFlash(trial.mode) || !hasEventFired(trial)) return false;
+  if (trial.phase === PHASE_EVENT_FIRED) return trial.flashOn;
+  return trial.phase === PHASE_AWAITING_RESPONSE || trial.phase === PHASE_FEEDBACK;
+}
+
+// Hidden before the flash in flash-initiated trials and after the event when it vanishes
+export function isTargetVisible(trial) {
+  if (!isMoving(trial)) return false;
+  if (trial.mode === MODE_FLASH_INITIATED) return hasEventFired(trial);
+  if (trial.catchType === CATCH_VISIBLE_STOP) return true;
+  return !(hasEventFired(trial) && (trial.mode === MODE_DISAPPEARING || trial.mode === MODE_FLASH_TERMINATED));
+}
+
+// Stage coordinates of the moving target, of the flash and of the target at event time
+export const targetPoint = (trial) => pointAt(trial.trajectory, trial, trial.pos);
+export const flashPosition = (trial) =>
+  trial.catchType === CATCH_FLASH_ON_TARGET
+    ? pointAt(trial.trajectory, trial, trial.eventPos)
+    : flashPoint(trial.trajectory, trial, trial.flashYOffset);
+export const truthPoint = (trial) => pointAt(trial.trajectory, trial, trial.eventPos);
+export const motionDirection = (trial, s = trial.pos) => tangentAt(trial.trajectory, trial, s);
+
+// Arrow keys answer relative to the motion, not the screen: a key is "forwards" when it lines up
+// with the direction of motion, "backwards" when it opposes it, and unused when it is across it
+export const ARROW_VECTORS = {
+  ArrowLeft: { x: -1, y: 0 },
+  ArrowRight: { x: 1, y: 0 },
+  ArrowUp: { x: 0, y: -1 },
+  ArrowDown: { x: 0, y: 1 },
+};
+const ARROW_ALIGNMENT = 0.3;
+
+// +1 forwards, -1 backwards, 0 across `direction`
+export function arrowSense(key, direction) {
+  const along = ARROW_VECTORS[key].x * direction.x + ARROW_VECTORS[key].y * direction.y;
+  return Math.abs(along) < ARROW_ALIGNMENT ? 0 : Math.sign(along);
+}
+
+// 2AFC keys: the arrows pointing along the motion at the event answer "ahead", the opposite
+// ones "behind". { ahead: [key], behind: [key] }
+export function answerKeys(trial) {
+  const direction = motionDirection(trial, trial.eventPos);
+  const keys = Object.keys(ARROW_VECTORS);
+  return {
+    ahead: keys.filter((key) => arrowSense(key, direction) > 0),
+    behind: keys.filter((key) => arrowSense(key, direction) < 0),
+  };
+}
+
+const eventDistance = (trial) => clamp(trial.eventPos, 0, pathLength(trial.trajectory, trial));
+
+// Signed error of a click along the trajectory (positive = ahead of the target at event time)
+export const clickError = (trial, click) => alongPathOffset(trial.trajectory, trial, eventDistance(trial), click);
+
+// Signed error across the trajectory (positive = towards the flash-offset side, see ./trajectory.js)
+export const clickAcrossError = (trial, click) =>
+  acrossPathOffset(trial.trajectory, trial, eventDistance(trial), click);
+
+export const stageCenter = (trial) => ({
+  x: trial.width / 2,
+  y: Math.floor(trial.height / 2),
+});
+
+// Advance one animation frame (each call is one drawn frame).
+// Returns the trial unchanged when it is not moving.
+export function advanceTrial(trial, ts) {
+  if (!isMoving(trial)) return trial;
+
+  const lastTs = trial.lastTs || ts;
+  const dt = (ts - lastTs) / 1000; // seconds
+  const frames = [...trial.frames, ts];
+  const length = pathLength(trial.trajectory, trial);
+  const eventAt = length / 2 - trial.lead; // path midpoint - lead
+  const next = { ...trial, lastTs: ts, frames };
+
+  if (trial.mode === MODE_FLASH_INITIATED && !hasEventFired(trial)) {
+    // Blank fore-period, then the target appears at the event distance together with the flash
+    next.pos = eventAt;
+    if (ts - frames[0] >= FOREPERIOD_MS) {
+      next.eventPos = eventAt;
+      next.eventTs = ts;
+      next.phase = PHASE_EVENT_FIRED;
+    }
+  } else if (trial.catchType === CATCH_VISIBLE_STOP && hasEventFired(trial)) {
+    next.pos = trial.eventPos; // standing still in view, then gone
+    if (ts - trial.eventTs >= CATCH_STOP_MS) {
+      next.phase = PHASE_AWAITING_RESPONSE;
+      return openResponseWindow(next, ts);
+    }
+    return next;
+  } else if (trial.mode === MODE_FLASH_TERMINATED && hasEventFired(trial)) {
+    next.pos = trial.eventPos; // motion stopped at the flash
+  } else {
+    next.pos = trial.pos + trial.speed * dt;
+  }
+
+  // Trigger the event when the target reaches the event distance
+  if (!hasEventFired(next) && next.mode !== MODE_FLASH_INITIATED && next.pos >= eventAt) {
+    next.eventPos = next.pos; // truth at event time
+    next.eventTs = ts;
+    if (modeHasFlash(next.mode)) {
+      next.phase = PHASE_EVENT_FIRED;
+    } else if (next.catchType !== CATCH_VISIBLE_STOP) {
+      next.phase = PHASE_AWAITING_RESPONSE;
+      return openResponseWindow(next, ts);
+    }
+  }
+
+  // The flash stays on for exactly flashFrames drawn frames, whatever their timing
+  if (next.phase === PHASE_EVENT_FIRED) {
+    next.flashOn = next.flashFramesDrawn < next.flashFrames;
+    if (next.flashOn) {
+      if (next.flashFramesDrawn === 0) next.flashOnsetTs = ts;
+      next.flashFramesDrawn += 1;
+    } else if (next.flashOffsetTs == null) {
+      next.flashOffsetTs = ts;
+    }
+  }
+
+  // Flash-lag and flash-initiated motion run to the end of the path before the response
+  // window opens; flash-terminated trials end once the flash has been shown
+  if (next.mode === MODE_FLASH_TERMINATED) {
+    if (next.phase === PHASE_EVENT_FIRED && !next.flashOn) next.phase = PHASE_AWAITING_RESPONSE;
+  } else if (modeHasFlash(next.mode) && next.pos >= length) {
+    next.phase = PHASE_AWAITING_RESPONSE;
+  }
+  return next.phase === PHASE_AWAITING_RESPONSE ? openResponseWindow(next, ts) : next;
+}
+
+// The adjustment probe starts probeOffset px from the middle of the path
+function openResponseWindow(trial, ts) {
+  if (trial.responseType !== RESPONSE_ADJUST) return { ...trial, responseOpenTs: ts };
+  const length = pathLength(trial.trajectory, trial);
+  return { ...trial, responseOpenTs: ts, probePos: clamp(length / 2 + trial.probeOffset, 0, length) };
+}
+
+// Keep in-flight positions aligned when the stage is resized
+export function resizeTrial(trial, width, height) {
+  if (trial.width === width && trial.height === height) return trial;
+  const resized = { ...trial, width, height };
+  const along = pathLength(trial.trajectory, resized) / pathLength(trial.trajectory, trial);
+  const playable = (size) => Math.max(1, size - trial.padding * 2);
+  const rescale = (v, from, to) => trial.padding + (v - trial.padding) * (playable(to) / playable(from));
+  return {
+    ...resized,
+    pos: trial.pos * along,
+    eventPos: trial.eventPos == null ? null : trial.eventPos * along,
+    probePos: trial.probePos == null ? null : trial.probePos * along,
+    click: trial.click && {
+      x: rescale(trial.click.x, trial.width, width),
+      y: rescale(trial.click.y, trial.height, height),
+    },
+  };
+}
+
+function buildRecord(trial, fields) {
+  const isDisappearing = trial.mode === MODE_DISAPPEARING;
+  const record = {
+    participant: trial.participant,
+    trial: trial.trialNumber,
+    block: trial.block,
+    block_id: trial.blockId,
+    trial_in_block: trial.trialInBlock,
+    condition_id: trial.conditionId,
+    mode: trial.mode,
+    target_shape: trial.targetShape,
+    response_type: trial.responseType,
+    trajectory: trial.trajectory,
+    abs_error_px: null,
+    // keep internal bookkeeping (not shown in Results)
+    speed_px_s: trial.speed,
+    lead_px: round2(trial.lead),
+    disappear_range_min_px: isDisappearing ? trial.disappearRange.min : null,
+    disappear_range_max_px: isDisappearing ? trial.disappearRange.max : null,
+    flash_yoffset_px: trial.flashYOffset,
+    flash_duration_ms: trial.flashDuration,
+    stage_width_px: trial.width, // stage size at answer time, for replays
+    stage_height_px: trial.height,
+    truth_x_px: round2(truthPoint(trial).x),
+    truth_y_px: round2(truthPoint(trial).y),
+    click_x_px: null,
+    click_y_px: null,
+    signed_error_px: null, // along the trajectory
+    across_error_px: null,
+    error_x_px: null, // click - truth on the stage
+    error_y_px: null,
+    response: null,
+    input_modality: null, // INPUT_* device of the answer
+    practice: trial.practice,
+    feedback_shown: trial.showFeedback,
+    catch_type: trial.catchType,
+    catch_passed: null,
+    response_time_ms: null, // response-window open to answer
+    confidence: null, // optional 1–4 rating given after the answer
+    adjust_time_ms: null, // method of adjustment only
+    adjust_keystrokes: null,
+    ...fields,
+  };
+  // Frame timing: times relative to the first frame of the trial
+  const start = trial.frames[0] ?? 0;
+  const sinceStart = (ts) => (ts == null ? null : round2(ts - start));
+  const timing = analyseFrames(trial.frames, trial.frameMs);
+  const hasFlash = modeHasFlash(trial.mode);
+  const flashFramesMissing = hasFlash && trial.flashFramesDrawn !== trial.flashFrames;
+  Object.assign(record, {
+    refresh_hz: round2(1000 / trial.frameMs),
+    flash_frames: hasFlash ? trial.flashFrames : null,
+    flash_duration_quantised_ms: hasFlash ? round2(trial.flashFrames * trial.frameMs) : null,
+    flash_frames_drawn: hasFlash ? trial.flashFramesDrawn : null,
+    flash_onset_ms: sinceStart(trial.flashOnsetTs),
+    flash_offset_ms: sinceStart(trial.flashOffsetTs),
+    frame_count: timing.count,
+    max_frame_interval_ms: round2(timing.maxIntervalMs),
+    dropped_frames: timing.droppedFrames,
+    timing_warning: timing.droppedFrames > 0 || flashFramesMissing,
+    frame_times_ms: trial.frames.map(sinceStart),
+  });
+
+  // Same distances in degrees of visual angle (calibrated screens only) and in ms of motion
+  const deg = (px) => (px == null || !trial.pxPerDeg ? null : round2(px / trial.pxPerDeg));
+  const ms = (px) => (px == null ? null : round2((px / trial.speed) * 1000));
+  return {
+    ...record,
+    px_per_deg: trial.pxPerDeg ? round2(trial.pxPerDeg) : null,
+    speed_deg_s: deg(trial.speed),
+    lead_deg: deg(record.lead_px),
+    lead_ms: ms(record.lead_px),
+    abs_error_deg: deg(record.abs_error_px),
+    signed_error_deg: deg(record.signed_error_px),
+    across_error_deg: deg(record.across_error_px),
+    signed_error_ms: ms(record.signed_error_px),
+  };
+}
+
+// Position response at stage point { x, y }, scored against the 2D target position at event
+// time: abs_error_px is the distance, split into along-path (positive = ahead in the
+// direction of motion) and across-path components.
+function scoreResponse(trial, point, fields) {
+  const truth = truthPoint(trial);
+  const distance = Math.hypot(point.x - truth.x, point.y - truth.y);
+  const record = buildRecord(trial, {
+    abs_error_px: round2(distance),
+    catch_passed: trial.catchType ? distance <= CATCH_TOLERANCE_PX : null,
+    click_x_px: round2(point.x),
+    click_y_px: round2(point.y),
+    signed_error_px: round2(clickError(trial, point)),
+    across_error_px: round2(clickAcrossError(trial, point)),
+    error_x_px: round2(point.x - truth.x),
+    error_y_px: round2(point.y - truth.y),
+    ...fields,
+  });
+  return { trial: { ...trial, phase: PHASE_FEEDBACK, click: point, aim: null }, record };
+}
+
+// Latency of an answer given at `now` (performance.now(), the requestAnimationFrame clock)
+const responseTime = (trial, now) => round2(now - trial.responseOpenTs);
+
+const isClickOpen = (trial) =>
+  trial.phase === PHASE_AWAITING_RESPONSE && hasEventFired(trial) && trial.responseType === RESPONSE_CLICK;
+
+// Score a click. Returns null when the response window is not open.
+export function respondToTrial(
+  trial,
+  click,
+  { now = performance.now(), timestamp = new Date().toISOString(), input = INPUT_MOUSE } = {}
+) {
+  if (!isClickOpen(trial)) return null;
+  return scoreResponse(trial, click, { response_time_ms: responseTime(trial, now), input_modality: input, timestamp });
+}
+
+// Touch answers aim with a reticle drawn TOUCH_AIM_OFFSET_PX above the finger (kept on the
+// stage), so the finger does not hide the point being judged. Returns null when the response
+// window is not open.
+export function aimAt(trial, finger) {
+  if (!isClickOpen(trial)) return null;
+  const aim = {
+    x: clamp(finger.x, 0, trial.width),
+    y: clamp(finger.y - TOUCH_AIM_OFFSET_PX, 0, trial.height),
+  };
+  return { ...trial, aim };
+}
+
+export const clearAim = (trial) => ({ ...trial, aim: null });
+
+export const probePoint = (trial) => pointAt(trial.trajectory, trial, trial.probePos);
+
+export const isAdjusting = (trial) =>
+  trial.phase === PHASE_AWAITING_RESPONSE && trial.responseType === RESPONSE_ADJUST && trial.probePos != null;
+
+// Move the adjustment probe by `delta` px along the path (positive = direction of motion).
+// Returns null when the response window is not open.
+export function nudgeProbe(trial, delta, { now = performance.now() } = {}) {
+  if (!isAdjusting(trial)) return null;
+  const length = pathLength(trial.trajectory, trial);
+  return {
+    ...trial,
+    probePos: clamp(trial.probePos + delta, 0, length),
+    keystrokes: trial.keystrokes + 1,
+    firstKeystrokeTs: trial.firstKeystrokeTs ?? now,
+  };
+}
+
+// Confirm the probe position; scored like a click at the probe. The adjustment time runs from
+// the first keystroke (null when the probe was confirmed where it started).
+export function confirmAdjustment(
+  trial,
+  { now = performance.now(), timestamp = new Date().toISOString(), input = INPUT_KEYBOARD } = {}
+) {
+  if (!isAdjusting(trial) || !hasEventFired(trial)) return null;
+  return scoreResponse(trial, probePoint(trial), {
+    response_time_ms: responseTime(trial, now),
+    adjust_time_ms: trial.firstKeystrokeTs == null ? null : round2(now - trial.firstKeystrokeTs),
+    adjust_keystrokes: trial.keystrokes,
+    input_modality: input,
+    timestamp,
+  });
+}
+
+// 2AFC judgement ("ahead" / "behind" the flash). `key` is the arrow key pressed, if any; the
+// record keeps the key mapping of the trial. Returns null when the response window is not open.
+export function judgeTrial(
+  trial,
+  judgement,
+  { now = performance.now(), timestamp = new Date().toISOString(), input = INPUT_KEYBOARD, key = null } = {}
+) {
+  if (trial.phase !== PHASE_AWAITING_RESPONSE || !hasEventFired(trial)) return null;
+  if (trial.responseType !== RESPONSE_2AFC) return null;
+
+  const keys = answerKeys(trial);
+  const record = buildRecord(trial, {
+    response: judgement,
+    response_time_ms: responseTime(trial, now),
+    input_modality: input,
+    response_key: key,
+    ahead_keys: keys.ahead.join(" "),
+    behind_keys: keys.behind.join(" "),
+    timestamp,
+  });
+  return { trial: { ...trial, phase: PHASE_FEEDBACK }, record };
+}
+
+// Drive a trial with a fixed frame interval until the response window opens,
+// then answer with clickOffsetPx relative to the truth. Useful for tests and simulations.
+export function simulateTrial(config, { frameMs = 1000 / 60, clickOffsetPx = 0, maxFrames = 10000 } = {}) {
+  let trial = beginTrial(createTrial({ frameMs, ...config }));
+  let ts = 0;
+  for (let i = 0; i < maxFrames && isMoving(trial); i += 1) {
+    ts += frameMs;
+    trial = advanceTrial(trial, ts);
+  }
+  if (trial.phase !== PHASE_AWAITING_RESPONSE) return null;
+  const truth = truthPoint(trial);
+  const direction = motionDirection(trial, trial.eventPos);
+  const click = { x: truth.x + direction.x * clickOffsetPx, y: truth.y + direction.y * clickOffsetPx };
+  return respondToTrial(trial, click, { now: ts, timestamp: new Date(ts).toISOString() });
+}
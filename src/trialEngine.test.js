@@ -0,0 +1,125 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  CATCH_VISIBLE_STOP,
+  INPUT_MOUSE,
+  MODES,
+  MODE_DISAPPEARING,
+  MODE_FLASH_INITIATED,
+  MODE_FLASH_LAG,
+  PHASE_AWAITING_RESPONSE,
+  RESPONSE_2AFC,
+  RESPONSE_ADJUST,
+  advanceTrial,
+  aimAt,
+  answerKeys,
+  beginTrial,
+  canStartTrialLogic,
+  clamp,
+  computeTargetX,
+  confirmAdjustment,
+  createTrial,
+  isMoving,
+  judgeTrial,
+  nudgeProbe,
+  pickRandomOffset,
+  respondToTrial,
+  round2,
+  simulateTrial,
+} from "./trialEngine.js";
+import { RESPONSE_AHEAD } from "./staircase.js";
+import {
+  TRAJECTORY_CIRCULAR,
+  TRAJECTORY_LEFT_RIGHT,
+  TRAJECTORY_RIGHT_LEFT,
+  TRAJECTORY_TOP_BOTTOM,
+} from "./trajectory.js";
+
+test("helpers", () => {
+  assert.equal(clamp(5, 0, 10), 5);
+  assert.equal(clamp(-1, 0, 10), 0);
+  assert.equal(round2(1.2345), 1.23);
+  assert.equal(computeTargetX(900, 80), 370);
+  assert.equal(pickRandomOffset(10, 10), 10);
+  assert.equal(canStartTrialLogic(0, false, false, 3), true);
+  assert.equal(canStartTrialLogic(3, false, false, 3), false);
+});
+
+test("a simulated flash-lag trial scores the click along the motion", () => {
+  const { record } = simulateTrial({ mode: MODE_FLASH_LAG, lead: 80, width: 900 }, { clickOffsetPx: 12 });
+  assert.equal(record.signed_error_px, 12);
+  assert.equal(record.abs_error_px, 12);
+  assert.equal(record.input_modality, INPUT_MOUSE);
+  assert.equal(record.stage_width_px, 900);
+});
+
+test("the flash-initiated target starts at the flash", () => {
+  const { record } = simulateTrial({ mode: MODE_FLASH_INITIATED, lead: 0, width: 900 });
+  assert.equal(record.truth_x_px, 450);
+});
+
+test("every mode and trajectory reaches the response window", () => {
+  MODES.forEach((mode) => {
+    [TRAJECTORY_LEFT_RIGHT, TRAJECTORY_CIRCULAR].forEach((trajectory) => {
+      const result = simulateTrial({ mode, trajectory, lead: 40, width: 900, height: 280 }, { clickOffsetPx: -7 });
+      assert.ok(result, `${mode} ${trajectory}`);
+      // On the circle a click off the tangent is scored along the arc
+      assert.ok(Math.abs(result.record.signed_error_px + 7) < 0.1, `${mode} ${trajectory}`);
+    });
+  });
+});
+
+test("a visible-stop catch trial is passed near the truth", () => {
+  const config = { mode: MODE_DISAPPEARING, catchType: CATCH_VISIBLE_STOP, width: 900 };
+  const { record } = simulateTrial(config, { clickOffsetPx: 5 });
+  assert.equal(record.catch_passed, true);
+});
+
+test("clicks, the probe and the touch reticle only work while an answer is awaited", () => {
+  const idle = createTrial();
+  assert.equal(nudgeProbe(idle, 10), null);
+  assert.equal(aimAt(idle, { x: 10, y: 10 }), null);
+  assert.equal(respondToTrial(idle, { x: 0, y: 0 }, { now: 0 }), null);
+
+  let trial = beginTrial(createTrial({ width: 900, frameMs: 1000 / 60 }));
+  for (let ts = 1000 / 60; isMoving(trial); ts += 1000 / 60) trial = advanceTrial(trial, ts);
+  assert.equal(trial.phase, PHASE_AWAITING_RESPONSE);
+  const aimed = aimAt(trial, { x: 100, y: 100 });
+  assert.deepEqual(aimed.aim, { x: 100, y: 36 });
+});
+
+const awaitAnswer = (config) => {
+  let trial = beginTrial(createTrial({ width: 900, frameMs: 1000 / 60, ...config }));
+  for (let ts = 1000 / 60; isMoving(trial); ts += 1000 / 60) trial = advanceTrial(trial, ts);
+  return trial;
+};
+
+test("2AFC arrow keys follow the direction of motion and the record keeps the mapping", () => {
+  const leftToRight = awaitAnswer({ responseType: RESPONSE_2AFC, trajectory: TRAJECTORY_LEFT_RIGHT });
+  assert.deepEqual(answerKeys(leftToRight), { ahead: ["ArrowRight"], behind: ["ArrowLeft"] });
+  const rightToLeft = awaitAnswer({ responseType: RESPONSE_2AFC, trajectory: TRAJECTORY_RIGHT_LEFT });
+  assert.deepEqual(answerKeys(rightToLeft), { ahead: ["ArrowLeft"], behind: ["ArrowRight"] });
+  const downwards = awaitAnswer({ responseType: RESPONSE_2AFC, trajectory: TRAJECTORY_TOP_BOTTOM });
+  assert.deepEqual(answerKeys(downwards), { ahead: ["ArrowDown"], behind: ["ArrowUp"] });
+
+  const { record } = judgeTrial(rightToLeft, RESPONSE_AHEAD, { now: 0, key: "ArrowLeft" });
+  assert.equal(record.response, RESPONSE_AHEAD);
+  assert.equal(record.response_key, "ArrowLeft");
+  assert.equal(record.ahead_keys, "ArrowLeft");
+  assert.equal(record.behind_keys, "ArrowRight");
+  assert.equal(judgeTrial(rightToLeft, RESPONSE_AHEAD, { now: 0, input: INPUT_MOUSE }).record.response_key, null);
+});
+
+test("the adjustment time runs from the first keystroke to the confirmation", () => {
+  const trial = awaitAnswer({ responseType: RESPONSE_ADJUST });
+  const opened = trial.responseOpenTs;
+  const untouched = confirmAdjustment(trial, { now: opened + 800 }).record;
+  assert.equal(untouched.adjust_time_ms, null);
+  assert.equal(untouched.adjust_keystrokes, 0);
+
+  const nudged = nudgeProbe(nudgeProbe(trial, 10, { now: opened + 500 }), 2, { now: opened + 700 });
+  const { record } = confirmAdjustment(nudged, { now: opened + 1000 });
+  assert.equal(record.response_time_ms, 1000);
+  assert.equal(record.adjust_time_ms, 500);
+  assert.equal(record.adjust_keystrokes, 2);
+});